@@ -0,0 +1,181 @@
+// Enemy commander: plays team AI_TEAM against the player. Every few ticks it reads the
+// battlefield, keeps its units in groups of one type that stand together, sends each
+// group at the enemy its type is best against, advancing in formation and attacking unit
+// by unit once close, and pulls badly damaged groups back to their spawn zone.
+// Its orders go through applyCommand() like the player's, from inside stepGame(), so
+// the same game always plays out the same way. They aren't logged: replays rerun the
+// commander instead. No DOM access, loaded after simulation.js.
+
+const AI_TEAM = 2 // team the commander plays
+const AI_GROUP_RADIUS = 4 * TILE_SIZE // px between units of one type that still group together
+const AI_ENGAGE_DISTANCE = 8 * TILE_SIZE // groups closer than this to their target attack, farther they advance
+const AI_REORDER_DISTANCE = 3 * TILE_SIZE // an advance is ordered again once its target has moved this far
+const AI_DEFEND_RADIUS = 6 * TILE_SIZE // retreating groups fight back against enemies this close
+const AI_DISTANCE_FALLOFF = 10 * TILE_SIZE // px at which a target is worth half as much as one next to the group
+const AI_RETARGET_GAIN = 1.5 // a unit only switches to a target worth this many times its current one
+
+// Commander settings per difficulty level, in the order nextAIDifficulty() cycles through.
+// thinkTicks: ticks between looks at the battlefield
+// matchups: pick targets by UNIT_MATCHUPS, otherwise the nearest enemy
+// retreatHealth: share of a group's starting hp below which it retreats (0 never)
+// focusFire: prefer wounded targets
+const AI_DIFFICULTIES = {
+    off: null,
+    easy: { thinkTicks: 50, matchups: false, retreatHealth: 0, focusFire: false },
+    normal: { thinkTicks: 25, matchups: true, retreatHealth: 0.3, focusFire: false },
+    hard: { thinkTicks: 10, matchups: true, retreatHealth: 0.4, focusFire: true }
+};
+
+// Difficulty level after the current one, for cycling through them
+function nextAIDifficulty() {
+    const levels = Object.keys(AI_DIFFICULTIES);
+    return levels[(levels.indexOf(game.ai.difficulty) + 1) % levels.length];
+}
+
+// Let the commander act if this is one of its thinking ticks, called by stepGame()
+function updateCommander() {
+    const level = AI_DIFFICULTIES[game.ai.difficulty];
+    if (!level || game.tick % level.thinkTicks !== 0) return;
+
+    const enemies = game.units.filter(u => u.team !== AI_TEAM);
+    updateCommanderGroups();
+    game.ai.groups.forEach(group => commandGroup(group, enemies, level));
+}
+
+// Drop dead units and empty groups, then group the units that have none
+function updateCommanderGroups() {
+    const grouped = new Set();
+    game.ai.groups.forEach(group => {
+        group.unitIds = group.unitIds.filter(id => getUnitById(id) !== null);
+        group.unitIds.forEach(id => grouped.add(id));
+    });
+    game.ai.groups = game.ai.groups.filter(group => group.unitIds.length > 0);
+
+    // Units of one type chained together by AI_GROUP_RADIUS form a group
+    const loose = game.units.filter(u => u.team === AI_TEAM && !grouped.has(u.id));
+    while (loose.length > 0) {
+        const members = [loose.shift()];
+        for (let i = 0; i < members.length; i++) {
+            for (let j = loose.length - 1; j >= 0; j--) {
+                const unit = loose[j];
+                if (unit.type === members[i].type && members[i].distanceTo(unit) <= AI_GROUP_RADIUS) {
+                    members.push(unit);
+                    loose.splice(j, 1);
+                }
+            }
+        }
+        members.sort((a, b) => a.id - b.id);
+        game.ai.groups.push({
+            id: game.ai.nextGroupId++,
+            type: members[0].type,
+            unitIds: members.map(u => u.id),
+            startHp: members.reduce((sum, u) => sum + u.maxHp, 0), // for the retreat threshold
+            mode: 'idle',    // 'idle', 'advance', 'engage' or 'retreat'
+            targetId: null,  // enemy unit the group goes for
+            orderX: null,    // where its last move order sent it
+            orderY: null
+        });
+    }
+}
+
+// Decide what one group does now and order it
+function commandGroup(group, enemies, level) {
+    const units = group.unitIds.map(getUnitById);
+    const center = {
+        x: units.reduce((sum, u) => sum + u.x, 0) / units.length,
+        y: units.reduce((sum, u) => sum + u.y, 0) / units.length
+    };
+    const health = units.reduce((sum, u) => sum + u.hp, 0) / group.startHp;
+    const rally = rallyPoint();
+
+    if (group.mode !== 'retreat' && health < level.retreatHealth && rally) {
+        group.mode = 'retreat';
+        group.targetId = null;
+        moveGroup(group, units, rally.x, rally.y);
+        return;
+    }
+
+    if (group.mode === 'retreat') {
+        // Hold at the rally point, fighting only what comes close
+        const near = enemies.filter(e => Math.hypot(e.x - center.x, e.y - center.y) <= AI_DEFEND_RADIUS);
+        if (near.length > 0) attackWithUnits(units, near, level);
+        return;
+    }
+
+    const target = chooseTarget(center.x, center.y, group.type, enemies, level);
+    if (!target) return;
+    group.targetId = target.id;
+
+    if (Math.hypot(target.x - center.x, target.y - center.y) > AI_ENGAGE_DISTANCE) {
+        // Order again if the target got away or the group came to a halt short of it. A
+        // formation that can't assemble where the group stands halts, so a halted group
+        // goes on by flow field.
+        const moved = Math.hypot(target.x - group.orderX, target.y - group.orderY) > AI_REORDER_DISTANCE;
+        const halted = group.mode === 'advance' && units.every(u => !u.moving);
+        if (group.mode !== 'advance' || moved || halted) {
+            group.mode = 'advance';
+            moveGroup(group, units, target.x, target.y, halted ? GroupMoveMode.FLOW_FIELD : GroupMoveMode.FORMATION);
+        }
+    } else {
+        group.mode = 'engage';
+        attackWithUnits(units, enemies, level);
+    }
+}
+
+// Move order in the given GroupMoveMode, whatever the player's is
+function moveGroup(group, units, x, y, mode = GroupMoveMode.FORMATION) {
+    group.orderX = x;
+    group.orderY = y;
+    applyCommand({ type: 'move', unitIds: units.map(u => u.id), x, y, mode });
+}
+
+// Give every unit the best of the enemies from where it stands, one attack order per
+// target. Units keep a target that is nearly as good, switching back and forth they
+// would never get a blow in, but give up on one they stand short of and can't get
+// closer to (e.g. behind a crowd).
+function attackWithUnits(units, enemies, level) {
+    const orders = new Map(); // target id -> unit ids
+    units.forEach(unit => {
+        const current = unit.attackTarget && unit.attackTarget.hp > 0 ? unit.attackTarget : null;
+        const blocked = current && !unit.moving && unit.distanceTo(current) > unit.attackRange();
+        const target = chooseTarget(unit.x, unit.y, unit.type, enemies.filter(e => !blocked || e !== current), level);
+        if (!target || current === target) return;
+        if (current && !blocked && enemies.includes(current) &&
+            targetScore(unit.x, unit.y, unit.type, target, level) <
+            targetScore(unit.x, unit.y, unit.type, current, level) * AI_RETARGET_GAIN) return;
+
+        if (!orders.has(target.id)) orders.set(target.id, []);
+        orders.get(target.id).push(unit.id);
+    });
+    orders.forEach((unitIds, targetId) => applyCommand({ type: 'attack', unitIds, targetId }));
+}
+
+// The enemy most worth attacking for units of type from (x, y), see targetScore()
+function chooseTarget(x, y, type, enemies, level) {
+    let best = null;
+    let bestScore = 0;
+    enemies.forEach(enemy => {
+        const score = targetScore(x, y, type, enemy, level);
+        if (score > bestScore) {
+            best = enemy;
+            bestScore = score;
+        }
+    });
+    return best;
+}
+
+// How much units of type at (x, y) want to attack enemy: more for a better matchup,
+// a nearer and (with focus fire) a more wounded enemy
+function targetScore(x, y, type, enemy, level) {
+    let score = 1 / (1 + Math.hypot(enemy.x - x, enemy.y - y) / AI_DISTANCE_FALLOFF);
+    if (level.matchups) score *= matchupWeight(type, enemy.type);
+    if (level.focusFire) score *= 2 - enemy.hp / enemy.maxHp;
+    return score;
+}
+
+// Center of the commander's spawn zone in px, null if the map has none
+function rallyPoint() {
+    const zone = game.spawnZones.find(z => z.team === AI_TEAM);
+    if (!zone) return null;
+    return { x: (zone.x + zone.width / 2) * TILE_SIZE, y: (zone.y + zone.height / 2) * TILE_SIZE };
+}
@@ -0,0 +1,127 @@
+// Map editor: edits a map (see randomMap() in simulation.js for the format) with
+// undo/redo and loads it into `game` after every change, so the obstacles, units and
+// perimeter data on screen always show the map being edited. No DOM access, script.js
+// turns mouse and keys into these calls.
+
+const EDITOR_UNDO_LIMIT = 200 // edits that can be undone
+
+class MapEditor {
+    constructor(map) {
+        const errors = validateMap(map);
+        if (errors.length > 0) {
+            throw new Error(`Invalid map: ${errors.join('; ')}`);
+        }
+
+        // Armies become single units so every unit can be erased or added to
+        this.map = JSON.parse(JSON.stringify(map));
+        this.map.units = placeArmies(map).map(({ type, team, x, y }) => ({ type, team, x, y }));
+        this.map.armies = [];
+
+        this.undoStack = [];     // earlier maps as JSON, most recent last
+        this.redoStack = [];
+        this.strokeStart = null; // map JSON from before the current stroke
+        this.lastError = null;   // why the last edit was refused
+        this.reload();
+    }
+
+    // Edit the layout of the current game, with its units where they stand now
+    static fromGame() {
+        const map = JSON.parse(exportMap());
+        const blocked = new Set(map.obstacles.map(([col, row]) => `${col},${row}`));
+        map.armies = [];
+        map.units = game.units
+            .filter(u => !blocked.has(`${Math.floor(u.x / TILE_SIZE)},${Math.floor(u.y / TILE_SIZE)}`))
+            .filter(u => u.x >= 0 && u.x < map.width * TILE_SIZE && u.y >= 0 && u.y < map.height * TILE_SIZE)
+            .map(u => ({ type: u.type, team: u.team, x: u.x, y: u.y }));
+        return new MapEditor(map);
+    }
+
+    // Load the edited map into a fresh game (reruns computePerimeterData)
+    reload() {
+        createGame(this.map.width * TILE_SIZE, this.map.height * TILE_SIZE);
+        loadMap(this.map);
+    }
+
+    // Change a copy of the map with change(map) and keep it if it is still a valid map.
+    // Returns false if nothing changed, lastError tells why if it was refused.
+    edit(change) {
+        const before = JSON.stringify(this.map);
+        const map = JSON.parse(before);
+        change(map);
+
+        const errors = validateMap(map);
+        if (errors.length > 0) {
+            this.lastError = errors[0];
+            return false;
+        }
+        if (JSON.stringify(map) === before) return false;
+
+        if (this.strokeStart === null) this.pushUndo(before);
+        this.redoStack = [];
+        this.map = map;
+        this.lastError = null;
+        this.reload();
+        return true;
+    }
+
+    pushUndo(json) {
+        this.undoStack.push(json);
+        if (this.undoStack.length > EDITOR_UNDO_LIMIT) this.undoStack.shift();
+    }
+
+    // A stroke (e.g. painting tiles while dragging) is undone as one edit
+    beginStroke() {
+        this.strokeStart = JSON.stringify(this.map);
+    }
+
+    endStroke() {
+        if (this.strokeStart === null) return;
+        if (this.strokeStart !== JSON.stringify(this.map)) this.pushUndo(this.strokeStart);
+        this.strokeStart = null;
+    }
+
+    // Block or free the tile at [col, row]
+    setObstacle(col, row, blocked) {
+        return this.edit(map => {
+            const index = map.obstacles.findIndex(([c, r]) => c === col && r === row);
+            if (blocked && index === -1) map.obstacles.push([col, row]);
+            if (!blocked && index !== -1) map.obstacles.splice(index, 1);
+        });
+    }
+
+    placeUnit(type, team, x, y) {
+        return this.edit(map => map.units.push({ type, team, x, y }));
+    }
+
+    // Erase the unit at (x, y), or the obstacle on that tile if there is no unit
+    eraseAt(x, y) {
+        // game.units are the map's units in order, the map has no armies
+        const unit = getUnitAt(x, y);
+        if (unit) {
+            const index = game.units.indexOf(unit);
+            return this.edit(map => map.units.splice(index, 1));
+        }
+        return this.setObstacle(Math.floor(x / TILE_SIZE), Math.floor(y / TILE_SIZE), false);
+    }
+
+    undo() {
+        if (this.undoStack.length === 0) return false;
+        this.redoStack.push(JSON.stringify(this.map));
+        this.map = JSON.parse(this.undoStack.pop());
+        this.reload();
+        return true;
+    }
+
+    redo() {
+        if (this.redoStack.length === 0) return false;
+        this.pushUndo(JSON.stringify(this.map));
+        this.map = JSON.parse(this.redoStack.pop());
+        this.reload();
+        return true;
+    }
+
+    // The edited map as JSON, loadable with parseMap()
+    save() {
+        return JSON.stringify(this.map);
+    }
+}
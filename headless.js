@@ -0,0 +1,41 @@
+// Node entry point for the simulation. Runs pathfinding.js, simulation.js, ai.js, mapgen.js
+// and editor.js as classic scripts in the global scope, the same way index.html loads them
+// into the page, and exports their public API. Without Worker support paths are planned
+// in this thread by pathRequests.update(), which stepGame() calls every tick.
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SCRIPTS = ['pathfinding.js', 'simulation.js', 'ai.js', 'mapgen.js', 'editor.js'];
+
+const API = [
+    // Pathfinding
+    'TILE_SIZE', 'PathMode', 'pathfinder', 'visibilityPathfinder', 'hierarchicalPathfinder',
+    'flowFields', 'planPath', 'comparePathModes', 'planPathOrNearest', 'findNearestReachablePoint', 'pathLength',
+    'computePerimeterData', 'updateObstacleTiles', 'TERRAIN_TYPES', 'terrainSpeed',
+    // Simulation
+    'Stance', 'Behavior', 'GroupMoveMode', 'Random', 'randomSeed', 'parseSeed', 'Unit', 'Knight', 'Archer',
+    'Catapult', 'Pikeman', 'Formation', 'Projectile', 'pathRequests', 'SIM_TICK_MS', 'SimulationClock',
+    'createGame', 'refreshWorldData', 'setupGame', 'stepGame', 'getFormations', 'getUnitAt',
+    'getUnitById', 'getUnitsInRect', 'setSelection', 'resolveMoveOrder', 'issueAttackOrder', 'issueMoveOrder',
+    'issueAttackMoveOrder', 'issueStopOrder', 'nextPathMode', 'nextGroupMoveMode', 'changeObstacles', 'heightAt', 'slopeSpeed',
+    'lineOfFire', 'TARGET_SCAN_TICKS', 'AUTO_TARGET_LEASH', 'DEFENSIVE_LEASH', 'POST_TOLERANCE', 'UNIT_MATCHUPS', 'setBehavior',
+    // Enemy commander
+    'AI_TEAM', 'AI_DIFFICULTIES', 'nextAIDifficulty', 'updateCommander',
+    // Maps
+    'randomMap', 'validateMap', 'parseMap', 'loadMap', 'exportMap', 'MAP_GENERATOR_DEFAULTS', 'generateMap',
+    'connectSpawnZones',
+    // Commands and replays
+    'issueCommand', 'selectCommand', 'applyCommand', 'recordMatch', 'parseRecording', 'ReplayPlayer',
+    // Snapshots
+    'snapshotGame', 'parseSnapshot', 'restoreSnapshot',
+    // Map editor
+    'MapEditor'
+];
+
+for (const file of SCRIPTS) {
+    vm.runInThisContext(fs.readFileSync(path.join(__dirname, file), 'utf8'), { filename: file });
+}
+
+// `game` is replaced by createGame() (and by replays), so it is exported as an accessor
+module.exports = vm.runInThisContext(`({ ${API.join(', ')}, currentGame: () => game })`);
@@ -0,0 +1,200 @@
+// Procedural map generator: rock clusters, forests, rivers with fords and ridges with a
+// single pass, rolled from a Random so the same seed gives the same map. Spawn zones
+// are always linked up, see connectSpawnZones(). No DOM access, loaded after
+// simulation.js (map format, defaultSpawnZones, randomArmies).
+
+const CHOKEPOINT_WIDTH = 2 // tiles a ridge's pass is wide
+const RIVER_WIDTH = 2 // tiles across a river
+const FORD_WIDTH = 2 // tiles along a river a ford is wide
+const SPAWN_CLEARANCE = 1 // tiles kept free of rock and river around spawn zones
+
+// Features generateMap() adds unless told otherwise
+const MAP_GENERATOR_DEFAULTS = {
+    rockClusters: 6, // clumps of impassable rock
+    rockSize: 8,     // tiles per rock clump
+    forests: 4,      // patches of forest terrain
+    forestSize: 24,  // tiles per forest
+    rivers: 1,       // rivers crossing the map, impassable except at fords
+    fords: 2,        // shallow crossings per river
+    chokepoints: 1   // ridges across the map with one narrow pass
+};
+
+// A map covering a world of width x height pixels with the features in options (see
+// MAP_GENERATOR_DEFAULTS), the default spawn zones and random armies. Rivers and ridges
+// run across the longer side of the map, between the spawn zones.
+function generateMap(width, height, random, options = {}) {
+    const params = Object.assign({}, MAP_GENERATOR_DEFAULTS, options);
+    const cols = Math.ceil(width / TILE_SIZE);
+    const rows = Math.ceil(height / TILE_SIZE);
+    const spawnZones = defaultSpawnZones(cols, rows);
+
+    const blocked = Array.from({ length: rows }, () => Array(cols).fill(false));
+    const terrain = Array.from({ length: rows }, () => Array(cols).fill('.'));
+
+    for (let i = 0; i < params.forests; i++) {
+        growBlob(cols, rows, params.forestSize, random).forEach(([col, row]) => terrain[row][col] = 'F');
+    }
+
+    for (let i = 0; i < params.rivers; i++) {
+        carveRiver(cols, rows, params.fords, random).forEach(({ col, row, ford }) => {
+            terrain[row][col] = '~';
+            blocked[row][col] = !ford;
+        });
+    }
+
+    for (let i = 0; i < params.chokepoints; i++) {
+        raiseRidge(cols, rows, random).forEach(([col, row]) => blocked[row][col] = true);
+    }
+
+    for (let i = 0; i < params.rockClusters; i++) {
+        growBlob(cols, rows, params.rockSize, random).forEach(([col, row]) => blocked[row][col] = true);
+    }
+
+    // Units need room to spawn and to leave
+    spawnZones.forEach(z => {
+        for (let row = z.y - SPAWN_CLEARANCE; row < z.y + z.height + SPAWN_CLEARANCE; row++) {
+            for (let col = z.x - SPAWN_CLEARANCE; col < z.x + z.width + SPAWN_CLEARANCE; col++) {
+                if (row >= 0 && col >= 0 && row < rows && col < cols) blocked[row][col] = false;
+            }
+        }
+    });
+
+    connectSpawnZones(blocked, spawnZones);
+
+    const obstacles = [];
+    blocked.forEach((line, row) => line.forEach((isBlocked, col) => {
+        if (isBlocked) obstacles.push([col, row]);
+    }));
+
+    return {
+        version: MAP_VERSION,
+        width: cols,
+        height: rows,
+        obstacles,
+        terrain: terrain.map(line => line.join('')),
+        spawnZones,
+        armies: randomArmies(random)
+    };
+}
+
+// About size connected tiles [[col, row], ...] grown from a random tile
+function growBlob(cols, rows, size, random) {
+    const start = [random.int(cols), random.int(rows)];
+    const tiles = [start];
+    const seen = new Set([keyRC(start[1], start[0])]);
+
+    // Grow from random tiles of the blob, a try that leaves the map or hits the blob is lost
+    for (let tries = 0; tiles.length < size && tries < size * 4; tries++) {
+        const [col, row] = tiles[random.int(tiles.length)];
+        const [dc, dr] = DIR4[random.int(DIR4.length)];
+        const next = [col + dc, row + dr];
+        if (!inBounds(next[1], next[0], rows, cols) || seen.has(keyRC(next[1], next[0]))) continue;
+        seen.add(keyRC(next[1], next[0]));
+        tiles.push(next);
+    }
+    return tiles;
+}
+
+// Position along and across the map for rivers and ridges: they run from edge to edge
+// along the shorter side, so they split the longer one
+function crossingTile(cols, rows, along, across) {
+    return cols >= rows ? [across, along] : [along, across];
+}
+
+// A river RIVER_WIDTH tiles wide meandering across the middle half of the map, as
+// [{col, row, ford}] with fords FORD_WIDTH tiles long at random places
+function carveRiver(cols, rows, fords, random) {
+    const length = Math.min(cols, rows);
+    const breadth = Math.max(cols, rows);
+    const fordStarts = Array.from({ length: fords }, () => random.int(Math.max(1, length - FORD_WIDTH + 1)));
+
+    const tiles = [];
+    let across = Math.floor(breadth / 4) + random.int(Math.max(1, Math.floor(breadth / 2)));
+    for (let along = 0; along < length; along++) {
+        const ford = fordStarts.some(start => along >= start && along < start + FORD_WIDTH);
+        for (let w = 0; w < RIVER_WIDTH; w++) {
+            const [col, row] = crossingTile(cols, rows, along, Math.min(across + w, breadth - 1));
+            tiles.push({ col, row, ford });
+        }
+        across = Math.max(0, Math.min(breadth - RIVER_WIDTH, across + random.int(3) - 1));
+    }
+    return tiles;
+}
+
+// A straight rock ridge across the map somewhere in its middle half, with one pass
+// CHOKEPOINT_WIDTH tiles wide, as [[col, row], ...] of the rock tiles
+function raiseRidge(cols, rows, random) {
+    const length = Math.min(cols, rows);
+    const breadth = Math.max(cols, rows);
+    const across = Math.floor(breadth / 4) + random.int(Math.max(1, Math.floor(breadth / 2)));
+    const pass = random.int(Math.max(1, length - CHOKEPOINT_WIDTH + 1));
+
+    const tiles = [];
+    for (let along = 0; along < length; along++) {
+        if (along >= pass && along < pass + CHOKEPOINT_WIDTH) continue;
+        tiles.push(crossingTile(cols, rows, along, across));
+    }
+    return tiles;
+}
+
+// Make sure units can walk from every spawn zone to every other: label the free regions
+// with labelComponents() and, while a zone is cut off from the first one, clear the
+// route between them that breaks through the fewest blocked tiles.
+// blocked is changed in place, returns the number of tiles cleared.
+function connectSpawnZones(blocked, spawnZones) {
+    const rows = blocked.length;
+    const cols = blocked[0].length;
+    let cleared = 0;
+
+    for (;;) {
+        const free = new Set();
+        blocked.forEach((line, row) => line.forEach((isBlocked, col) => {
+            if (!isBlocked) free.add(keyRC(row, col));
+        }));
+        const { compGrid } = labelComponents(rows, cols, free);
+
+        const home = spawnZones[0];
+        const cutOff = spawnZones.find(z => compGrid[z.y][z.x] !== compGrid[home.y][home.x]);
+        if (!cutOff) return cleared;
+
+        const route = cheapestBreach(blocked, [home.x, home.y], [cutOff.x, cutOff.y]);
+        route.forEach(([col, row]) => {
+            if (blocked[row][col]) cleared++;
+            blocked[row][col] = false;
+        });
+    }
+}
+
+// Tiles [[col, row], ...] from start to target crossing the fewest blocked tiles, moving
+// in 4 directions (0-1 breadth-first search)
+function cheapestBreach(blocked, start, target) {
+    const rows = blocked.length;
+    const cols = blocked[0].length;
+    const cost = new Float64Array(rows * cols).fill(Infinity);
+    const cameFrom = new Int32Array(rows * cols).fill(-1);
+
+    const startIndex = start[1] * cols + start[0];
+    cost[startIndex] = 0;
+    const deque = [startIndex];
+    while (deque.length > 0) {
+        const index = deque.shift();
+        const col = index % cols;
+        const row = (index - col) / cols;
+        for (const [dc, dr] of DIR4) {
+            if (!inBounds(row + dr, col + dc, rows, cols)) continue;
+            const next = (row + dr) * cols + col + dc;
+            const step = blocked[row + dr][col + dc] ? 1 : 0;
+            if (cost[index] + step >= cost[next]) continue;
+            cost[next] = cost[index] + step;
+            cameFrom[next] = index;
+            if (step === 0) deque.unshift(next); else deque.push(next);
+        }
+    }
+
+    const route = [];
+    for (let index = target[1] * cols + target[0]; index !== -1; index = cameFrom[index]) {
+        const col = index % cols;
+        route.push([col, (index - col) / cols]);
+    }
+    return route.reverse();
+}
@@ -0,0 +1,63 @@
+// Web Worker that plans paths for PathRequestService (simulation.js), so a burst of
+// orders never stalls rendering. It keeps its own copy of the obstacles and pathfinders.
+importScripts('pathfinding.js');
+
+// Stand-in for the game state pathfinding.js reads
+const game = {
+    width: 0,
+    height: 0,
+    obstacles: [],
+    terrain: null,
+    pathMode: PathMode.GRID,
+    pNodes: [],
+    pathCells: [],
+    pathMask: [],
+    compGrid: [],
+    compCount: 0,
+    obstacleSet: new Set(),
+    regionGrid: [],
+    regionCount: 0
+};
+
+const queue = new Map(); // request id -> request, oldest first
+let scheduled = false;
+
+self.onmessage = (e) => {
+    const msg = e.data;
+    if (msg.type === 'world') {
+        game.width = msg.width;
+        game.height = msg.height;
+        game.obstacles = msg.obstacles;
+        game.terrain = msg.terrain;
+        computePerimeterData();
+    } else if (msg.type === 'tiles') {
+        game.obstacles = msg.obstacles;
+        updateObstacleTiles(msg.tiles);
+    } else if (msg.type === 'path') {
+        queue.set(msg.id, msg);
+        schedule();
+    } else if (msg.type === 'cancel') {
+        queue.delete(msg.id);
+    }
+};
+
+// Plan one request per task, so cancel messages sent in the meantime are seen
+function schedule() {
+    if (scheduled || queue.size === 0) return;
+    scheduled = true;
+    setTimeout(processNext, 0);
+}
+
+function processNext() {
+    scheduled = false;
+    const request = queue.values().next().value;
+    if (!request) return;
+    queue.delete(request.id);
+
+    const result = planPathOrNearest(
+        request.startX, request.startY, request.targetX, request.targetY, request.mode, request.radius,
+        request.unitType
+    );
+    self.postMessage({ type: 'path', id: request.id, result });
+    schedule();
+}
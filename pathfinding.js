@@ -0,0 +1,1738 @@
+// Pathfinding and obstacle perimeter computation.
+// No DOM access here, so the same file is loaded by index.html (before simulation.js),
+// by pathWorker.js and by headless.js. Functions read the world size, obstacles and
+// shared state from `game`, which the including script defines.
+
+const TILE_SIZE = 32;
+const HPA_CHUNK_SIZE = 10 // chunk size in tiles for hierarchical pathfinding
+const HPA_MAX_ENTRANCE_WIDTH = 6 // wider border openings get two entrances
+const FLOW_FIELD_CACHE_SIZE = 8 // flow fields kept for reuse
+const CLEARANCE_SEARCH_RADIUS = 2 // tiles scanned around each tile for the clearance map
+const OBSTACLE_REPULSION_REACH = 2 // obstacles push away units within this many radii
+
+// Terrain types by the character a map's terrain rows use for them. speed multiplies a
+// unit's move speed on that terrain, per unit type with a default for the others.
+const TERRAIN_TYPES = {
+    '.': { name: 'grass', speed: { default: 1 } },
+    '=': { name: 'road', speed: { default: 1.25, knight: 1.5, catapult: 1.4 } },
+    'F': { name: 'forest', speed: { default: 0.6, knight: 0.45, catapult: 0.25 } },
+    'M': { name: 'marsh', speed: { default: 0.5, knight: 0.4, catapult: 0.3 } },
+    '~': { name: 'shallow water', speed: { default: 0.4, archer: 0.35, catapult: 0.2 } }
+};
+const TERRAIN_CHARS = Object.keys(TERRAIN_TYPES); // terrain index -> character
+
+
+// Binary min-heap of grid cell indices for the A* open set.
+// Ordered by fScore, ties broken by the order cells were pushed, which is
+// the same node the old linear scan over the open list used to pick.
+class NodeHeap {
+    constructor(capacity) {
+        this.items = new Int32Array(capacity);
+        this.position = new Int32Array(capacity).fill(-1); // cell index -> slot in items, -1 when not queued
+        this.order = new Uint32Array(capacity);            // insertion sequence per cell
+        this.size = 0;
+        this.counter = 0;
+        this.fScore = null;
+    }
+
+    reset(fScore) {
+        for (let i = 0; i < this.size; i++) this.position[this.items[i]] = -1;
+        this.size = 0;
+        this.counter = 0;
+        this.fScore = fScore;
+    }
+
+    has(node) {
+        return this.position[node] !== -1;
+    }
+
+    less(a, b) {
+        const fa = this.fScore[a];
+        const fb = this.fScore[b];
+        if (fa !== fb) return fa < fb;
+        return this.order[a] < this.order[b];
+    }
+
+    push(node) {
+        this.order[node] = this.counter++;
+        this.items[this.size] = node;
+        this.position[node] = this.size;
+        this.size++;
+        this.siftUp(this.size - 1);
+    }
+
+    pop() {
+        const top = this.items[0];
+        this.position[top] = -1;
+        this.size--;
+        if (this.size > 0) {
+            const last = this.items[this.size];
+            this.items[0] = last;
+            this.position[last] = 0;
+            this.siftDown(0);
+        }
+        return top;
+    }
+
+    // Call after lowering the fScore of a node that is already queued
+    decreaseKey(node) {
+        this.siftUp(this.position[node]);
+    }
+
+    siftUp(i) {
+        const items = this.items;
+        const node = items[i];
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            const p = items[parent];
+            if (!this.less(node, p)) break;
+            items[i] = p;
+            this.position[p] = i;
+            i = parent;
+        }
+        items[i] = node;
+        this.position[node] = i;
+    }
+
+    siftDown(i) {
+        const items = this.items;
+        const node = items[i];
+        const half = this.size >> 1;
+        while (i < half) {
+            let child = 2 * i + 1;
+            const right = child + 1;
+            if (right < this.size && this.less(items[right], items[child])) child = right;
+            if (!this.less(items[child], node)) break;
+            items[i] = items[child];
+            this.position[items[i]] = i;
+            i = child;
+        }
+        items[i] = node;
+        this.position[node] = i;
+    }
+}
+
+class AStar {
+    constructor() {
+        // Grid size follows the world size, set by rebuildOccupancy()
+        this.gridWidth = 0;
+        this.gridHeight = 0;
+
+        // Occupancy grid (1 = obstacle), indexed by gy * gridWidth + gx.
+        // Rebuilt from game.obstacles by rebuildOccupancy()
+        this.occupancy = new Uint8Array(this.gridWidth * this.gridHeight);
+
+        // Clearance map: distance in pixels from each tile center to the nearest
+        // obstacle or map edge, capped at (CLEARANCE_SEARCH_RADIUS + 0.5) tiles.
+        // Measured per axis (Chebyshev) because units collide as squares of half-size radius.
+        this.clearance = new Float32Array(this.gridWidth * this.gridHeight);
+
+        // Passage map: half the free width through each tile center across the narrower
+        // axis, capped like the clearance. A unit held between obstacles on both sides
+        // closer than OBSTACLE_REPULSION_REACH radii is pushed back as hard as it walks
+        // and stalls, so a one-tile gap (16px) is too narrow for a catapult (10px).
+        this.passage = new Float32Array(this.gridWidth * this.gridHeight);
+
+        // Terrain per tile as an index into TERRAIN_CHARS (0 = grass), from game.terrain
+        this.terrain = new Uint8Array(this.gridWidth * this.gridHeight);
+        this.terrainPresent = [0];   // terrain indices that occur on the map
+        this.terrainCostCache = {};  // unit type -> cost per terrain index (1 / speed)
+
+        this.allocateSearchBuffers();
+    }
+
+    // Scratch buffers reused by every findPath call
+    allocateSearchBuffers() {
+        const cellCount = this.gridWidth * this.gridHeight;
+        this.gScore = new Float64Array(cellCount);
+        this.fScore = new Float64Array(cellCount);
+        this.cameFrom = new Int32Array(cellCount);
+        this.openHeap = new NodeHeap(cellCount);
+    }
+
+    // Sync the occupancy grid with game.obstacles (and the grid size with the world size).
+    // Called from computePerimeterData whenever obstacles are placed or changed.
+    rebuildOccupancy() {
+        const gridWidth = Math.ceil(game.width / TILE_SIZE);
+        const gridHeight = Math.ceil(game.height / TILE_SIZE);
+        if (gridWidth !== this.gridWidth || gridHeight !== this.gridHeight) {
+            this.gridWidth = gridWidth;
+            this.gridHeight = gridHeight;
+            this.allocateSearchBuffers();
+        }
+
+        this.occupancy = new Uint8Array(gridWidth * gridHeight);
+        for (const ob of game.obstacles) {
+            this.setBlocked(Math.floor(ob.x / TILE_SIZE), Math.floor(ob.y / TILE_SIZE), true);
+        }
+
+        this.clearance = new Float32Array(gridWidth * gridHeight);
+        this.passage = new Float32Array(gridWidth * gridHeight);
+        this.updateClearance(0, 0, gridWidth - 1, gridHeight - 1);
+
+        this.rebuildTerrain();
+    }
+
+    // Sync the terrain grid with game.terrain (rows of TERRAIN_TYPES characters, or null
+    // for grass everywhere)
+    rebuildTerrain() {
+        this.terrain = new Uint8Array(this.gridWidth * this.gridHeight);
+        const present = new Set([0]);
+        const rows = game.terrain || [];
+        for (let gy = 0; gy < Math.min(rows.length, this.gridHeight); gy++) {
+            for (let gx = 0; gx < Math.min(rows[gy].length, this.gridWidth); gx++) {
+                const index = Math.max(0, TERRAIN_CHARS.indexOf(rows[gy][gx]));
+                this.terrain[gy * this.gridWidth + gx] = index;
+                present.add(index);
+            }
+        }
+        this.terrainPresent = [...present];
+    }
+
+    // Cost of crossing each terrain type (by index) for a unit type, 1 on grass
+    terrainCosts(unitType) {
+        const key = unitType || 'default';
+        if (!this.terrainCostCache[key]) {
+            this.terrainCostCache[key] = Float64Array.from(TERRAIN_CHARS, c => 1 / terrainSpeedFor(c, unitType));
+        }
+        return this.terrainCostCache[key];
+    }
+
+    // Terrain index of the tile at (gx, gy), grass outside the grid
+    terrainIndexAt(gx, gy) {
+        if (gx < 0 || gy < 0 || gx >= this.gridWidth || gy >= this.gridHeight) return 0;
+        return this.terrain[gy * this.gridWidth + gx];
+    }
+
+    // Update the occupancy of tiles [[gx, gy], ...] that became blocked or free, and the
+    // clearance of every tile within CLEARANCE_SEARCH_RADIUS of them
+    updateTiles(tiles, blocked) {
+        if (tiles.length === 0) return;
+        tiles.forEach(([gx, gy]) => this.setBlocked(gx, gy, blocked.has(keyRC(gy, gx))));
+
+        const K = CLEARANCE_SEARCH_RADIUS;
+        const xs = tiles.map(([gx]) => gx);
+        const ys = tiles.map(([, gy]) => gy);
+        this.updateClearance(Math.min(...xs) - K, Math.min(...ys) - K, Math.max(...xs) + K, Math.max(...ys) + K);
+    }
+
+    // Recompute the clearance and passage maps for the tiles in a rectangle (inclusive grid bounds)
+    updateClearance(minGX, minGY, maxGX, maxGY) {
+        const K = CLEARANCE_SEARCH_RADIUS;
+        const maxClearance = (K + 0.5) * TILE_SIZE;
+
+        for (let gy = Math.max(0, minGY); gy <= Math.min(this.gridHeight - 1, maxGY); gy++) {
+            for (let gx = Math.max(0, minGX); gx <= Math.min(this.gridWidth - 1, maxGX); gx++) {
+                let best = this.isBlocked(gx, gy) ? 0 : maxClearance;
+
+                // Distance from this tile's center to the edge of each blocked tile nearby
+                for (let oy = -K; oy <= K && best > 0; oy++) {
+                    for (let ox = -K; ox <= K; ox++) {
+                        if (!this.isBlocked(gx + ox, gy + oy)) continue;
+                        const ex = Math.max(0, Math.abs(ox) - 0.5);
+                        const ey = Math.max(0, Math.abs(oy) - 0.5);
+                        best = Math.min(best, Math.max(ex, ey) * TILE_SIZE);
+                    }
+                }
+
+                this.clearance[gy * this.gridWidth + gx] = best;
+                this.passage[gy * this.gridWidth + gx] = best > 0 ? Math.min(
+                    this.freeDistance(gx, gy, -1, 0) + this.freeDistance(gx, gy, 1, 0),
+                    this.freeDistance(gx, gy, 0, -1) + this.freeDistance(gx, gy, 0, 1)
+                ) / 2 : 0;
+            }
+        }
+    }
+
+    // Distance in pixels from the center of free tile (gx, gy) to the nearest obstacle
+    // or map edge in direction (dx, dy), capped like the clearance
+    freeDistance(gx, gy, dx, dy) {
+        for (let step = 1; step <= CLEARANCE_SEARCH_RADIUS; step++) {
+            if (this.isBlocked(gx + dx * step, gy + dy * step)) return (step - 0.5) * TILE_SIZE;
+        }
+        return (CLEARANCE_SEARCH_RADIUS + 0.5) * TILE_SIZE;
+    }
+
+    // Check if a unit of the given radius fits on a grid cell and can walk through it
+    // without being stalled by obstacles on both sides
+    isPassable(gx, gy, radius) {
+        if (this.isBlocked(gx, gy)) return false;
+        const index = gy * this.gridWidth + gx;
+        return radius <= 0 ||
+            (this.clearance[index] >= radius && this.passage[index] >= radius * OBSTACLE_REPULSION_REACH);
+    }
+
+    // Mark a single grid cell as blocked or free
+    setBlocked(gx, gy, blocked) {
+        if (gx < 0 || gy < 0 || gx >= this.gridWidth || gy >= this.gridHeight) return;
+        this.occupancy[gy * this.gridWidth + gx] = blocked ? 1 : 0;
+    }
+
+    // Helper: check if a grid cell is blocked by an obstacle
+    isBlocked(gx, gy) {
+        if (gx < 0 || gy < 0 || gx >= this.gridWidth || gy >= this.gridHeight) return true;
+        return this.occupancy[gy * this.gridWidth + gx] === 1;
+    }
+
+    // Heuristic: Euclidean distance between grid cells
+    heuristic(ax, ay, bx, by) {
+        const dx = ax - bx;
+        const dy = ay - by;
+        return Math.sqrt(dx * dx + dy * dy);
+    }
+
+    // Find path using A* algorithm. With a radius, only tiles the unit can pass (see
+    // isPassable) are expanded and smoothing keeps that distance from obstacles. Steps
+    // are weighted by the terrain cost for unitType (the average of both tiles), so units
+    // prefer roads and go around terrain that slows them down.
+    findPath(startX, startY, targetX, targetY, radius = 0, unitType = null) {
+        // Convert world coords to grid coords
+        const startGX = Math.floor(startX / TILE_SIZE);
+        const startGY = Math.floor(startY / TILE_SIZE);
+        const targetGX = Math.floor(targetX / TILE_SIZE);
+        const targetGY = Math.floor(targetY / TILE_SIZE);
+
+        // If start or target is outside or blocked, bail out
+        if (this.isBlocked(startGX, startGY)) {
+            return null;
+        }
+        if (this.isBlocked(targetGX, targetGY)) {
+            return null;
+        }
+
+        // If start and target are same tile, return immediate path (start -> center of tile)
+        if (startGX === targetGX && startGY === targetGY) {
+            return [{ x: startX, y: startY }, { x: targetGX * TILE_SIZE + TILE_SIZE / 2, y: targetGY * TILE_SIZE + TILE_SIZE / 2 }];
+        }
+
+        // A* structures, cells are addressed by index = gy * gridWidth + gx
+        const width = this.gridWidth;
+        const gScore = this.gScore;
+        const fScore = this.fScore;
+        const cameFrom = this.cameFrom;
+        const openHeap = this.openHeap;
+
+        gScore.fill(Infinity);
+        fScore.fill(Infinity);
+        openHeap.reset(fScore);
+
+        const startIndex = startGY * width + startGX;
+        const targetIndex = targetGY * width + targetGX;
+
+        // The heuristic assumes the cheapest terrain on the map all the way, so it never
+        // overestimates (on an all-grass map costs are 1 and the search is unweighted)
+        const terrain = this.terrain;
+        const costs = this.terrainCosts(unitType);
+        const minCost = Math.min(...this.terrainPresent.map(t => costs[t]));
+
+        gScore[startIndex] = 0;
+        fScore[startIndex] = this.heuristic(startGX, startGY, targetGX, targetGY) * minCost;
+        cameFrom[startIndex] = -1;
+        openHeap.push(startIndex);
+
+        // 8-direction neighbors
+        const neighbors = [
+            [1, 0], [-1, 0], [0, 1], [0, -1],
+            [1, 1], [1, -1], [-1, 1], [-1, -1]
+        ];
+
+        while (openHeap.size > 0) {
+            // node with lowest fScore
+            const current = openHeap.pop();
+
+            // if reached target, reconstruct
+            if (current === targetIndex) {
+                const rawPath = this.reconstructPath(cameFrom, current, startX, startY, targetX, targetY);
+                this.padEndpoints(rawPath, radius);
+                // Smooth the path before returning it
+                return this.smoothPath(rawPath, radius, unitType);
+            }
+
+            const cx = current % width;
+            const cy = (current - cx) / width;
+
+            for (let [dx, dy] of neighbors) {
+                const nx = cx + dx;
+                const ny = cy + dy;
+
+                const neighbor = ny * width + nx;
+
+                // bounds & blocked check (the target tile is always allowed if free)
+                if (neighbor === targetIndex ? this.isBlocked(nx, ny) : !this.isPassable(nx, ny, radius)) continue;
+
+                // Prevent cutting corners: if diagonal, ensure both adjacent orthogonals are free
+                if (dx !== 0 && dy !== 0) {
+                    if (!this.isPassable(cx + dx, cy, radius) || !this.isPassable(cx, cy + dy, radius)) {
+                        continue;
+                    }
+                }
+
+                // tentative g score
+                const step = (dx === 0 || dy === 0) ? 1 : Math.SQRT2;
+                const tentativeG = gScore[current] + step * (costs[terrain[current]] + costs[terrain[neighbor]]) / 2;
+
+                if (tentativeG < gScore[neighbor]) {
+                    cameFrom[neighbor] = current;
+                    gScore[neighbor] = tentativeG;
+                    const h = this.heuristic(nx, ny, targetGX, targetGY) * minCost;
+                    fScore[neighbor] = tentativeG + h;
+
+                    if (openHeap.has(neighbor)) {
+                        openHeap.decreaseKey(neighbor);
+                    } else {
+                        openHeap.push(neighbor);
+                    }
+                }
+            }
+        }
+
+        return null;
+    }
+
+    reconstructPath(cameFrom, currentIndex, startX, startY, targetX, targetY) {
+        const path = [];
+        let current = currentIndex;
+
+        const nodes = [];
+        while (current !== -1) {
+            const x = current % this.gridWidth;
+            const y = (current - x) / this.gridWidth;
+            nodes.unshift({
+                x: x * TILE_SIZE + TILE_SIZE / 2,
+                y: y * TILE_SIZE + TILE_SIZE / 2
+            });
+            current = cameFrom[current];
+        }
+
+        // Always start from actual position
+        path.push({ x: startX, y: startY });
+
+        // Skip the first node if it’s the same tile we started in
+        if (nodes.length > 0) {
+            const firstNode = nodes[0];
+            const startTileX = Math.floor(startX / TILE_SIZE);
+            const startTileY = Math.floor(startY / TILE_SIZE);
+            const firstNodeTileX = Math.floor(firstNode.x / TILE_SIZE);
+            const firstNodeTileY = Math.floor(firstNode.y / TILE_SIZE);
+
+            if (startTileX === firstNodeTileX && startTileY === firstNodeTileY) {
+                nodes.shift();
+            }
+        }
+
+        // Add nodes but override the final one with exact target
+        if (nodes.length > 0) {
+            path.push(...nodes.slice(0, -1)); // all but last
+        }
+        path.push({ x: targetX, y: targetY }); // exact target point
+
+        return path;
+    }
+
+    // True if no obstacle comes within radius of the segment (touches it, for radius 0).
+    // Only obstacle tiles inside the segment's bounding box are tested.
+    isSegmentClear(x1, y1, x2, y2, radius = 0) {
+        const minGX = Math.max(0, Math.ceil((Math.min(x1, x2) - radius) / TILE_SIZE) - 1);
+        const maxGX = Math.min(this.gridWidth - 1, Math.floor((Math.max(x1, x2) + radius) / TILE_SIZE));
+        const minGY = Math.max(0, Math.ceil((Math.min(y1, y2) - radius) / TILE_SIZE) - 1);
+        const maxGY = Math.min(this.gridHeight - 1, Math.floor((Math.max(y1, y2) + radius) / TILE_SIZE));
+
+        for (let gy = minGY; gy <= maxGY; gy++) {
+            for (let gx = minGX; gx <= maxGX; gx++) {
+                if (!this.isBlocked(gx, gy)) continue;
+                const obstacle = { x: gx * TILE_SIZE, y: gy * TILE_SIZE };
+                const hit = radius > 0
+                    ? segmentWithinRadiusOfAABB(x1, y1, x2, y2, obstacle, radius)
+                    : lineIntersectsAABB(x1, y1, x2, y2, obstacle);
+                if (hit) return false;
+            }
+        }
+        return true;
+    }
+
+    // A unit with a body may not fit on the straight line between its exact start
+    // (or target) point and the neighbouring tile, route it through the tile center instead
+    padEndpoints(path, radius) {
+        if (radius <= 0 || path.length < 2) return;
+
+        const tileCenter = (p) => ({
+            x: Math.floor(p.x / TILE_SIZE) * TILE_SIZE + TILE_SIZE / 2,
+            y: Math.floor(p.y / TILE_SIZE) * TILE_SIZE + TILE_SIZE / 2
+        });
+
+        if (!this.isSegmentClear(path[0].x, path[0].y, path[1].x, path[1].y, radius)) {
+            path.splice(1, 0, tileCenter(path[0]));
+        }
+        const last = path.length - 1;
+        if (!this.isSegmentClear(path[last - 1].x, path[last - 1].y, path[last].x, path[last].y, radius)) {
+            path.splice(last, 0, tileCenter(path[last]));
+        }
+    }
+
+    // True if the segment only crosses tiles that cost unitType the same as its first tile,
+    // so a shortcut along it never leads across slower terrain (or off a road)
+    isSegmentUniformTerrain(x1, y1, x2, y2, unitType = null) {
+        if (this.terrainPresent.length === 1) return true;
+
+        const costs = this.terrainCosts(unitType);
+        const costAt = (x, y) => costs[this.terrainIndexAt(Math.floor(x / TILE_SIZE), Math.floor(y / TILE_SIZE))];
+        const cost = costAt(x1, y1);
+        const samples = Math.ceil(Math.hypot(x2 - x1, y2 - y1) / (TILE_SIZE / 4));
+        for (let i = 1; i <= samples; i++) {
+            const t = i / samples;
+            if (costAt(x1 + (x2 - x1) * t, y1 + (y2 - y1) * t) !== cost) return false;
+        }
+        return true;
+    }
+
+    // True if every tile the segment crosses between its end tiles is passable for the radius,
+    // so a shortcut never squeezes through a gap the search went round
+    isSegmentPassable(x1, y1, x2, y2, radius = 0) {
+        if (radius <= 0) return true;
+
+        const tileOf = (x, y) => [Math.floor(x / TILE_SIZE), Math.floor(y / TILE_SIZE)];
+        const [startGX, startGY] = tileOf(x1, y1);
+        const [endGX, endGY] = tileOf(x2, y2);
+        const samples = Math.ceil(Math.hypot(x2 - x1, y2 - y1) / (TILE_SIZE / 4));
+        for (let i = 1; i < samples; i++) {
+            const t = i / samples;
+            const [gx, gy] = tileOf(x1 + (x2 - x1) * t, y1 + (y2 - y1) * t);
+            if ((gx === startGX && gy === startGY) || (gx === endGX && gy === endGY)) continue;
+            if (!this.isPassable(gx, gy, radius)) return false;
+        }
+        return true;
+    }
+
+    smoothPath(rawPath, radius = 0, unitType = null) {
+        if (rawPath.length <= 2) {
+            return rawPath; // No smoothing needed for paths with 2 or fewer points
+        }
+
+        const smoothedPath = [rawPath[0]]; // Start with the first point
+        let currentIndex = 0;
+
+        while (currentIndex < rawPath.length - 1) {
+            let nextIndex = currentIndex + 1;
+            while (nextIndex < rawPath.length) {
+                const startPoint = smoothedPath[smoothedPath.length - 1];
+                const endPoint = rawPath[nextIndex];
+
+                // Check if the line between startPoint and endPoint intersects any obstacles, crosses
+                // a gap the unit can't pass or changes terrain (which would undo the weighted search)
+                const hasObstacle = !this.isSegmentClear(startPoint.x, startPoint.y, endPoint.x, endPoint.y, radius) ||
+                    !this.isSegmentPassable(startPoint.x, startPoint.y, endPoint.x, endPoint.y, radius) ||
+                    !this.isSegmentUniformTerrain(startPoint.x, startPoint.y, endPoint.x, endPoint.y, unitType);
+
+                if (!hasObstacle) {
+                    // If there's no obstacle, we can skip all intermediate points
+                    nextIndex++;
+                } else {
+                    // If there's an obstacle, we can only go up to the previous point
+                    nextIndex--;
+                    break;
+                }
+            }
+
+            if (nextIndex >= rawPath.length) {
+                nextIndex = rawPath.length - 1;
+            }
+
+            if (nextIndex > currentIndex) {
+                smoothedPath.push(rawPath[nextIndex]);
+                currentIndex = nextIndex;
+            } else {
+                // If we couldn't find a clear path, move to the next point
+                currentIndex++;
+                if (currentIndex < rawPath.length) {
+                    smoothedPath.push(rawPath[currentIndex]);
+                }
+            }
+        }
+
+        return smoothedPath;
+    }
+}
+
+// Helper function to check if a line segment intersects an AABB
+function lineIntersectsAABB(x1, y1, x2, y2, obstacle) {
+    // Check if either endpoint is inside the obstacle
+    if ((x1 >= obstacle.x && x1 <= obstacle.x + TILE_SIZE &&
+         y1 >= obstacle.y && y1 <= obstacle.y + TILE_SIZE) ||
+        (x2 >= obstacle.x && x2 <= obstacle.x + TILE_SIZE &&
+         y2 >= obstacle.y && y2 <= obstacle.y + TILE_SIZE)) {
+        return true;
+    }
+
+    // Check if the line segment intersects any of the edges of the AABB
+    const edges = [
+        // Top edge
+        { x1: obstacle.x, y1: obstacle.y, x2: obstacle.x + TILE_SIZE, y2: obstacle.y },
+        // Right edge
+        { x1: obstacle.x + TILE_SIZE, y1: obstacle.y, x2: obstacle.x + TILE_SIZE, y2: obstacle.y + TILE_SIZE },
+        // Bottom edge
+        { x1: obstacle.x, y1: obstacle.y + TILE_SIZE, x2: obstacle.x + TILE_SIZE, y2: obstacle.y + TILE_SIZE },
+        // Left edge
+        { x1: obstacle.x, y1: obstacle.y, x2: obstacle.x, y2: obstacle.y + TILE_SIZE }
+    ];
+
+    for (const edge of edges) {
+        if (lineSegmentsIntersect(x1, y1, x2, y2, edge.x1, edge.y1, edge.x2, edge.y2)) {
+            return true;
+        }
+    }
+
+    return false;
+}
+
+// Helper function to check if two line segments intersect
+function lineSegmentsIntersect(x1, y1, x2, y2, x3, y3, x4, y4) {
+    // Calculate the direction of the lines
+    const uA = ((x4 - x3) * (y1 - y3) - (y4 - y3) * (x1 - x3)) / ((y4 - y3) * (x2 - x1) - (x4 - x3) * (y2 - y1));
+    const uB = ((x2 - x1) * (y1 - y3) - (y2 - y1) * (x1 - x3)) / ((y4 - y3) * (x2 - x1) - (x4 - x3) * (y2 - y1));
+
+    // If uA and uB are between 0 and 1, the lines intersect
+    if (uA >= 0 && uA <= 1 && uB >= 0 && uB <= 1) {
+        return true;
+    }
+
+    return false;
+}
+
+// Helper function to check if a line segment intersects an axis-aligned rectangle
+function segmentIntersectsRect(x1, y1, x2, y2, rx, ry, rw, rh) {
+    if ((x1 >= rx && x1 <= rx + rw && y1 >= ry && y1 <= ry + rh) ||
+        (x2 >= rx && x2 <= rx + rw && y2 >= ry && y2 <= ry + rh)) {
+        return true;
+    }
+    return lineSegmentsIntersect(x1, y1, x2, y2, rx, ry, rx + rw, ry) ||
+        lineSegmentsIntersect(x1, y1, x2, y2, rx + rw, ry, rx + rw, ry + rh) ||
+        lineSegmentsIntersect(x1, y1, x2, y2, rx, ry + rh, rx + rw, ry + rh) ||
+        lineSegmentsIntersect(x1, y1, x2, y2, rx, ry, rx, ry + rh);
+}
+
+// Helper function to check if a unit of the given radius moving along a line segment
+// would touch an obstacle tile. Units collide as squares (see Unit.checkObstacleCollision),
+// so the tile is grown by the radius on every side.
+function segmentWithinRadiusOfAABB(x1, y1, x2, y2, obstacle, radius) {
+    return segmentIntersectsRect(
+        x1, y1, x2, y2,
+        obstacle.x - radius, obstacle.y - radius,
+        TILE_SIZE + radius * 2, TILE_SIZE + radius * 2
+    );
+}
+
+// Global A* instance
+const pathfinder = new AStar();
+
+// Available pathfinding modes, selectable per path request
+const PathMode = {
+    GRID: 'grid',                // tile A* (AStar)
+    VISIBILITY: 'visibility',    // visibility graph over perimeter p-nodes (VisibilityGraph)
+    HIERARCHICAL: 'hierarchical' // chunked abstract graph for large maps (HierarchicalPathfinder)
+};
+
+// Visibility-graph pathfinder built on the perimeter data from computePerimeterData.
+// Every free perimeter tile (game.clean_node_positions) becomes a node, and nodes that
+// can see each other (no obstacle crossed by the straight segment) are connected.
+class VisibilityGraph {
+    constructor() {
+        this.nodes = [];                 // [{x, y, r, c}] tile centers of perimeter nodes
+        this.edgesByRadius = new Map();  // unit radius -> edges, edges[i] = [{to, cost}]
+        this.dirty = true;
+    }
+
+    // Mark the graph as stale, it is rebuilt on the next query
+    invalidate() {
+        this.dirty = true;
+    }
+
+    build() {
+        const positions = game.clean_node_positions || [];
+        this.nodes = positions.map(node => ({
+            r: node.r,
+            c: node.c,
+            x: node.c * TILE_SIZE + TILE_SIZE / 2,
+            y: node.r * TILE_SIZE + TILE_SIZE / 2
+        }));
+        this.edgesByRadius.clear();
+
+        this.dirty = false;
+    }
+
+    // Edges between nodes a unit of the given radius can travel between in a straight line,
+    // built on first use for each radius
+    edgesFor(radius) {
+        if (this.edgesByRadius.has(radius)) return this.edgesByRadius.get(radius);
+
+        const edges = this.nodes.map(() => []);
+        for (let i = 0; i < this.nodes.length; i++) {
+            const a = this.nodes[i];
+            for (let j = i + 1; j < this.nodes.length; j++) {
+                const b = this.nodes[j];
+                if (!pathfinder.isSegmentClear(a.x, a.y, b.x, b.y, radius)) continue;
+                const cost = Math.hypot(b.x - a.x, b.y - a.y);
+                edges[i].push({ to: j, cost });
+                edges[j].push({ to: i, cost });
+            }
+        }
+
+        this.edgesByRadius.set(radius, edges);
+        return edges;
+    }
+
+    // Find path over the visibility graph, same contract as AStar.findPath:
+    // returns [{x, y}, ...] from the start position to the exact target, or null.
+    // Every straight segment keeps radius away from obstacles.
+    findPath(startX, startY, targetX, targetY, radius = 0) {
+        const startGX = Math.floor(startX / TILE_SIZE);
+        const startGY = Math.floor(startY / TILE_SIZE);
+        const targetGX = Math.floor(targetX / TILE_SIZE);
+        const targetGY = Math.floor(targetY / TILE_SIZE);
+
+        if (pathfinder.isBlocked(startGX, startGY) || pathfinder.isBlocked(targetGX, targetGY)) {
+            return null;
+        }
+
+        // Direct line of sight, no planning needed
+        if (pathfinder.isSegmentClear(startX, startY, targetX, targetY, radius)) {
+            return [{ x: startX, y: startY }, { x: targetX, y: targetY }];
+        }
+
+        if (this.dirty) this.build();
+        const graphEdges = this.edgesFor(radius);
+
+        // Start and target are temporary nodes appended after the graph nodes
+        const nodeCount = this.nodes.length;
+        const startIndex = nodeCount;
+        const targetIndex = nodeCount + 1;
+        const points = this.nodes.concat([{ x: startX, y: startY }, { x: targetX, y: targetY }]);
+
+        const startEdges = [];
+        const targetEdges = [];
+        for (let i = 0; i < nodeCount; i++) {
+            const node = this.nodes[i];
+            if (pathfinder.isSegmentClear(startX, startY, node.x, node.y, radius)) {
+                startEdges.push({ to: i, cost: Math.hypot(node.x - startX, node.y - startY) });
+            }
+            if (pathfinder.isSegmentClear(node.x, node.y, targetX, targetY, radius)) {
+                targetEdges.push(i);
+            }
+        }
+        const reachesTarget = new Set(targetEdges);
+
+        const gScore = new Float64Array(nodeCount + 2).fill(Infinity);
+        const fScore = new Float64Array(nodeCount + 2).fill(Infinity);
+        const cameFrom = new Int32Array(nodeCount + 2).fill(-1);
+        const openHeap = new NodeHeap(nodeCount + 2);
+        openHeap.reset(fScore);
+
+        const heuristic = (i) => Math.hypot(targetX - points[i].x, targetY - points[i].y);
+
+        gScore[startIndex] = 0;
+        fScore[startIndex] = heuristic(startIndex);
+        openHeap.push(startIndex);
+
+        while (openHeap.size > 0) {
+            const current = openHeap.pop();
+
+            if (current === targetIndex) {
+                const rawPath = [];
+                for (let i = current; i !== -1; i = cameFrom[i]) {
+                    rawPath.unshift({ x: points[i].x, y: points[i].y });
+                }
+                return pathfinder.smoothPath(rawPath, radius);
+            }
+
+            const edges = current === startIndex ? startEdges : graphEdges[current];
+            const relax = (to, cost) => {
+                const tentativeG = gScore[current] + cost;
+                if (tentativeG < gScore[to]) {
+                    cameFrom[to] = current;
+                    gScore[to] = tentativeG;
+                    fScore[to] = tentativeG + heuristic(to);
+                    if (openHeap.has(to)) {
+                        openHeap.decreaseKey(to);
+                    } else {
+                        openHeap.push(to);
+                    }
+                }
+            };
+
+            for (const edge of edges) relax(edge.to, edge.cost);
+            if (reachesTarget.has(current)) {
+                relax(targetIndex, Math.hypot(targetX - points[current].x, targetY - points[current].y));
+            }
+        }
+
+        return null;
+    }
+}
+
+// Global visibility-graph instance
+const visibilityPathfinder = new VisibilityGraph();
+
+// Hierarchical (HPA*-style) pathfinder. The tile grid is split into HPA_CHUNK_SIZE chunks,
+// entrances are placed where two neighbouring chunks share free border tiles, and the
+// shortest in-chunk routes between the entrances of a chunk are precomputed. Queries
+// search that abstract graph and refine the result back into tile waypoints.
+class HierarchicalPathfinder {
+    constructor(chunkSize = HPA_CHUNK_SIZE) {
+        this.chunkSize = chunkSize;
+        this.gridWidth = 0;
+        this.gridHeight = 0;
+        this.chunksX = 0;
+        this.chunksY = 0;
+        this.snapshot = null;       // copy of pathfinder.occupancy the chunks were built from
+        this.borders = new Map();   // 'V:cx,cy' / 'H:cx,cy' -> [{a, b}] transitions (a in chunk cx,cy, b in its right/lower neighbour)
+        this.chunkEdges = [];       // chunk index -> [{from, to, cost, cells}] in-chunk routes between entrances
+        this.graph = null;          // abstract graph, rebuilt lazily from borders and chunkEdges
+    }
+
+    // Bring the chunks in line with pathfinder.occupancy. Only chunks touching tiles
+    // that changed since the last sync are rebuilt, a resized grid rebuilds everything.
+    sync() {
+        const width = pathfinder.gridWidth;
+        const height = pathfinder.gridHeight;
+        const occupancy = pathfinder.occupancy;
+
+        if (!this.snapshot || width !== this.gridWidth || height !== this.gridHeight) {
+            this.gridWidth = width;
+            this.gridHeight = height;
+            this.chunksX = Math.ceil(width / this.chunkSize);
+            this.chunksY = Math.ceil(height / this.chunkSize);
+            this.snapshot = occupancy.slice();
+            this.rebuildAll();
+            return;
+        }
+
+        const changed = [];
+        for (let i = 0; i < occupancy.length; i++) {
+            if (occupancy[i] !== this.snapshot[i]) changed.push(i);
+        }
+        if (changed.length === 0) return;
+
+        this.snapshot = occupancy.slice();
+        this.updateTiles(changed);
+    }
+
+    rebuildAll() {
+        this.borders.clear();
+        for (let cy = 0; cy < this.chunksY; cy++) {
+            for (let cx = 0; cx < this.chunksX; cx++) {
+                if (cx + 1 < this.chunksX) this.buildBorder('V', cx, cy);
+                if (cy + 1 < this.chunksY) this.buildBorder('H', cx, cy);
+            }
+        }
+
+        this.chunkEdges = new Array(this.chunksX * this.chunksY);
+        for (let i = 0; i < this.chunkEdges.length; i++) this.buildChunkEdges(i);
+        this.graph = null;
+    }
+
+    // Rebuild only what the changed tiles can affect: the borders they sit on and
+    // every chunk on either side of a rebuilt border
+    updateTiles(tiles) {
+        const S = this.chunkSize;
+        const dirtyBorders = new Set();
+        const dirtyChunks = new Set();
+
+        for (const tile of tiles) {
+            const gx = tile % this.gridWidth;
+            const gy = (tile - gx) / this.gridWidth;
+            const cx = Math.floor(gx / S);
+            const cy = Math.floor(gy / S);
+            dirtyChunks.add(cy * this.chunksX + cx);
+
+            if (gx % S === S - 1 && cx + 1 < this.chunksX) dirtyBorders.add(`V:${cx},${cy}`);
+            if (gx % S === 0 && cx > 0) dirtyBorders.add(`V:${cx - 1},${cy}`);
+            if (gy % S === S - 1 && cy + 1 < this.chunksY) dirtyBorders.add(`H:${cx},${cy}`);
+            if (gy % S === 0 && cy > 0) dirtyBorders.add(`H:${cx},${cy - 1}`);
+        }
+
+        dirtyBorders.forEach(key => {
+            const [dir, pos] = key.split(':');
+            const [cx, cy] = pos.split(',').map(Number);
+            this.buildBorder(dir, cx, cy);
+            dirtyChunks.add(cy * this.chunksX + cx);
+            dirtyChunks.add(dir === 'V' ? cy * this.chunksX + cx + 1 : (cy + 1) * this.chunksX + cx);
+        });
+
+        dirtyChunks.forEach(chunk => this.buildChunkEdges(chunk));
+        this.graph = null;
+    }
+
+    chunkBounds(chunk) {
+        const cx = chunk % this.chunksX;
+        const cy = (chunk - cx) / this.chunksX;
+        const x0 = cx * this.chunkSize;
+        const y0 = cy * this.chunkSize;
+        return {
+            x0,
+            y0,
+            x1: Math.min(x0 + this.chunkSize, this.gridWidth),
+            y1: Math.min(y0 + this.chunkSize, this.gridHeight)
+        };
+    }
+
+    chunkOf(gx, gy) {
+        return Math.floor(gy / this.chunkSize) * this.chunksX + Math.floor(gx / this.chunkSize);
+    }
+
+    // Find the entrances on the border to the right (V) or below (H) of chunk cx,cy.
+    // Every run of tiles free on both sides gets one transition in its middle,
+    // runs wider than HPA_MAX_ENTRANCE_WIDTH get one at each end instead.
+    buildBorder(dir, cx, cy) {
+        const S = this.chunkSize;
+        const W = this.gridWidth;
+        const transitions = [];
+
+        const length = dir === 'V'
+            ? Math.min(S, this.gridHeight - cy * S)
+            : Math.min(S, this.gridWidth - cx * S);
+        const sideA = (i) => dir === 'V'
+            ? [(cx + 1) * S - 1, cy * S + i]
+            : [cx * S + i, (cy + 1) * S - 1];
+
+        const addTransition = (i) => {
+            const [ax, ay] = sideA(i);
+            const b = dir === 'V' ? ay * W + ax + 1 : (ay + 1) * W + ax;
+            transitions.push({ a: ay * W + ax, b });
+        };
+
+        let runStart = -1;
+        for (let i = 0; i <= length; i++) {
+            let open = false;
+            if (i < length) {
+                const [ax, ay] = sideA(i);
+                const [bx, by] = dir === 'V' ? [ax + 1, ay] : [ax, ay + 1];
+                open = !pathfinder.isBlocked(ax, ay) && !pathfinder.isBlocked(bx, by);
+            }
+
+            if (open && runStart === -1) {
+                runStart = i;
+            } else if (!open && runStart !== -1) {
+                const runEnd = i - 1;
+                if (runEnd - runStart + 1 > HPA_MAX_ENTRANCE_WIDTH) {
+                    addTransition(runStart);
+                    addTransition(runEnd);
+                } else {
+                    addTransition(Math.floor((runStart + runEnd) / 2));
+                }
+                runStart = -1;
+            }
+        }
+
+        this.borders.set(`${dir}:${cx},${cy}`, transitions);
+    }
+
+    // Entrance tiles of a chunk, collected from its four borders
+    chunkNodes(chunk) {
+        const cx = chunk % this.chunksX;
+        const cy = (chunk - cx) / this.chunksX;
+        const nodes = new Set();
+        const collect = (key, side) => {
+            const transitions = this.borders.get(key);
+            if (transitions) transitions.forEach(t => nodes.add(t[side]));
+        };
+        collect(`V:${cx},${cy}`, 'a');
+        collect(`V:${cx - 1},${cy}`, 'b');
+        collect(`H:${cx},${cy}`, 'a');
+        collect(`H:${cx},${cy - 1}`, 'b');
+        return Array.from(nodes);
+    }
+
+    // Precompute in-chunk routes between every pair of entrances of a chunk
+    buildChunkEdges(chunk) {
+        const nodes = this.chunkNodes(chunk);
+        const edges = [];
+        for (let i = 0; i < nodes.length; i++) {
+            const search = this.searchChunk(chunk, nodes[i]);
+            for (let j = i + 1; j < nodes.length; j++) {
+                const cells = this.cellsTo(search, nodes[j]);
+                if (cells) edges.push({ from: nodes[i], to: nodes[j], cost: search.dist[search.local(nodes[j])], cells });
+            }
+        }
+        this.chunkEdges[chunk] = edges;
+    }
+
+    // Dijkstra from a tile that never leaves the tile's chunk.
+    // Same moves and costs as AStar.findPath (8 directions, no corner cutting).
+    searchChunk(chunk, sourceTile) {
+        const W = this.gridWidth;
+        const { x0, y0, x1, y1 } = this.chunkBounds(chunk);
+        const cw = x1 - x0;
+        const size = cw * (y1 - y0);
+        const local = (tile) => {
+            const gx = tile % W;
+            return ((tile - gx) / W - y0) * cw + (gx - x0);
+        };
+        const global = (i) => (y0 + Math.floor(i / cw)) * W + x0 + (i % cw);
+
+        const dist = new Float64Array(size).fill(Infinity);
+        const parent = new Int32Array(size).fill(-1);
+        const heap = new NodeHeap(size);
+        heap.reset(dist);
+
+        // 8-direction neighbors
+        const neighbors = [
+            [1, 0], [-1, 0], [0, 1], [0, -1],
+            [1, 1], [1, -1], [-1, 1], [-1, -1]
+        ];
+
+        const source = local(sourceTile);
+        dist[source] = 0;
+        heap.push(source);
+
+        while (heap.size > 0) {
+            const current = heap.pop();
+            const lx = current % cw;
+            const ly = (current - lx) / cw;
+            const gx = x0 + lx;
+            const gy = y0 + ly;
+
+            for (const [dx, dy] of neighbors) {
+                const nx = gx + dx;
+                const ny = gy + dy;
+                if (nx < x0 || ny < y0 || nx >= x1 || ny >= y1) continue;
+                if (pathfinder.isBlocked(nx, ny)) continue;
+                if (dx !== 0 && dy !== 0 && (pathfinder.isBlocked(gx + dx, gy) || pathfinder.isBlocked(gx, gy + dy))) continue;
+
+                const neighbor = (ny - y0) * cw + (nx - x0);
+                const tentative = dist[current] + ((dx === 0 || dy === 0) ? 1 : Math.SQRT2);
+                if (tentative < dist[neighbor]) {
+                    dist[neighbor] = tentative;
+                    parent[neighbor] = current;
+                    if (heap.has(neighbor)) {
+                        heap.decreaseKey(neighbor);
+                    } else {
+                        heap.push(neighbor);
+                    }
+                }
+            }
+        }
+
+        return { dist, parent, local, global };
+    }
+
+    // Tile indices from the search source to a tile, or null if unreachable
+    cellsTo(search, tile) {
+        let i = search.local(tile);
+        if (search.dist[i] === Infinity) return null;
+        const cells = [];
+        while (i !== -1) {
+            cells.unshift(search.global(i));
+            i = search.parent[i];
+        }
+        return cells;
+    }
+
+    // Abstract graph with dense node ids: nodeTiles[id] = tile, adjacency[id] = [{to, cost, cells}]
+    buildGraph() {
+        const ids = new Map();
+        const nodeTiles = [];
+        const adjacency = [];
+        const idOf = (tile) => {
+            if (!ids.has(tile)) {
+                ids.set(tile, nodeTiles.length);
+                nodeTiles.push(tile);
+                adjacency.push([]);
+            }
+            return ids.get(tile);
+        };
+        const link = (a, b, cost, cells) => {
+            const ia = idOf(a);
+            const ib = idOf(b);
+            adjacency[ia].push({ to: ib, cost, cells });
+            adjacency[ib].push({ to: ia, cost, cells: cells.slice().reverse() });
+        };
+
+        this.borders.forEach(transitions => {
+            transitions.forEach(t => link(t.a, t.b, 1, [t.a, t.b]));
+        });
+        this.chunkEdges.forEach(edges => {
+            edges.forEach(e => link(e.from, e.to, e.cost, e.cells));
+        });
+
+        this.graph = { ids, nodeTiles, adjacency };
+    }
+
+    // Find path through the chunk graph, same contract as AStar.findPath:
+    // returns [{x, y}, ...] from the start position to the exact target, or null.
+    // Chunk routes are precomputed for point units, radius applies to the path ends and smoothing.
+    findPath(startX, startY, targetX, targetY, radius = 0) {
+        const startGX = Math.floor(startX / TILE_SIZE);
+        const startGY = Math.floor(startY / TILE_SIZE);
+        const targetGX = Math.floor(targetX / TILE_SIZE);
+        const targetGY = Math.floor(targetY / TILE_SIZE);
+
+        if (pathfinder.isBlocked(startGX, startGY) || pathfinder.isBlocked(targetGX, targetGY)) {
+            return null;
+        }
+
+        if (startGX === targetGX && startGY === targetGY) {
+            return [{ x: startX, y: startY }, { x: targetGX * TILE_SIZE + TILE_SIZE / 2, y: targetGY * TILE_SIZE + TILE_SIZE / 2 }];
+        }
+
+        if (!this.snapshot) this.sync();
+        if (!this.graph) this.buildGraph();
+
+        const W = this.gridWidth;
+        const { ids, nodeTiles, adjacency } = this.graph;
+        const startTile = startGY * W + startGX;
+        const targetTile = targetGY * W + targetGX;
+        const startChunk = this.chunkOf(startGX, startGY);
+        const targetChunk = this.chunkOf(targetGX, targetGY);
+
+        // Start and target become temporary nodes, connected to the entrances of their chunks
+        const nodeCount = nodeTiles.length;
+        const startId = nodeCount;
+        const targetId = nodeCount + 1;
+        const tileOf = (id) => id === startId ? startTile : (id === targetId ? targetTile : nodeTiles[id]);
+
+        const startSearch = this.searchChunk(startChunk, startTile);
+        const startEdges = [];
+        this.chunkNodes(startChunk).forEach(tile => {
+            const cells = this.cellsTo(startSearch, tile);
+            if (cells) startEdges.push({ to: ids.get(tile), cost: startSearch.dist[startSearch.local(tile)], cells });
+        });
+        if (startChunk === targetChunk) {
+            const cells = this.cellsTo(startSearch, targetTile);
+            if (cells) startEdges.push({ to: targetId, cost: startSearch.dist[startSearch.local(targetTile)], cells });
+        }
+
+        const targetSearch = this.searchChunk(targetChunk, targetTile);
+        const toTarget = new Map(); // node id -> edge into the target
+        this.chunkNodes(targetChunk).forEach(tile => {
+            const cells = this.cellsTo(targetSearch, tile);
+            if (cells) toTarget.set(ids.get(tile), { to: targetId, cost: targetSearch.dist[targetSearch.local(tile)], cells: cells.reverse() });
+        });
+
+        const gScore = new Float64Array(nodeCount + 2).fill(Infinity);
+        const fScore = new Float64Array(nodeCount + 2).fill(Infinity);
+        const cameFrom = new Int32Array(nodeCount + 2).fill(-1);
+        const cameBy = new Array(nodeCount + 2); // edge used to reach each node
+        const openHeap = new NodeHeap(nodeCount + 2);
+        openHeap.reset(fScore);
+
+        const heuristic = (id) => {
+            const tile = tileOf(id);
+            const gx = tile % W;
+            return pathfinder.heuristic(gx, (tile - gx) / W, targetGX, targetGY);
+        };
+
+        gScore[startId] = 0;
+        fScore[startId] = heuristic(startId);
+        openHeap.push(startId);
+
+        while (openHeap.size > 0) {
+            const current = openHeap.pop();
+
+            if (current === targetId) {
+                const hops = [];
+                for (let id = current; id !== startId; id = cameFrom[id]) {
+                    hops.unshift(cameBy[id].cells);
+                }
+                // Consecutive hops share their joining tile
+                const cells = [hops[0][0]];
+                hops.forEach(hop => {
+                    for (let i = 1; i < hop.length; i++) cells.push(hop[i]);
+                });
+                return this.refine(cells, startX, startY, targetX, targetY, radius);
+            }
+
+            const edges = current === startId ? startEdges : adjacency[current];
+            const relax = (edge) => {
+                const tentativeG = gScore[current] + edge.cost;
+                if (tentativeG < gScore[edge.to]) {
+                    cameFrom[edge.to] = current;
+                    cameBy[edge.to] = edge;
+                    gScore[edge.to] = tentativeG;
+                    fScore[edge.to] = tentativeG + heuristic(edge.to);
+                    if (openHeap.has(edge.to)) {
+                        openHeap.decreaseKey(edge.to);
+                    } else {
+                        openHeap.push(edge.to);
+                    }
+                }
+            };
+
+            edges.forEach(relax);
+            if (toTarget.has(current)) relax(toTarget.get(current));
+        }
+
+        return null;
+    }
+
+    // Turn a tile route into waypoints the same way AStar.reconstructPath does, then smooth it
+    refine(cells, startX, startY, targetX, targetY, radius) {
+        const W = this.gridWidth;
+        const path = [{ x: startX, y: startY }];
+        for (let i = 1; i < cells.length - 1; i++) {
+            const gx = cells[i] % W;
+            const gy = (cells[i] - gx) / W;
+            path.push({ x: gx * TILE_SIZE + TILE_SIZE / 2, y: gy * TILE_SIZE + TILE_SIZE / 2 });
+        }
+        path.push({ x: targetX, y: targetY });
+        pathfinder.padEndpoints(path, radius);
+        return pathfinder.smoothPath(path, radius);
+    }
+}
+
+// Global hierarchical pathfinder instance
+const hierarchicalPathfinder = new HierarchicalPathfinder();
+
+// Flow field towards one target tile. The integration field holds the path cost from
+// every passable tile to the target, and next[] points each tile at the neighbour one
+// step closer, so any number of units can read their heading from the same field.
+class FlowField {
+    constructor(targetGX, targetGY) {
+        this.targetGX = targetGX;
+        this.targetGY = targetGY;
+        this.gridWidth = pathfinder.gridWidth;
+        this.gridHeight = pathfinder.gridHeight;
+
+        const cellCount = this.gridWidth * this.gridHeight;
+        this.integration = new Float64Array(cellCount).fill(Infinity);
+        this.next = new Int32Array(cellCount).fill(-1);
+
+        this.build();
+    }
+
+    // Dijkstra outwards from the target with the same moves and costs as AStar.findPath
+    build() {
+        if (pathfinder.isBlocked(this.targetGX, this.targetGY)) return;
+
+        const width = this.gridWidth;
+        const integration = this.integration;
+        const heap = new NodeHeap(integration.length);
+        heap.reset(integration);
+
+        const target = this.targetGY * width + this.targetGX;
+        integration[target] = 0;
+        heap.push(target);
+
+        // 8-direction neighbors
+        const neighbors = [
+            [1, 0], [-1, 0], [0, 1], [0, -1],
+            [1, 1], [1, -1], [-1, 1], [-1, -1]
+        ];
+
+        while (heap.size > 0) {
+            const current = heap.pop();
+            const cx = current % width;
+            const cy = (current - cx) / width;
+
+            for (const [dx, dy] of neighbors) {
+                const nx = cx + dx;
+                const ny = cy + dy;
+                if (pathfinder.isBlocked(nx, ny)) continue;
+                if (dx !== 0 && dy !== 0 && (pathfinder.isBlocked(cx + dx, cy) || pathfinder.isBlocked(cx, cy + dy))) continue;
+
+                const neighbor = ny * width + nx;
+                const cost = integration[current] + ((dx === 0 || dy === 0) ? 1 : Math.SQRT2);
+                if (cost < integration[neighbor]) {
+                    integration[neighbor] = cost;
+                    this.next[neighbor] = current;
+                    if (heap.has(neighbor)) {
+                        heap.decreaseKey(neighbor);
+                    } else {
+                        heap.push(neighbor);
+                    }
+                }
+            }
+        }
+    }
+
+    isTargetTile(x, y) {
+        return Math.floor(x / TILE_SIZE) === this.targetGX && Math.floor(y / TILE_SIZE) === this.targetGY;
+    }
+
+    // Unit direction vector for a world position: towards the center of the next tile.
+    // Returns null on the target tile and on tiles that cannot reach the target.
+    directionAt(x, y) {
+        const gx = Math.floor(x / TILE_SIZE);
+        const gy = Math.floor(y / TILE_SIZE);
+        if (gx < 0 || gy < 0 || gx >= this.gridWidth || gy >= this.gridHeight) return null;
+
+        const next = this.next[gy * this.gridWidth + gx];
+        if (next === -1) return null;
+
+        const nx = next % this.gridWidth;
+        const ny = (next - nx) / this.gridWidth;
+        const dx = nx * TILE_SIZE + TILE_SIZE / 2 - x;
+        const dy = ny * TILE_SIZE + TILE_SIZE / 2 - y;
+        const dist = Math.sqrt(dx * dx + dy * dy) || 1e-6;
+        return { x: dx / dist, y: dy / dist };
+    }
+}
+
+// Flow fields shared by every unit heading to the same target tile.
+// Least recently used fields are dropped beyond FLOW_FIELD_CACHE_SIZE.
+class FlowFieldCache {
+    constructor(maxSize = FLOW_FIELD_CACHE_SIZE) {
+        this.maxSize = maxSize;
+        this.fields = new Map(); // "gx,gy" -> FlowField
+    }
+
+    // Field for the tile containing a world position, built on first use
+    get(targetX, targetY) {
+        const gx = Math.floor(targetX / TILE_SIZE);
+        const gy = Math.floor(targetY / TILE_SIZE);
+        const key = `${gx},${gy}`;
+
+        let field = this.fields.get(key);
+        if (field) {
+            // Move to the back of the map so it is evicted last
+            this.fields.delete(key);
+        } else {
+            field = new FlowField(gx, gy);
+        }
+        this.fields.set(key, field);
+
+        if (this.fields.size > this.maxSize) {
+            this.fields.delete(this.fields.keys().next().value);
+        }
+        return field;
+    }
+
+    // Drop every field, they are rebuilt on demand (call when obstacles change)
+    invalidate() {
+        this.fields.clear();
+    }
+}
+
+// Global flow-field cache
+const flowFields = new FlowFieldCache();
+
+// Find a path with the requested pathfinding mode (defaults to the game-wide mode)
+// for a unit of the given radius (0 plans for a point). Only grid A* weighs the
+// terrain for unitType, the other modes plan the shortest route.
+function planPath(startX, startY, targetX, targetY, mode = game.pathMode, radius = 0, unitType = null) {
+    if (mode === PathMode.VISIBILITY) {
+        return visibilityPathfinder.findPath(startX, startY, targetX, targetY, radius);
+    }
+    if (mode === PathMode.HIERARCHICAL) {
+        return hierarchicalPathfinder.findPath(startX, startY, targetX, targetY, radius);
+    }
+    return pathfinder.findPath(startX, startY, targetX, targetY, radius, unitType);
+}
+
+// Speed multiplier of a terrain character for a unit type
+function terrainSpeedFor(char, unitType) {
+    const speed = TERRAIN_TYPES[char].speed;
+    return unitType in speed ? speed[unitType] : speed.default;
+}
+
+// Speed multiplier for a unit type at world position (x, y), 1 on grass and off the map
+function terrainSpeed(unitType, x, y) {
+    const index = pathfinder.terrainIndexAt(Math.floor(x / TILE_SIZE), Math.floor(y / TILE_SIZE));
+    return terrainSpeedFor(TERRAIN_CHARS[index], unitType);
+}
+
+// Total length of a waypoint list in pixels
+function pathLength(path) {
+    let length = 0;
+    for (let i = 1; i < path.length; i++) {
+        length += Math.hypot(path[i].x - path[i - 1].x, path[i].y - path[i - 1].y);
+    }
+    return length;
+}
+
+// Run the same query through every pathfinding mode and report speed and path quality:
+// [{mode, ms, waypoints, length}], length null where the mode found no path
+function comparePathModes(startX, startY, targetX, targetY, radius = 0) {
+    const results = Object.values(PathMode).map(mode => {
+        const t0 = performance.now();
+        const path = planPath(startX, startY, targetX, targetY, mode, radius);
+        const ms = performance.now() - t0;
+        return {
+            mode,
+            ms: Number(ms.toFixed(3)),
+            waypoints: path ? path.length : 0,
+            length: path ? Number(pathLength(path).toFixed(1)) : null
+        };
+    });
+    return results;
+}
+
+// Free-space region of a grid cell (0 for obstacles and cells outside the grid).
+// Units can only move between cells that share a region.
+function regionAt(gx, gy) {
+    if (gx < 0 || gy < 0 || gx >= pathfinder.gridWidth || gy >= pathfinder.gridHeight) return 0;
+    return game.regionGrid[gy][gx];
+}
+
+// Label the connected regions of free tiles. Diagonal moves never cut corners,
+// so 4-connected free tiles are exactly the tiles units can travel between.
+function labelFreeRegions() {
+    const freeSet = new Set();
+    for (let gy = 0; gy < pathfinder.gridHeight; gy++) {
+        for (let gx = 0; gx < pathfinder.gridWidth; gx++) {
+            if (!pathfinder.isBlocked(gx, gy)) freeSet.add(keyRC(gy, gx));
+        }
+    }
+    const { compGrid, compCount } = labelComponents(pathfinder.gridHeight, pathfinder.gridWidth, freeSet);
+    game.regionGrid = compGrid;
+    game.regionCount = compCount;
+}
+
+// Search outward from the tile under (x, y) for the accepted tile whose center is
+// closest to (x, y). Returns {gx, gy} or null if no tile is accepted.
+function findNearestTile(x, y, accept) {
+    const cx = Math.floor(x / TILE_SIZE);
+    const cy = Math.floor(y / TILE_SIZE);
+    const maxRing = Math.max(pathfinder.gridWidth, pathfinder.gridHeight) +
+        Math.max(Math.abs(cx), Math.abs(cy));
+
+    let best = null;
+    let bestDist = Infinity;
+    for (let ring = 0; ring <= maxRing; ring++) {
+        // Every tile in this ring is at least (ring - 1) tiles away from (x, y)
+        if ((ring - 1) * TILE_SIZE > bestDist) break;
+
+        for (let gy = cy - ring; gy <= cy + ring; gy++) {
+            for (let gx = cx - ring; gx <= cx + ring; gx++) {
+                if (Math.max(Math.abs(gx - cx), Math.abs(gy - cy)) !== ring) continue;
+                if (gx < 0 || gy < 0 || gx >= pathfinder.gridWidth || gy >= pathfinder.gridHeight) continue;
+                if (!accept(gx, gy)) continue;
+
+                const dist = Math.hypot(gx * TILE_SIZE + TILE_SIZE / 2 - x, gy * TILE_SIZE + TILE_SIZE / 2 - y);
+                if (dist < bestDist) {
+                    bestDist = dist;
+                    best = { gx, gy };
+                }
+            }
+        }
+    }
+    return best;
+}
+
+// Closest point to (targetX, targetY) that can be reached from (startX, startY).
+// Returns {x, y, adjusted} where adjusted is true if the target was blocked, off the
+// map or in a region the start cannot reach, or null if nothing is reachable.
+function findNearestReachablePoint(startX, startY, targetX, targetY) {
+    let startGX = Math.floor(startX / TILE_SIZE);
+    let startGY = Math.floor(startY / TILE_SIZE);
+    if (pathfinder.isBlocked(startGX, startGY)) {
+        const free = findNearestTile(startX, startY, (gx, gy) => !pathfinder.isBlocked(gx, gy));
+        if (!free) return null;
+        startGX = free.gx;
+        startGY = free.gy;
+    }
+
+    const region = regionAt(startGX, startGY);
+    if (regionAt(Math.floor(targetX / TILE_SIZE), Math.floor(targetY / TILE_SIZE)) === region) {
+        return { x: targetX, y: targetY, adjusted: false };
+    }
+
+    const nearest = findNearestTile(targetX, targetY, (gx, gy) => regionAt(gx, gy) === region);
+    if (!nearest) return null;
+    return {
+        x: nearest.gx * TILE_SIZE + TILE_SIZE / 2,
+        y: nearest.gy * TILE_SIZE + TILE_SIZE / 2,
+        adjusted: true
+    };
+}
+
+// Like planPath, but never gives up on a blocked or unreachable target: the path then
+// leads to the nearest reachable point instead. A start inside an obstacle first steps
+// out to the nearest free tile. Returns {path, partial, targetX, targetY} where
+// targetX/targetY is where the path really ends and partial marks an adjusted target.
+function planPathOrNearest(startX, startY, targetX, targetY, mode = game.pathMode, radius = 0, unitType = null) {
+    const goal = findNearestReachablePoint(startX, startY, targetX, targetY);
+    if (!goal) {
+        return { path: null, partial: true, targetX, targetY };
+    }
+
+    let fromX = startX;
+    let fromY = startY;
+    if (pathfinder.isBlocked(Math.floor(startX / TILE_SIZE), Math.floor(startY / TILE_SIZE))) {
+        const free = findNearestTile(startX, startY, (gx, gy) => !pathfinder.isBlocked(gx, gy));
+        fromX = free.gx * TILE_SIZE + TILE_SIZE / 2;
+        fromY = free.gy * TILE_SIZE + TILE_SIZE / 2;
+    }
+
+    const path = planPath(fromX, fromY, goal.x, goal.y, mode, radius, unitType);
+    if (path && (fromX !== startX || fromY !== startY)) {
+        path.unshift({ x: startX, y: startY });
+    }
+    return { path, partial: goal.adjusted, targetX: goal.x, targetY: goal.y };
+}
+
+// ADDED: helpers and perimeter computation
+const DIR4 = [[-1,0],[1,0],[0,-1],[0,1]];
+const DIR8 = [[-1,-1],[-1,0],[-1,1],[0,-1],[0,1],[1,-1],[1,0],[1,1]];
+
+function inBounds(r, c, rows, cols) {
+    return r >= 0 && c >= 0 && r < rows && c < cols;
+}
+function keyRC(r, c) {
+    return `${r},${c}`;
+}
+function parseKey(k) {
+    const [r, c] = k.split(',').map(Number);
+    return [r, c];
+}
+function adjacent8(a, b) {
+    return Math.max(Math.abs(a[0] - b[0]), Math.abs(a[1] - b[1])) === 1;
+}
+function gridSize() {
+    const rows = Math.floor(game.height / TILE_SIZE);
+    const cols = Math.floor(game.width / TILE_SIZE);
+    return { rows, cols };
+}
+
+// Label connected obstacle components (4-connected)
+// (also run on the free tiles by labelFreeRegions)
+function labelComponents(rows, cols, obstacleSet) {
+    const compGrid = Array.from({ length: rows }, () => Array(cols).fill(0));
+    let compCount = 0;
+    const compStats = new Map(); // cid -> {sr, sc, n}
+
+    obstacleSet.forEach(k => {
+        const [sr, sc] = parseKey(k);
+        if (compGrid[sr][sc] !== 0) return;
+
+        compCount++;
+        compStats.set(compCount, { sr: 0, sc: 0, n: 0 });
+
+        const q = [[sr, sc]];
+        let head = 0;
+        compGrid[sr][sc] = compCount;
+
+        while (head < q.length) {
+            const [r, c] = q[head++];
+            const stat = compStats.get(compCount);
+            stat.sr += r; stat.sc += c; stat.n += 1;
+
+            for (const [dr, dc] of DIR4) {
+                const rr = r + dr, cc = c + dc;
+                if (!inBounds(rr, cc, rows, cols)) continue;
+                if (!obstacleSet.has(keyRC(rr, cc))) continue;
+                if (compGrid[rr][cc] !== 0) continue;
+                compGrid[rr][cc] = compCount;
+                q.push([rr, cc]);
+            }
+        }
+    });
+
+    return { compGrid, compCount, compStats };
+}
+
+function computeCentroids(compStats) {
+    const centroids = new Map(); // cid -> {r, c}
+    compStats.forEach((stat, cid) => {
+        centroids.set(cid, { r: stat.sr / stat.n, c: stat.sc / stat.n });
+    });
+    return centroids;
+}
+
+// Build path mask for free tiles that touch obstacle(s) (8-neigh), and which cluster(s) they touch
+function buildPathMask(rows, cols, compGrid) {
+    const pathMask = Array.from({ length: rows }, () => Array(cols).fill(false));
+    const pathCells = [];
+    const touches = new Map(); // cid -> Set("r,c")
+
+    for (let r = 0; r < rows; r++) {
+        for (let c = 0; c < cols; c++) {
+            if (compGrid[r][c] > 0) continue; // obstacle cell
+
+            const neighComps = new Set();
+            for (const [dr, dc] of DIR8) {
+                const rr = r + dr, cc = c + dc;
+                if (!inBounds(rr, cc, rows, cols)) continue;
+                const cid = compGrid[rr][cc];
+                if (cid > 0) neighComps.add(cid);
+            }
+            if (neighComps.size > 0) {
+                pathMask[r][c] = true;
+                pathCells.push([r, c]);
+                neighComps.forEach(cid => {
+                    if (!touches.has(cid)) touches.set(cid, new Set());
+                    touches.get(cid).add(keyRC(r, c));
+                });
+            }
+        }
+    }
+    return { pathMask, pathCells, touches };
+}
+
+// Build ordered p-nodes with prev/next around each component
+function buildPNodes(touches, centroids) {
+    const pNodes = [];
+    const idOf = new Map(); // `${cid}|r,c` -> nodeId
+
+    // First pass: create nodes sorted by angle around obstacle centroid
+    const orderedByComp = new Map(); // cid -> [[r,c], ...]
+
+    touches.forEach((cellSet, cid) => {
+        if (!centroids.has(cid)) return;
+        const center = centroids.get(cid);
+        const cells = Array.from(cellSet).map(parseKey);
+
+        function angle(pos) {
+            const [r, c] = pos;
+            return Math.atan2(r - center.r, c - center.c);
+        }
+        cells.sort((a, b) => angle(a) - angle(b));
+        orderedByComp.set(cid, cells);
+
+        // Create nodes without links first
+        for (const [r, c] of cells) {
+            const id = pNodes.length;
+            idOf.set(`${cid}|${keyRC(r, c)}`, id);
+            pNodes.push({
+                id,
+                r,
+                c,
+                x: c * TILE_SIZE,
+                y: r * TILE_SIZE,
+                clusterId: cid,
+                prevId: null,
+                nextId: null,
+                directions: []  // ADDED: array to hold direction enums
+            });
+        }
+    });
+
+    // Second pass: assign prev/next preferring 8-neigh continuity
+    orderedByComp.forEach((cells, cid) => {
+        const n = cells.length;
+        if (n === 0) return;
+        const maxScan = Math.min(12, n);
+
+        for (let i = 0; i < n; i++) {
+            // find next
+            let nextIdx = -1;
+            for (let k = 1; k <= maxScan; k++) {
+                const j = (i + k) % n;
+                if (adjacent8(cells[i], cells[j])) { nextIdx = j; break; }
+            }
+            if (nextIdx === -1) nextIdx = (i + 1) % n;
+
+            // find prev
+            let prevIdx = -1;
+            for (let k = 1; k <= maxScan; k++) {
+                const j = (i - k + n) % n;
+                if (adjacent8(cells[i], cells[j])) { prevIdx = j; break; }
+            }
+            if (prevIdx === -1) prevIdx = (i - 1 + n) % n;
+
+            const meId   = idOf.get(`${cid}|${keyRC(cells[i][0], cells[i][1])}`);
+            const prevId = idOf.get(`${cid}|${keyRC(cells[prevIdx][0], cells[prevIdx][1])}`);
+            const nextId = idOf.get(`${cid}|${keyRC(cells[nextIdx][0], cells[nextIdx][1])}`);
+            pNodes[meId].prevId = prevId;
+            pNodes[meId].nextId = nextId;
+        }
+    });
+
+    return pNodes;
+}
+
+// Compute full perimeter data (call after obstacles are placed or the world is resized)
+function computePerimeterData() {
+    pathfinder.rebuildOccupancy();
+    refreshPerimeterData();
+}
+
+// Bring the derived data in line after obstacles were added to or removed from
+// game.obstacles on the tiles [[gx, gy], ...]. Occupancy and clearance are only
+// recomputed around those tiles and the hierarchical pathfinder only rebuilds the
+// chunks they are in; the cheap whole-grid labels are redone, the visibility graph
+// and flow fields are rebuilt when next used.
+function updateObstacleTiles(tiles) {
+    const blocked = new Set(game.obstacles.map(o => keyRC(Math.floor(o.y / TILE_SIZE), Math.floor(o.x / TILE_SIZE))));
+    pathfinder.updateTiles(tiles, blocked);
+    refreshPerimeterData();
+}
+
+// Perimeter, regions and pathfinder caches from game.obstacles and pathfinder.occupancy
+function refreshPerimeterData() {
+    const { rows, cols } = gridSize();
+
+    // Build obstacle set from current obstacles
+    const obstacleSet = new Set();
+    for (const obst of game.obstacles) {
+        const r = Math.floor(obst.y / TILE_SIZE);
+        const c = Math.floor(obst.x / TILE_SIZE);
+        if (inBounds(r, c, rows, cols)) obstacleSet.add(keyRC(r, c));
+    }
+
+    const { compGrid, compCount, compStats } = labelComponents(rows, cols, obstacleSet);
+    const centroids = computeCentroids(compStats);
+    const { pathMask, pathCells, touches } = buildPathMask(rows, cols, compGrid);
+    const pNodes = buildPNodes(touches, centroids);
+
+    // Store on game
+    game.obstacleSet = obstacleSet;
+    game.compGrid = compGrid;
+    game.compCount = compCount;
+    game.pathMask = pathMask;
+    game.pathCells = pathCells;
+    game.pNodes = pNodes;
+    labelFreeRegions();
+    visibilityPathfinder.invalidate();
+    hierarchicalPathfinder.sync();
+    flowFields.invalidate();
+    game.clean_node_positions = getUniquePNodePositions()
+    game.clean_node_positions = findAdjacentNodes(game.clean_node_positions)
+}
+
+// Get unique row-column pairs from pNodes, excluding obstacle positions
+function getUniquePNodePositions() {
+    if (!game.pNodes || game.pNodes.length === 0) return [];
+    
+    const uniquePositions = new Set();
+    const result = [];
+    
+    for (const node of game.pNodes) {
+        const key = keyRC(node.r, node.c);
+        
+        // Check if this position is not an obstacle
+        const isObstacle = game.obstacleSet.has(key);
+        
+        if (!uniquePositions.has(key) && !isObstacle) {
+            uniquePositions.add(key);
+            result.push({ r: node.r, c: node.c });
+        }
+    }
+    
+    return result;
+}
+
+// Find adjacent nodes for each node in clean_node_positions and store them
+function findAdjacentNodes(clean_node_positions) {
+    if (!clean_node_positions || clean_node_positions.length === 0) return [];
+    
+    // Create a map for quick lookup of nodes by position
+    const positionMap = new Map();
+    clean_node_positions.forEach((node, index) => {
+        const key = keyRC(node.r, node.c);
+        positionMap.set(key, { node, index });
+    });
+    
+    // Define 8-direction neighbors
+    const directions = [
+        [-1, 0],
+        [0, -1],           [0, 1],
+         [1, 0]
+    ];
+    
+    // For each node, find adjacent nodes
+    clean_node_positions.forEach(node => {
+        node.adjacentNodes = [];
+        
+        for (const [dr, dc] of directions) {
+            const adjR = node.r + dr;
+            const adjC = node.c + dc;
+            const adjKey = keyRC(adjR, adjC);
+            
+            if (positionMap.has(adjKey)) {
+                const adjacentNode = positionMap.get(adjKey).node;
+                node.adjacentNodes.push(adjacentNode);
+            }
+        }
+    });
+    
+    return clean_node_positions;
+}
@@ -1,1891 +1,971 @@
-// Canvas setup
+// Canvas renderer and input handling on top of the simulation (simulation.js)
 const canvas = document.getElementById('gameCanvas');
 const ctx = canvas.getContext('2d');
 canvas.width = window.innerWidth;
 canvas.height = window.innerHeight;
 
-const TILE_SIZE = 32;
-const FORMATION_WAIT_PERCENTAGE = 0.95;
-const FORMATION_OBSTACLE_AVOIDANCE_DISTANCE = 15;
-const FORMATION_SPEED_BOOST_RANGE = 10 * TILE_SIZE;
-const FORMATION_CHASING_SPEED_BOOST = 1.5;
-const HIT_THRESHOLD = 5;
-const FORMATION_UNIT_DISTANCE = 20
-const FORMATION_PIECE_DISTANCE  = 15
-const MIN_RANGE_BUFFER = 20
-const OBSTACLE_COUNT = 15
-
-
-// Stance enum - available to all classes
-const Stance = {
-    STANDING: 'standing',
-    MOVING: 'moving',
-    MOVING_IN_FORMATION: 'moving in formation',
-    CHASING_A_FORMATION: 'chasing a formation',
-    CHASING_A_TARGET: 'chasing a target',
-    ATTACKING_AT_PLACE: 'attacking at place',
-    STRIKING: 'striking'
+// View and input state, kept out of the simulated game state
+const view = {
+    camera: { x: 0, y: 0, zoom: 1 }, // world position of the canvas' top left corner, screen px per world px
+    mousePos: { x: 0, y: 0 },        // on the canvas, in screen px
+    mouseOver: false,
+    dragStart: null,                 // world position where a box selection started
+    isDragging: false,
+    panStart: null,                  // last mouse position while panning with the middle button
+    minimapDrag: false,              // left button held down on the minimap
+    keys: {},                        // pan keys held down
+    team1Color: '#4444ff',
+    team2Color: '#ff4444',
+    aiDifficulty: 'normal', // enemy commander level new games start with
+    replay: null, // ReplayPlayer while watching a recording
+    editor: null, // MapEditor while editing the map
+    editorTool: 'obstacle', // 'obstacle' or the unit type placed by a left click
+    editorTeam: 1,
+    editorStroke: null, // 'paint' or 'erase' while dragging in the editor
+    pathComparison: null // comparePathModes() results shown in the HUD, see comparePathsToMouse()
 };
 
-class AStar {
-    constructor() {
-        this.gridWidth = Math.ceil(canvas.width / TILE_SIZE);
-        this.gridHeight = Math.ceil(canvas.height / TILE_SIZE);
-    }
-
-    // Helper: check if a grid cell is blocked by an obstacle
-    isBlocked(gx, gy) {
-        if (gx < 0 || gy < 0 || gx >= this.gridWidth || gy >= this.gridHeight) return true;
-        // obstacles are stored in world coordinates aligned to the grid
-        const wx = gx * TILE_SIZE;
-        const wy = gy * TILE_SIZE;
-        for (let ob of game.obstacles) {
-            if (ob.x === wx && ob.y === wy) return true;
-        }
-        return false;
-    }
-
-    // Heuristic: Euclidean distance between grid cells
-    heuristic(ax, ay, bx, by) {
-        const dx = ax - bx;
-        const dy = ay - by;
-        return Math.sqrt(dx * dx + dy * dy);
-    }
-
-    // Find path using A* algorithm
-    findPath(startX, startY, targetX, targetY) {
-        // Convert world coords to grid coords
-        const startGX = Math.floor(startX / TILE_SIZE);
-        const startGY = Math.floor(startY / TILE_SIZE);
-        const targetGX = Math.floor(targetX / TILE_SIZE);
-        const targetGY = Math.floor(targetY / TILE_SIZE);
-
-        // If start or target is outside or blocked, bail out
-        if (this.isBlocked(startGX, startGY)) {
-            return null;
-        }
-        if (this.isBlocked(targetGX, targetGY)) {
-            return null;
-        }
-
-        // If start and target are same tile, return immediate path (start -> center of tile)
-        if (startGX === targetGX && startGY === targetGY) {
-            return [{ x: startX, y: startY }, { x: targetGX * TILE_SIZE + TILE_SIZE / 2, y: targetGY * TILE_SIZE + TILE_SIZE / 2 }];
-        }
-
-        // A* structures
-        const openSet = new Set();
-        const openHeap = []; // array of nodes for selecting lowest f (simple linear search)
-        const cameFrom = new Map();
-
-        const gScore = new Map();
-        const fScore = new Map();
-
-        const startKey = `${startGX},${startGY}`;
-        const targetKey = `${targetGX},${targetGY}`;
-
-        function setG(key, value) { gScore.set(key, value); }
-        function getG(key) { return gScore.has(key) ? gScore.get(key) : Infinity; }
-        function setF(key, value) { fScore.set(key, value); }
-        function getF(key) { return fScore.has(key) ? fScore.get(key) : Infinity; }
-
-        openSet.add(startKey);
-        openHeap.push(startKey);
-        setG(startKey, 0);
-        setF(startKey, this.heuristic(startGX, startGY, targetGX, targetGY));
-        cameFrom.set(startKey, null);
-
-        // 8-direction neighbors
-        const neighbors = [
-            [1, 0], [-1, 0], [0, 1], [0, -1],
-            [1, 1], [1, -1], [-1, 1], [-1, -1]
-        ];
-
-        while (openSet.size > 0) {
-            // find node in openHeap with lowest fScore
-            let currentKey = null;
-            let bestF = Infinity;
-            let bestIndex = -1;
-            for (let i = 0; i < openHeap.length; i++) {
-                const k = openHeap[i];
-                const f = getF(k);
-                if (f < bestF) {
-                    bestF = f;
-                    currentKey = k;
-                    bestIndex = i;
-                }
-            }
-
-            if (currentKey === null) break;
-
-            // if reached target, reconstruct
-            if (currentKey === targetKey) {
-                const rawPath = this.reconstructPath(cameFrom, currentKey, startX, startY, targetX, targetY);
-                // Smooth the path before returning it
-                return this.smoothPath(rawPath, game.obstacles);
-            }
-
-            // remove current from openSet and openHeap
-            openSet.delete(currentKey);
-            if (bestIndex > -1) openHeap.splice(bestIndex, 1);
-
-            const [cx, cy] = currentKey.split(',').map(Number);
-
-            for (let [dx, dy] of neighbors) {
-                const nx = cx + dx;
-                const ny = cy + dy;
-                const neighborKey = `${nx},${ny}`;
-
-                // bounds & blocked check
-                if (nx < 0 || ny < 0 || nx >= this.gridWidth || ny >= this.gridHeight) continue;
-                if (this.isBlocked(nx, ny)) continue;
-
-                // Prevent cutting corners: if diagonal, ensure both adjacent orthogonals are free
-                if (dx !== 0 && dy !== 0) {
-                    if (this.isBlocked(cx + dx, cy) || this.isBlocked(cx, cy + dy)) {
-                        continue;
-                    }
-                }
-
-                // tentative g score
-                const tentativeG = getG(currentKey) + ((dx === 0 || dy === 0) ? 1 : Math.SQRT2);
-
-                if (tentativeG < getG(neighborKey)) {
-                    cameFrom.set(neighborKey, currentKey);
-                    setG(neighborKey, tentativeG);
-                    const h = this.heuristic(nx, ny, targetGX, targetGY);
-                    setF(neighborKey, tentativeG + h);
-
-                    if (!openSet.has(neighborKey)) {
-                        openSet.add(neighborKey);
-                        openHeap.push(neighborKey);
-                    }
-                }
-            }
-        }
-
-        return null;
-    }
-
-    reconstructPath(cameFrom, currentKey, startX, startY, targetX, targetY) {
-        const path = [];
-        let current = currentKey;
-
-        const nodes = [];
-        while (current) {
-            const [x, y] = current.split(',').map(Number);
-            nodes.unshift({
-                x: x * TILE_SIZE + TILE_SIZE / 2,
-                y: y * TILE_SIZE + TILE_SIZE / 2
-            });
-            current = cameFrom.get(current);
-        }
-
-        // Always start from actual position
-        path.push({ x: startX, y: startY });
-
-        // Skip the first node if it’s the same tile we started in
-        if (nodes.length > 0) {
-            const firstNode = nodes[0];
-            const startTileX = Math.floor(startX / TILE_SIZE);
-            const startTileY = Math.floor(startY / TILE_SIZE);
-            const firstNodeTileX = Math.floor(firstNode.x / TILE_SIZE);
-            const firstNodeTileY = Math.floor(firstNode.y / TILE_SIZE);
-
-            if (startTileX === firstNodeTileX && startTileY === firstNodeTileY) {
-                nodes.shift();
-            }
-        }
-
-        // Add nodes but override the final one with exact target
-        if (nodes.length > 0) {
-            path.push(...nodes.slice(0, -1)); // all but last
-        }
-        path.push({ x: targetX, y: targetY }); // exact target point
-
-        return path;
-    }
+const REPLAY_SEEK_STEP = 5 * SIM_TICK_RATE // ticks skipped by the arrow keys in a replay
+const REPLAY_BAR_HEIGHT = 8
+const SNAPSHOT_STORAGE_KEY = 'mini-rts-snapshot' // localStorage slot for quick saves
+const EDITOR_UNIT_KEYS = { '1': 'knight', '2': 'archer', '3': 'catapult', '4': 'pikeman' }
+const HEIGHT_SHADE = 0.04 // white overlay opacity per height level
+const DEEP_WATER_COLOR = '#18314a' // obstacles on water terrain, e.g. generated rivers
+const WORLD_WIDTH = 60 * TILE_SIZE // world size of live games, the window shows part of it
+const WORLD_HEIGHT = 34 * TILE_SIZE
+const CAMERA_PAN_SPEED = 900 // screen px/s panned by the keys and the canvas edges
+const EDGE_SCROLL_MARGIN = 12 // px from the canvas edge where the mouse pans
+const PAN_KEYS = { w: [0, -1], a: [-1, 0], s: [0, 1], d: [1, 0] }
+const ATTACK_MOVE_KEY = 'a' // held while right-clicking, the order is an attack-move
+const STOP_KEY = 's'
+const ATTACK_MOVE_COLOR = '#ff3030'
+const ORDER_QUEUE_COLOR = '#7fff7f' // line through the selection's shift-queued waypoints
+const MIN_ZOOM = 0.5
+const MAX_ZOOM = 2
+const WHEEL_ZOOM_RATE = 0.0015 // zoom changes by e^(-deltaY * rate) per wheel event
+const MINIMAP_SIZE = 200 // px of the minimap's longer side, in the top right corner
+const MINIMAP_MARGIN = 10
+const BEHAVIOR_KEYS = { g: Behavior.AGGRESSIVE, v: Behavior.DEFENSIVE, h: Behavior.HOLD_GROUND }
+const BEHAVIOR_BADGES = { [Behavior.DEFENSIVE]: 'D', [Behavior.HOLD_GROUND]: 'H' } // aggressive, the default, has none
+const TERRAIN_COLORS = { '=': '#6b5a3e', 'F': '#1f4a26', 'M': '#3e4a2c', '~': '#2a4d6b' } // grass keeps the background
+
+// Position between the previous and the current tick, alpha from SimulationClock.advance
+function interpolate(prev, current, alpha) {
+    return prev + (current - prev) * alpha;
+}
 
-    smoothPath(rawPath, obstacles) {
-        if (rawPath.length <= 2) {
-            return rawPath; // No smoothing needed for paths with 2 or fewer points
-        }
+// World position under a point of the canvas (e.g. e.clientX, e.clientY)
+function screenToWorld(x, y) {
+    return { x: view.camera.x + x / view.camera.zoom, y: view.camera.y + y / view.camera.zoom };
+}
 
-        const smoothedPath = [rawPath[0]]; // Start with the first point
-        let currentIndex = 0;
-
-        while (currentIndex < rawPath.length - 1) {
-            let nextIndex = currentIndex + 1;
-            while (nextIndex < rawPath.length) {
-                const startPoint = smoothedPath[smoothedPath.length - 1];
-                const endPoint = rawPath[nextIndex];
-                let hasObstacle = false;
-
-                // Check if the line between startPoint and endPoint intersects any obstacles
-                for (const obstacle of obstacles) {
-                    if (lineIntersectsAABB(startPoint.x, startPoint.y, endPoint.x, endPoint.y, obstacle)) {
-                        hasObstacle = true;
-                        break;
-                    }
-                }
-
-                if (!hasObstacle) {
-                    // If there's no obstacle, we can skip all intermediate points
-                    nextIndex++;
-                } else {
-                    // If there's an obstacle, we can only go up to the previous point
-                    nextIndex--;
-                    break;
-                }
-            }
+// Keep the camera over the world, a world smaller than the canvas is centered
+function clampCamera() {
+    const camera = view.camera;
+    const clamp = (pos, viewSize, worldSize) => viewSize >= worldSize
+        ? (worldSize - viewSize) / 2
+        : Math.max(0, Math.min(pos, worldSize - viewSize));
+    camera.x = clamp(camera.x, canvas.width / camera.zoom, game.width);
+    camera.y = clamp(camera.y, canvas.height / camera.zoom, game.height);
+}
 
-            if (nextIndex >= rawPath.length) {
-                nextIndex = rawPath.length - 1;
-            }
+// Center the view on world position (x, y), as far as the world allows
+function centerCamera(x, y) {
+    view.camera.x = x - canvas.width / view.camera.zoom / 2;
+    view.camera.y = y - canvas.height / view.camera.zoom / 2;
+    clampCamera();
+}
 
-            if (nextIndex > currentIndex) {
-                smoothedPath.push(rawPath[nextIndex]);
-                currentIndex = nextIndex;
-            } else {
-                // If we couldn't find a clear path, move to the next point
-                currentIndex++;
-                if (currentIndex < rawPath.length) {
-                    smoothedPath.push(rawPath[currentIndex]);
-                }
-            }
-        }
+// Center the view on the player's units (team 1), or on the world without any
+function focusCamera() {
+    const own = game.units.filter(u => u.team === 1);
+    const x = own.length > 0 ? own.reduce((sum, u) => sum + u.x, 0) / own.length : game.width / 2;
+    const y = own.length > 0 ? own.reduce((sum, u) => sum + u.y, 0) / own.length : game.height / 2;
+    centerCamera(x, y);
+}
 
-        return smoothedPath;
-    }
+// Units are selected in a live game, so A and S give orders rather than pan
+function ordersSelection() {
+    return !view.replay && !view.editor && game.selectedUnits.length > 0;
 }
 
-// Helper function to check if a line segment intersects an AABB
-function lineIntersectsAABB(x1, y1, x2, y2, obstacle) {
-    // Check if either endpoint is inside the obstacle
-    if ((x1 >= obstacle.x && x1 <= obstacle.x + TILE_SIZE &&
-         y1 >= obstacle.y && y1 <= obstacle.y + TILE_SIZE) ||
-        (x2 >= obstacle.x && x2 <= obstacle.x + TILE_SIZE &&
-         y2 >= obstacle.y && y2 <= obstacle.y + TILE_SIZE)) {
-        return true;
-    }
+function attackMoveHeld() {
+    return view.keys[ATTACK_MOVE_KEY] && ordersSelection();
+}
 
-    // Check if the line segment intersects any of the edges of the AABB
-    const edges = [
-        // Top edge
-        { x1: obstacle.x, y1: obstacle.y, x2: obstacle.x + TILE_SIZE, y2: obstacle.y },
-        // Right edge
-        { x1: obstacle.x + TILE_SIZE, y1: obstacle.y, x2: obstacle.x + TILE_SIZE, y2: obstacle.y + TILE_SIZE },
-        // Bottom edge
-        { x1: obstacle.x, y1: obstacle.y + TILE_SIZE, x2: obstacle.x + TILE_SIZE, y2: obstacle.y + TILE_SIZE },
-        // Left edge
-        { x1: obstacle.x, y1: obstacle.y, x2: obstacle.x, y2: obstacle.y + TILE_SIZE }
-    ];
-
-    for (const edge of edges) {
-        if (lineSegmentsIntersect(x1, y1, x2, y2, edge.x1, edge.y1, edge.x2, edge.y2)) {
-            return true;
-        }
+// Pan with WASD and by holding the mouse at the canvas edges, over deltaTime ms
+function updateCamera(deltaTime) {
+    let dx = 0;
+    let dy = 0;
+    Object.entries(PAN_KEYS).forEach(([key, [kx, ky]]) => {
+        if (!view.keys[key] || (key === ATTACK_MOVE_KEY && attackMoveHeld())) return;
+        dx += kx;
+        dy += ky;
+    });
+    if (view.mouseOver && !view.panStart && !view.minimapDrag) {
+        if (view.mousePos.x < EDGE_SCROLL_MARGIN) dx -= 1;
+        if (view.mousePos.x > canvas.width - EDGE_SCROLL_MARGIN) dx += 1;
+        if (view.mousePos.y < EDGE_SCROLL_MARGIN) dy -= 1;
+        if (view.mousePos.y > canvas.height - EDGE_SCROLL_MARGIN) dy += 1;
     }
+    if (dx === 0 && dy === 0) return;
 
-    return false;
+    const step = CAMERA_PAN_SPEED * deltaTime / 1000 / view.camera.zoom;
+    view.camera.x += Math.sign(dx) * step;
+    view.camera.y += Math.sign(dy) * step;
+    clampCamera();
 }
 
-// Helper function to check if two line segments intersect
-function lineSegmentsIntersect(x1, y1, x2, y2, x3, y3, x4, y4) {
-    // Calculate the direction of the lines
-    const uA = ((x4 - x3) * (y1 - y3) - (y4 - y3) * (x1 - x3)) / ((y4 - y3) * (x2 - x1) - (x4 - x3) * (y2 - y1));
-    const uB = ((x2 - x1) * (y1 - y3) - (y2 - y1) * (x1 - x3)) / ((y4 - y3) * (x2 - x1) - (x4 - x3) * (y2 - y1));
-
-    // If uA and uB are between 0 and 1, the lines intersect
-    if (uA >= 0 && uA <= 1 && uB >= 0 && uB <= 1) {
-        return true;
-    }
-
-    return false;
+// Zoom by factor, keeping the world point under canvas position (x, y) in place
+function zoomAt(x, y, factor) {
+    const anchor = screenToWorld(x, y);
+    view.camera.zoom = Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, view.camera.zoom * factor));
+    view.camera.x = anchor.x - x / view.camera.zoom;
+    view.camera.y = anchor.y - y / view.camera.zoom;
+    clampCamera();
 }
 
-// Global A* instance
-const pathfinder = new AStar();
-
-// Base Unit class
-class Unit {
-    constructor(x, y, team, type) {
-        this.x = x;
-        this.y = y;
-        this.team = team;
-        this.type = type;
-        this.selected = false;
-
-        // Unit stats will be set by child classes
-        this.hp = 0;
-        this.maxHp = 0;
-        this.damage = 0;
-        this.maxRange = 0;
-        this.attackSpeed = 0;
-        this.moveSpeed = 0;
-        this.radius = 0;
-
-        this.targetX = x;
-        this.targetY = y;
-        this.attackTarget = null;
-        this.isAttacking = false;
-        this.attackCooldown = 0;
-        this.moving = false;
-        this.formation = null;
-        this.formationPosition = null;
-        this.formationOrder = 0; // Default value, will be overridden by child classes
-
-        // For pathfinding
-        this.path = null;
-        this.currentPathIndex = 0;
-
-        // For attack animation
-        this.attackAnimationTime = 0;
-        this.attackAnimationDuration = 300; // ms
-    }
+// Tiles of the world on screen, as inclusive column and row bounds
+function visibleTiles() {
+    const topLeft = screenToWorld(0, 0);
+    const bottomRight = screenToWorld(canvas.width, canvas.height);
+    return {
+        minCol: Math.max(0, Math.floor(topLeft.x / TILE_SIZE)),
+        maxCol: Math.min(Math.ceil(game.width / TILE_SIZE) - 1, Math.floor(bottomRight.x / TILE_SIZE)),
+        minRow: Math.max(0, Math.floor(topLeft.y / TILE_SIZE)),
+        maxRow: Math.min(Math.ceil(game.height / TILE_SIZE) - 1, Math.floor(bottomRight.y / TILE_SIZE))
+    };
+}
 
-    update(deltaTime) {
-        // Update attack cooldown
-        if (this.attackCooldown > 0) {
-            this.attackCooldown -= deltaTime;
-        }
+function drawUnit(unit, alpha) {
+    // Draw unit as circle
+    ctx.save();
+    ctx.translate(interpolate(unit.prevX, unit.x, alpha), interpolate(unit.prevY, unit.y, alpha));
 
-        // Update attack animation
-        if (this.attackAnimationTime > 0) {
-            this.attackAnimationTime -= deltaTime;
-            if (this.attackAnimationTime <= 0) {
-                this.isAttacking = false;
-            }
-        }
+    // Unit body - always draw as circle
+    ctx.fillStyle = unit.team === 1 ? view.team1Color : view.team2Color;
+    ctx.beginPath();
+    ctx.arc(0, 0, unit.radius, 0, Math.PI * 2);
+    ctx.fill();
 
-        // Check if we have an attack target
-        if (this.attackTarget && this.attackTarget.hp > 0) {
-            const dist = this.distanceTo(this.attackTarget);
-
-            // Check if we're in the valid attack range (not too close, not too far)
-            const tooClose = this.minRange && dist < this.minRange;
-            const tooFar = dist > this.maxRange;
-            const inRange = !tooClose && !tooFar;
-
-            if (inRange) {
-                // In range, stop and attack
-                this.moving = false;
-                this.path = null; // Clear path when in range
-                this.targetX = this.x;
-                this.targetY = this.y;
-
-                if (this.attackCooldown <= 0 && !this.isAttacking) {
-                    this.performAttack();
-                }
-            } else if (tooClose) {
-                const dx = this.x - this.attackTarget.x;
-                const dy = this.y - this.attackTarget.y;
-                const angle = Math.atan2(dy, dx);
-                
-                const safeDistance = this.minRange + MIN_RANGE_BUFFER;
-                const retreatX = this.attackTarget.x + Math.cos(angle) * safeDistance;
-                const retreatY = this.attackTarget.y + Math.sin(angle) * safeDistance;
-                
-                const needsNewPath = !this.path || 
-                                    this.currentPathIndex >= this.path.length ||
-                                    Math.abs(this.targetX - retreatX) > TILE_SIZE / 2 ||
-                                    Math.abs(this.targetY - retreatY) > TILE_SIZE / 2;
-                
-                if (needsNewPath) {
-                    this.targetX = retreatX;
-                    this.targetY = retreatY;
-                    
-                    if (!this.formation) {
-                        this.setPath(retreatX, retreatY);
-            } else {
-                        this.moving = true;
-                    }
-                }
-            } else if (tooFar) {
-                const needsNewPath = !this.path || 
-                                    this.currentPathIndex >= this.path.length ||
-                                    Math.abs(this.targetX - this.attackTarget.x) > TILE_SIZE / 2 ||
-                                    Math.abs(this.targetY - this.attackTarget.y) > TILE_SIZE / 2;
-                
-                if (needsNewPath) {
-                this.targetX = this.attackTarget.x;
-                this.targetY = this.attackTarget.y;
-                    
-                    if (!this.formation) {
-                        this.setPath(this.attackTarget.x, this.attackTarget.y);
-                    } else {
-                this.moving = true;
-                    }
-                }
-            }
-        } else if (this.attackTarget && this.attackTarget.hp <= 0) {
-            this.attackTarget = null;
-        }
-
-        if (this.moving && !this.isAttacking) {
-            if (this.formation) {
-                const dx = this.targetX - this.x;
-                const dy = this.targetY - this.y;
-                const dist = Math.sqrt(dx * dx + dy * dy);
-
-                if (dist > 2) {
-                    let currentSpeed = this.moveSpeed;
-
-                    if (this.formation.isMoving) {
-                        currentSpeed = this.formation.speed;
-                    }
-
-                    if (this.formationPosition) {
-                        const formDist = Math.sqrt(
-                            Math.pow(this.x - this.formationPosition.x, 2) +
-                            Math.pow(this.y - this.formationPosition.y, 2)
-                        );
-
-                        if (formDist > 5 && formDist < FORMATION_SPEED_BOOST_RANGE) {
-                            currentSpeed *= FORMATION_CHASING_SPEED_BOOST;
-                        }
-                    }
-
-                    let moveX = (dx / dist) * currentSpeed;
-                    let moveY = (dy / dist) * currentSpeed;
-
-                    const newX = this.x + moveX;
-                    const newY = this.y + moveY;
-                    
-                    // Check if the new position would collide with obstacles
-                    if (!this.checkObstacleCollision(newX, newY)) {
-                        this.x = newX;
-                        this.y = newY;
-                    } else {
-                        // Collision detected, stop moving and recalculate path
-                        this.moving = false;
-                        if (this.formation && !this.formation.isMoving) {
-                            this.formation.checkFormationReady();
-                        }
-                    }
-                } else {
-                    this.moving = false;
-                    if (this.formation && !this.formation.isMoving) {
-                        this.formation.checkFormationReady();
-                    }
-                }
-            } else {
-                // Single unit movement with A* pathfinding
-                this.followPath(deltaTime);
-            }
-        } else {
-            this.moving = false;
-        }
+    // Draw type indicator (simplified)
+    ctx.fillStyle = 'white';
+    ctx.font = '12px Arial';
+    ctx.textAlign = 'center';
+    const typeSymbol = unit.type === 'knight' ? 'K' :
+        (unit.type === 'archer' ? 'A' :
+            (unit.type === 'catapult' ? 'C' : 'P'));
+    ctx.fillText(typeSymbol, 0, 4);
+
+    // Draw behavior badge below the unit
+    const badge = BEHAVIOR_BADGES[unit.behavior];
+    if (badge) {
+        ctx.fillStyle = '#ffd24a';
+        ctx.font = 'bold 9px Arial';
+        ctx.fillText(badge, 0, unit.radius + 9);
     }
 
-    performAttack() {
-        this.isAttacking = true;
-        this.attackAnimationTime = this.attackAnimationDuration;
-        this.attackCooldown = this.attackSpeed;
-        this.attackTarget.takeDamage(this.damage);
+    // Draw selection ring
+    if (unit.selected) {
+        ctx.strokeStyle = '#00ff00';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(0, 0, unit.radius + 5, 0, Math.PI * 2);
+        ctx.stroke();
     }
 
-    takeDamage(damage) {
-        this.hp -= damage;
-        if (this.hp <= 0) {
-            this.hp = 0;
-            // Remove from game units
-            const index = game.units.indexOf(this);
-            if (index > -1) {
-                game.units.splice(index, 1);
-            }
-        }
+    // Draw health bar
+    if (unit.hp < unit.maxHp) {
+        ctx.fillStyle = 'red';
+        ctx.fillRect(-unit.radius, -unit.radius - 10, unit.radius * 2, 4);
+        ctx.fillStyle = 'green';
+        ctx.fillRect(-unit.radius, -unit.radius - 10, unit.radius * 2 * (unit.hp / unit.maxHp), 4);
     }
 
-    calculateRepulsion() {
-        const repulsion = { x: 0, y: 0 };
-
-        // Only apply repulsion if moving
-        if (!this.moving) return repulsion;
-
-        game.units.forEach(other => {
-            if (other === this) return;
+    // Draw attack animation
+    if (unit.isAttacking && unit.attackAnimationTime > 0) {
+        ctx.strokeStyle = 'yellow';
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        ctx.arc(0, 0, unit.radius + 10, 0, Math.PI * 2 * (unit.attackAnimationTime / unit.attackAnimationDuration));
+        ctx.stroke();
+    }
 
-            if (this.formation && other.formation && this.formation === other.formation) {
-                return;
-            }
+    ctx.restore();
+}
 
-            const dist = this.distanceTo(other);
-            const minDist = this.radius + other.radius;
-
-            if (dist < minDist && dist > 0) {
-                // Only repel if the other unit is not attacking
-                if (!other.isAttacking) {
-                    const force = (minDist - dist) / minDist * 0.5;
-                    const dx = this.x - other.x;
-                    const dy = this.y - other.y;
-                    repulsion.x += (dx / dist) * force;
-                    repulsion.y += (dy / dist) * force;
-                }
-            }
-        });
+function drawFormation(formation) {
+    const activeUnits = formation.getActiveUnits();
+    if (activeUnits.length === 0) return;
+
+    // Draw formation bounds
+    let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+    activeUnits.forEach(unit => {
+        if (!unit.formationPosition) return;
+        minX = Math.min(minX, unit.formationPosition.x);
+        maxX = Math.max(maxX, unit.formationPosition.x);
+        minY = Math.min(minY, unit.formationPosition.y);
+        maxY = Math.max(maxY, unit.formationPosition.y);
+    });
 
-        game.obstacles.forEach(obstacle => {
-            const closestX = Math.max(obstacle.x, Math.min(this.x, obstacle.x + TILE_SIZE));
-            const closestY = Math.max(obstacle.y, Math.min(this.y, obstacle.y + TILE_SIZE));
-            
-            const dx = this.x - closestX;
-            const dy = this.y - closestY;
-            const dist = Math.sqrt(dx * dx + dy * dy);
-            
-            if (dist*0.5 < this.radius) {
-                const force = (this.radius - dist) / this.radius * 0.8; // Stronger repulsion from obstacles
-                repulsion.x += -(dx / dist) * force;
-                repulsion.y += -(dy / dist) * force;
-            }
-        });
+    const padding = 10;
+    ctx.save();
+    ctx.strokeStyle = '#888';
+    ctx.lineWidth = 2;
+    ctx.setLineDash([5, 5]);
+    ctx.strokeRect(
+        minX - padding, 
+        minY - padding, 
+        (maxX - minX) + padding * 2, 
+        (maxY - minY) + padding * 2
+    );
+    ctx.setLineDash([]);
+
+    // Draw slot markers (for ALL units, even removed ones - grayed out)
+    formation.allUnits.forEach(unit => {
+        if (!unit.formationPosition) return;
+        
+        ctx.fillStyle = unit.inFormation ? '#888' : '#444';
+        const squareSize = unit.inFormation ? 4 : 3;
+        
+        ctx.fillRect(
+            unit.formationPosition.x - squareSize / 2,
+            unit.formationPosition.y - squareSize / 2,
+            squareSize,
+            squareSize
+        );
+    });
 
-        return repulsion;
-    }
+    // Draw path
+    ctx.strokeStyle = '#4aa3ff';
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    ctx.moveTo(formation.centerX, formation.centerY);
+    ctx.lineTo(formation.targetX, formation.targetY);
+    ctx.stroke();
+    
+    // Draw arrow at target to show direction
+    const arrowSize = 15;
+    ctx.fillStyle = '#4aa3ff';
+    ctx.save();
+    ctx.translate(formation.targetX, formation.targetY);
+    ctx.rotate(formation.angle);
+    ctx.beginPath();
+    ctx.moveTo(0, 0);
+    ctx.lineTo(-arrowSize, -arrowSize/2);
+    ctx.lineTo(-arrowSize, arrowSize/2);
+    ctx.closePath();
+    ctx.fill();
+    ctx.restore();
+    
+    ctx.restore();
+}
 
-    checkObstacleCollision(x, y) {
-        for (let obstacle of game.obstacles) {
-            if (x + this.radius > obstacle.x &&
-                x - this.radius < obstacle.x + TILE_SIZE &&
-                y + this.radius > obstacle.y &&
-                y - this.radius < obstacle.y + TILE_SIZE) {
-                return true;
-            }
-        }
-        return false;
-    }
+function drawProjectile(projectile, alpha) {
+    if (!projectile.active) return;
+    ctx.fillStyle = 'orange';
+    ctx.beginPath();
+    ctx.arc(interpolate(projectile.prevX, projectile.x, alpha), interpolate(projectile.prevY, projectile.y, alpha), projectile.size, 0, Math.PI * 2);
+    ctx.fill();
+}
 
-    distanceTo(other) {
-        const dx = this.x - other.x;
-        const dy = this.y - other.y;
-        return Math.sqrt(dx * dx + dy * dy);
+// ADDED: render path overlay (free tiles only)
+function drawPathOverlay() {
+    if (!game.pathCells || game.pathCells.length === 0) return;
+    ctx.save();
+    ctx.fillStyle = 'rgba(84, 180, 122, 0.35)'; // semi-transparent green
+    for (const [r, c] of game.pathCells) {
+        ctx.fillRect(c * TILE_SIZE, r * TILE_SIZE, TILE_SIZE, TILE_SIZE);
     }
+    ctx.restore();
+}
 
-    followPath(deltaTime) {
-        if (!this.path || this.currentPathIndex >= this.path.length) {
-            this.moving = false;
-            return;
-        }
-
-        // Current target waypoint
-        const targetWaypoint = this.path[this.currentPathIndex];
-        let dx = targetWaypoint.x - this.x;
-        let dy = targetWaypoint.y - this.y;
-        let dist = Math.sqrt(dx * dx + dy * dy);
-
-        const isFinalWaypoint = (this.currentPathIndex === this.path.length - 1);
-        const currentSpeed = this.moveSpeed;
-
-        // If we're exactly on the waypoint already
-        if (dist === 0) {
-            if (isFinalWaypoint) {
-                this.moving = false;
-            }
-            this.currentPathIndex++;
+// Render redirected orders: a cross on the requested spot, a dashed line to the
+// adjusted destination and a ring around it, fading out over ORDER_MARKER_DURATION.
+// Attack-move destinations get a red crosshair instead.
+function drawOrderMarkers() {
+    game.orderMarkers.forEach(marker => {
+        if (marker.kind === 'attackMove') {
+            drawAttackMoveMarker(marker);
             return;
         }
+        const crossSize = 8;
+        ctx.save();
+        ctx.globalAlpha = Math.max(0, marker.timeLeft / ORDER_MARKER_DURATION);
+        ctx.strokeStyle = '#ffaa00';
+        ctx.fillStyle = '#ffaa00';
+        ctx.lineWidth = 2;
 
+        ctx.beginPath();
+        ctx.moveTo(marker.requestedX - crossSize, marker.requestedY - crossSize);
+        ctx.lineTo(marker.requestedX + crossSize, marker.requestedY + crossSize);
+        ctx.moveTo(marker.requestedX + crossSize, marker.requestedY - crossSize);
+        ctx.lineTo(marker.requestedX - crossSize, marker.requestedY + crossSize);
+        ctx.stroke();
 
-        if (isFinalWaypoint) {
-            const SNAP_TOLERANCE = 2; // pixels
-
-            // If we're very close, snap exactly and finish
-            if (dist <= SNAP_TOLERANCE) {
-                this.x = targetWaypoint.x;
-                this.y = targetWaypoint.y;
-                this.currentPathIndex++;
-                this.moving = false;
-                return;
-            }
-
-            // Otherwise, move toward final waypoint (and guard against overshoot caused by repulsion)
-            const moveX = (dx / dist) * currentSpeed;
-            const moveY = (dy / dist) * currentSpeed;
-            const repulsion = this.calculateRepulsion();
-
-            const newX = this.x + moveX + repulsion.x;
-            const newY = this.y + moveY + repulsion.y;
-
-            // Check if the new position would collide with obstacles
-            if (!this.checkObstacleCollision(newX, newY)) {
-            // If the movement would pass the waypoint (dot product <= 0) — snap to avoid skipping
-            const dot = (targetWaypoint.x - this.x) * (targetWaypoint.x - newX) +
-                (targetWaypoint.y - this.y) * (targetWaypoint.y - newY);
-            if (dot <= 0) {
-                this.x = targetWaypoint.x;
-                this.y = targetWaypoint.y;
-                this.currentPathIndex++;
-                this.moving = false;
-                return;
-            }
-
-            // Otherwise apply the move normally
-            this.x = newX;
-            this.y = newY;
-            } else {
-                // Collision detected, recalculate path
-                this.setPath(targetWaypoint.x, targetWaypoint.y);
-            }
-            return; // important: don't fall-through to non-final logic
-        }
-
-        // -- NON-final waypoint behavior with collision detection --
-        if (dist < TILE_SIZE / 2) {
-            // reached intermediate waypoint, go to next
-            this.currentPathIndex++;
-            if (this.currentPathIndex >= this.path.length) {
-                this.moving = false;
-                return;
-            }
-        } else {
-            // move toward intermediate waypoint
-            const moveX = (dx / dist) * currentSpeed;
-            const moveY = (dy / dist) * currentSpeed;
-            const repulsion = this.calculateRepulsion();
-            
-            const newX = this.x + moveX + repulsion.x;
-            const newY = this.y + moveY + repulsion.y;
-            
-            // Check if the new position would collide with obstacles
-            if (!this.checkObstacleCollision(newX, newY)) {
-                this.x = newX;
-                this.y = newY;
-            } else {
-                // Collision detected, recalculate path
-                this.setPath(targetWaypoint.x, targetWaypoint.y);
-            }
-        }
-    }
-
-    // Set path for movement
-    setPath(targetX, targetY) {
-        this.path = pathfinder.findPath(this.x, this.y, targetX, targetY);
-        this.path[this.path.length - 1].x = targetX
-        this.path[this.path.length - 1].y = targetY
-        this.currentPathIndex = 0;
-        this.moving = true;
-    }
-
-    draw(ctx) {
-        // Draw unit as circle
-        ctx.save();
-        ctx.translate(this.x, this.y);
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.moveTo(marker.requestedX, marker.requestedY);
+        ctx.lineTo(marker.x, marker.y);
+        ctx.stroke();
+        ctx.setLineDash([]);
 
-        // Unit body - always draw as circle
-        ctx.fillStyle = this.team === 1 ? game.team1Color : game.team2Color;
         ctx.beginPath();
-        ctx.arc(0, 0, this.radius, 0, Math.PI * 2);
-        ctx.fill();
+        ctx.arc(marker.x, marker.y, 10, 0, Math.PI * 2);
+        ctx.stroke();
 
-        // Draw type indicator (simplified)
-        ctx.fillStyle = 'white';
         ctx.font = '12px Arial';
         ctx.textAlign = 'center';
-        const typeSymbol = this.type === 'knight' ? 'K' :
-            (this.type === 'archer' ? 'A' :
-                (this.type === 'catapult' ? 'C' : 'P'));
-        ctx.fillText(typeSymbol, 0, 4);
-
-        // Draw selection ring
-        if (this.selected) {
-            ctx.strokeStyle = '#00ff00';
-            ctx.lineWidth = 2;
-            ctx.beginPath();
-            ctx.arc(0, 0, this.radius + 5, 0, Math.PI * 2);
-            ctx.stroke();
-        }
-
-        // Draw health bar
-        if (this.hp < this.maxHp) {
-            ctx.fillStyle = 'red';
-            ctx.fillRect(-this.radius, -this.radius - 10, this.radius * 2, 4);
-            ctx.fillStyle = 'green';
-            ctx.fillRect(-this.radius, -this.radius - 10, this.radius * 2 * (this.hp / this.maxHp), 4);
-        }
-
-        // Draw attack animation
-        if (this.isAttacking && this.attackAnimationTime > 0) {
-            ctx.strokeStyle = 'yellow';
-            ctx.lineWidth = 3;
-            ctx.beginPath();
-            ctx.arc(0, 0, this.radius + 10, 0, Math.PI * 2 * (this.attackAnimationTime / this.attackAnimationDuration));
-            ctx.stroke();
-        }
-
+        ctx.fillText('Order adjusted', marker.x, marker.y - 16);
         ctx.restore();
-    }
+    });
 }
 
-class Formation {
-    constructor(units, targetX, targetY) {
-        this.allUnits = units; // Keep reference to all original units
-        this.targetX = targetX;
-        this.targetY = targetY;
-        this.isMoving = false;
-
-        // Center of mass (initial)
-        this.centerX = units.reduce((sum, u) => sum + u.x, 0) / units.length;
-        this.centerY = units.reduce((sum, u) => sum + u.y, 0) / units.length;
-
-        // A* path for formation center
-        this.centerPath = null;
-        this.currentCenterPathIndex = 0;
-
-        // Direction and orientation
-        this.offsetX = this.targetX - this.centerX;
-        this.offsetY = this.targetY - this.centerY;
-        this.dist = Math.hypot(this.offsetX, this.offsetY) || 1e-6;
-        this.angle = Math.atan2(this.offsetY, this.offsetX);
-        this.dir = { x: this.offsetX / this.dist, y: this.offsetY / this.dist };
-
-        units.forEach(unit => {
-            unit.formation = this;
-            unit.inFormation = true;
-            if ('facing' in unit) unit.facing = this.angle;
-        });
-        this.speed = Math.min(...units.map(u => u.moveSpeed));
-
-        // Assign formation positions ONCE (never recalculate)
-        this.assignFormationPositions();
-
-    }
-
-    rotateLocal(x, y) {
-        const c = Math.cos(this.angle), s = Math.sin(this.angle);
-        return { 
-            x: x * c - y * s, 
-            y: x * s + y * c 
-        };
-    }
-
-    getUnitsPerRow(totalUnits) {
-        if (totalUnits <= 18) return 6;
-        if (totalUnits <= 30) return 10;
-        return 14;
-    }
-
-    // Create formation piece for one unit type
-    createFormationPiece(units, offsetX) {
-        const unitsPerRow = this.getUnitsPerRow(units.length);
-        const rows = Math.ceil(units.length / unitsPerRow);
-        
-        const positions = [];
-        
-        for (let row = 0; row < rows; row++) {
-            const startIdx = row * unitsPerRow;
-            const endIdx = Math.min(startIdx + unitsPerRow, units.length);
-            const unitsInRow = endIdx - startIdx;
-            
-            // Center units in each row (rows go perpendicular to movement)
-            const rowWidth = (unitsInRow - 1) * FORMATION_UNIT_DISTANCE;
-            const startY = -rowWidth / 2;
-            
-            for (let i = 0; i < unitsInRow; i++) {
-                const unitIdx = startIdx + i;
-                positions.push({
-                    unit: units[unitIdx],
-                    localX: offsetX - row * FORMATION_UNIT_DISTANCE, // X = forward/back
-                    localY: startY + i * FORMATION_UNIT_DISTANCE      // Y = left/right (perpendicular)
-                });
-            }
-        }
-        
-        return {
-            units: units,
-            positions: positions,
-            width: rows * FORMATION_UNIT_DISTANCE // width in forward direction
-        };
-    }
-
-    assignFormationPositions() {
-        // Group units by type (formationOrder)
-        const unitsByType = {};
-        this.allUnits.forEach(unit => {
-            const order = unit.formationOrder !== undefined ? unit.formationOrder : 999;
-            if (!unitsByType[order]) {
-                unitsByType[order] = [];
-            }
-            unitsByType[order].push(unit);
-        });
-
-        // Sort by formationOrder (0 at front, higher numbers at back)
-        const sortedOrders = Object.keys(unitsByType)
-            .map(Number)
-            .sort((a, b) => a - b);
-
-        // Create formation pieces
-        // Order 0 should be at front (highest X in local space since +X is forward)
-        this.formationPieces = [];
-        let currentOffsetX = 0;
-
-        // Calculate total formation width first to center it
-        let totalWidth = 0;
-        sortedOrders.forEach((order, index) => {
-            const units = unitsByType[order];
-            const unitsPerRow = this.getUnitsPerRow(units.length);
-            const rows = Math.ceil(units.length / unitsPerRow);
-            const pieceWidth = rows * FORMATION_UNIT_DISTANCE;
-            totalWidth += pieceWidth;
-            if (index < sortedOrders.length - 1) {
-                totalWidth += FORMATION_PIECE_DISTANCE;
-            }
-        });
-
-        // Start from front (positive X)
-        currentOffsetX = totalWidth / 2;
-
-        sortedOrders.forEach((order, index) => {
-            const units = unitsByType[order];
-            
-            // Adjust offset to account for this piece's width
-            const unitsPerRow = this.getUnitsPerRow(units.length);
-            const rows = Math.ceil(units.length / unitsPerRow);
-            const pieceWidth = rows * FORMATION_UNIT_DISTANCE;
-            
-            // Position piece so its front edge is at currentOffsetX
-            const pieceOffsetX = currentOffsetX - (pieceWidth - FORMATION_UNIT_DISTANCE) / 2;
-            
-            const piece = this.createFormationPiece(units, pieceOffsetX);
-            this.formationPieces.push(piece);
-            
-            // Move offset for next piece (if any)
-            if (index < sortedOrders.length - 1) {
-                currentOffsetX -= (pieceWidth + FORMATION_PIECE_DISTANCE);
-            }
-        });
-
-        // Assign world positions to all units
-        this.formationPieces.forEach(piece => {
-            piece.positions.forEach(pos => {
-                const { unit, localX, localY } = pos;
-                
-                // Store local coordinates (these NEVER change)
-                unit.formationSlot = { localX, localY };
-                
-                // Calculate initial world position (assembly point)
-                const r = this.rotateLocal(localX, localY);
-                unit.formationPosition = {
-                    x: this.centerX + r.x,
-                    y: this.centerY + r.y
-                };
-                
-                unit.targetX = unit.formationPosition.x;
-                unit.targetY = unit.formationPosition.y;
-                unit.moving = true;
-            });
-        });
-    }
-
-    // Get only units still in formation
-    getActiveUnits() {
-        return this.allUnits.filter(u => u.inFormation);
-    }
-
-    checkFormationReady() {
-        const activeUnits = this.getActiveUnits();
-        if (activeUnits.length === 0) return;
+// Shift-queued orders of the selection: for each group of units queued together, a
+// dashed line from the group through its current destination and every queued waypoint,
+// with a dot on each (red for attacks and attack-moves)
+function drawOrderQueues(alpha) {
+    const groups = new Map(); // id of the first queued order -> units
+    game.selectedUnits.forEach(unit => {
+        if (unit.orders.length === 0) return;
+        const id = unit.orders[0].id;
+        if (!groups.has(id)) groups.set(id, []);
+        groups.get(id).push(unit);
+    });
 
-        const unitsInPosition = activeUnits.filter(unit => {
-            if (!unit.formationPosition) return false;
-            const dx = unit.x - unit.formationPosition.x;
-            const dy = unit.y - unit.formationPosition.y;
-            return Math.hypot(dx, dy) < 10;
+    ctx.save();
+    ctx.lineWidth = 1.5;
+    groups.forEach(units => {
+        const points = [{
+            x: units.reduce((sum, u) => sum + interpolate(u.prevX, u.x, alpha), 0) / units.length,
+            y: units.reduce((sum, u) => sum + interpolate(u.prevY, u.y, alpha), 0) / units.length
+        }];
+        const current = currentDestination(units[0]);
+        if (current) points.push(current);
+        units[0].orders.forEach(order => {
+            const spot = order.type === 'attack' ? getUnitById(order.targetId) : order;
+            if (spot) points.push({ x: spot.x, y: spot.y, type: order.type });
         });
 
-        if (unitsInPosition.length >= activeUnits.length * FORMATION_WAIT_PERCENTAGE) {
-            this.startMoving();
-        }
-    }
-
-    startMoving() {
-        this.isMoving = true;
-
-        // Calculate A* path for formation center
-        this.centerPath = pathfinder.findPath(this.centerX, this.centerY, this.targetX, this.targetY);
-        this.currentCenterPathIndex = 0;
-
-        // Update destination for all units (including those removed - they keep their slot)
-        this.updateUnitPositions();
+        ctx.strokeStyle = ORDER_QUEUE_COLOR;
+        ctx.setLineDash([6, 4]);
+        ctx.beginPath();
+        points.forEach((p, i) => i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y));
+        ctx.stroke();
+        ctx.setLineDash([]);
 
-        // Update facing for all units
-        this.allUnits.forEach(unit => {
-            if ('facing' in unit) unit.facing = this.angle;
+        points.slice(1).forEach(p => {
+            ctx.fillStyle = p.type === 'move' ? ORDER_QUEUE_COLOR : ATTACK_MOVE_COLOR;
+            ctx.beginPath();
+            ctx.arc(p.x, p.y, 4, 0, Math.PI * 2);
+            ctx.fill();
         });
-    }
-
-    // Update formation center and unit positions
-    updateFormationCenter(deltaTime) {
-        if (!this.centerPath || this.currentCenterPathIndex >= this.centerPath.length) {
-            this.isMoving = false;
-            return;
-        }
-
-        // Current target waypoint for center
-        const targetWaypoint = this.centerPath[this.currentCenterPathIndex];
-        let dx = targetWaypoint.x - this.centerX;
-        let dy = targetWaypoint.y - this.centerY;
-        let dist = Math.sqrt(dx * dx + dy * dy);
+    });
+    ctx.restore();
+}
 
-        const isFinalWaypoint = (this.currentCenterPathIndex === this.centerPath.length - 1);
-        const currentSpeed = this.speed;
+// Where the unit's current order takes it, as {x, y, type}, null if it stands idle
+function currentDestination(unit) {
+    if (unit.attackTarget) return { x: unit.attackTarget.x, y: unit.attackTarget.y, type: 'attack' };
+    const type = unit.attackMove ? 'attackMove' : 'move';
+    if (unit.formation && unit.formation.isUnderway()) return { x: unit.formation.targetX, y: unit.formation.targetY, type };
+    if (!unit.moving) return null;
+    if (unit.flowTarget) return { x: unit.flowTarget.x, y: unit.flowTarget.y, type };
+    const end = unit.path ? unit.path[unit.path.length - 1] : { x: unit.targetX, y: unit.targetY };
+    return { x: end.x, y: end.y, type };
+}
 
-        // If we're exactly on the waypoint already
-        if (dist === 0) {
-            if (isFinalWaypoint) {
-                this.isMoving = false;
-            }
-            this.currentCenterPathIndex++;
-            this.updateUnitPositions();
-            return;
-        }
+// Red ring with four ticks pointing in at an attack-move destination
+function drawAttackMoveMarker(marker) {
+    ctx.save();
+    ctx.globalAlpha = Math.max(0, marker.timeLeft / ORDER_MARKER_DURATION);
+    ctx.strokeStyle = ATTACK_MOVE_COLOR;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.arc(marker.x, marker.y, 10, 0, Math.PI * 2);
+    [[1, 0], [0, 1], [-1, 0], [0, -1]].forEach(([dx, dy]) => {
+        ctx.moveTo(marker.x + dx * 16, marker.y + dy * 16);
+        ctx.lineTo(marker.x + dx * 5, marker.y + dy * 5);
+    });
+    ctx.stroke();
+    ctx.restore();
+}
 
-        if (isFinalWaypoint) {
-            const SNAP_TOLERANCE = 2; // pixels
-
-            // If we're very close, snap exactly and finish
-            if (dist <= SNAP_TOLERANCE) {
-                this.centerX = targetWaypoint.x;
-                this.centerY = targetWaypoint.y;
-                this.currentCenterPathIndex++;
-                this.isMoving = false;
-                this.updateUnitPositions();
-                return;
+// Draw the terrain, heights and grid lines of the tiles on screen (in world space)
+function drawGrid() {
+    const { minCol, maxCol, minRow, maxRow } = visibleTiles();
+
+    for (let row = minRow; row <= maxRow; row++) {
+        for (let col = minCol; col <= maxCol; col++) {
+            const x = col * TILE_SIZE;
+            const y = row * TILE_SIZE;
+
+            // Terrain tiles under the grid lines
+            const char = game.terrain ? game.terrain[row][col] : '.';
+            if (char in TERRAIN_COLORS) {
+                ctx.fillStyle = TERRAIN_COLORS[char];
+                ctx.fillRect(x, y, TILE_SIZE, TILE_SIZE);
             }
 
-            // Otherwise, move toward final waypoint
-            const moveX = (dx / dist) * currentSpeed;
-            const moveY = (dy / dist) * currentSpeed;
-
-            const newCenterX = this.centerX + moveX;
-            const newCenterY = this.centerY + moveY;
-
-            // If the movement would pass the waypoint - snap to avoid skipping
-            const dot = (targetWaypoint.x - this.centerX) * (targetWaypoint.x - newCenterX) +
-                (targetWaypoint.y - this.centerY) * (targetWaypoint.y - newCenterY);
-            if (dot <= 0) {
-                this.centerX = targetWaypoint.x;
-                this.centerY = targetWaypoint.y;
-                this.currentCenterPathIndex++;
-                this.isMoving = false;
-            } else {
-                // Otherwise apply the move normally
-                this.centerX = newCenterX;
-                this.centerY = newCenterY;
+            // Higher tiles are lighter, with a shadow along drops to the tile below
+            if (!game.heights) continue;
+            const level = game.heights[row][col];
+            if (level > '0') {
+                ctx.fillStyle = `rgba(255, 255, 255, ${Number(level) * HEIGHT_SHADE})`;
+                ctx.fillRect(x, y, TILE_SIZE, TILE_SIZE);
             }
-            
-            this.updateUnitPositions();
-            return;
-        }
-
-        // Non-final waypoint behavior
-        if (dist < TILE_SIZE / 2) {
-            // reached intermediate waypoint, go to next
-            this.currentCenterPathIndex++;
-            if (this.currentCenterPathIndex >= this.centerPath.length) {
-                this.isMoving = false;
-                return;
+            const below = game.heights[row + 1];
+            if (below && below[col] < level) {
+                ctx.fillStyle = 'rgba(0, 0, 0, 0.35)';
+                ctx.fillRect(x, y + TILE_SIZE - 4, TILE_SIZE, 4);
             }
-        } else {
-            // move toward intermediate waypoint
-            const moveX = (dx / dist) * currentSpeed;
-            const moveY = (dy / dist) * currentSpeed;
-
-            this.centerX += moveX;
-            this.centerY += moveY;
         }
-
-        this.updateUnitPositions();
     }
 
-    // Update all unit positions based on current formation center
-    updateUnitPositions() {
-        this.allUnits.forEach(unit => {
-            if (!unit.formationSlot || !unit.inFormation) return;
+    ctx.strokeStyle = '#444';
+    ctx.lineWidth = 1 / view.camera.zoom;
 
-            const { localX, localY } = unit.formationSlot;
-            const r = this.rotateLocal(localX, localY);
-            const destX = this.centerX + r.x;
-            const destY = this.centerY + r.y;
+    // Draw vertical lines
+    for (let col = minCol; col <= maxCol + 1; col++) {
+        ctx.beginPath();
+        ctx.moveTo(col * TILE_SIZE, minRow * TILE_SIZE);
+        ctx.lineTo(col * TILE_SIZE, (maxRow + 1) * TILE_SIZE);
+        ctx.stroke();
+    }
 
-            unit.targetX = destX;
-            unit.targetY = destY;
-            unit.formationPosition = { x: destX, y: destY };
-            unit.moving = true;
-        });
+    // Draw horizontal lines
+    for (let row = minRow; row <= maxRow + 1; row++) {
+        ctx.beginPath();
+        ctx.moveTo(minCol * TILE_SIZE, row * TILE_SIZE);
+        ctx.lineTo((maxCol + 1) * TILE_SIZE, row * TILE_SIZE);
+        ctx.stroke();
     }
+}
 
-    // Check if unit's movement path intersects obstacles
-    checkUnitPathObstacles(unit, destX, destY) {
-        const startX = unit.x;
-        const startY = unit.y;
-        const radius = unit.radius;
+// Minimap geometry: the whole world scaled down to MINIMAP_SIZE, in screen px
+function minimapRect() {
+    const scale = MINIMAP_SIZE / Math.max(game.width, game.height);
+    const width = game.width * scale;
+    return { x: canvas.width - width - MINIMAP_MARGIN, y: MINIMAP_MARGIN, width, height: game.height * scale, scale };
+}
 
-        // Get the direction vector of the movement
-        const dx = destX - startX;
-        const dy = destY - startY;
-        const length = Math.sqrt(dx * dx + dy * dy);
-        
-        if (length === 0) return; // No movement
+function inMinimap(x, y) {
+    const rect = minimapRect();
+    return x >= rect.x && x <= rect.x + rect.width && y >= rect.y && y <= rect.y + rect.height;
+}
 
-        // Normalize direction
-        const dirX = dx / length;
-        const dirY = dy / length;
+// World position under a point of the minimap
+function minimapToWorld(x, y) {
+    const rect = minimapRect();
+    return { x: (x - rect.x) / rect.scale, y: (y - rect.y) / rect.scale };
+}
 
-        // Calculate perpendicular direction (90 degrees rotated)
-        const perpX = -dirY;
-        const perpY = dirX;
+// Terrain, obstacles, units and the part of the world on screen, in screen space
+function drawMinimap() {
+    const rect = minimapRect();
+    const tile = TILE_SIZE * rect.scale;
+    ctx.save();
+    ctx.fillStyle = '#333';
+    ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
+
+    (game.terrain || []).forEach((line, row) => {
+        Array.from(line).forEach((char, col) => {
+            if (!(char in TERRAIN_COLORS)) return;
+            ctx.fillStyle = TERRAIN_COLORS[char];
+            ctx.fillRect(rect.x + col * tile, rect.y + row * tile, tile, tile);
+        });
+    });
 
-        // Create two lines offset by unit radius in perpendicular direction
-        const line1StartX = startX + perpX * radius;
-        const line1StartY = startY + perpY * radius;
-        const line1EndX = destX + perpX * radius;
-        const line1EndY = destY + perpY * radius;
+    ctx.fillStyle = '#777';
+    game.obstacles.forEach(obstacle => {
+        ctx.fillRect(rect.x + obstacle.x * rect.scale, rect.y + obstacle.y * rect.scale, tile, tile);
+    });
 
-        const line2StartX = startX - perpX * radius;
-        const line2StartY = startY - perpY * radius;
-        const line2EndX = destX - perpX * radius;
-        const line2EndY = destY - perpY * radius;
+    game.units.forEach(unit => {
+        ctx.fillStyle = unit.team === 1 ? view.team1Color : view.team2Color;
+        ctx.fillRect(rect.x + unit.x * rect.scale - 1.5, rect.y + unit.y * rect.scale - 1.5, 3, 3);
+    });
 
-        // Check both lines for obstacle intersections
-        const line1Intersects = this.lineIntersectsObstacles(line1StartX, line1StartY, line1EndX, line1EndY);
-        const line2Intersects = this.lineIntersectsObstacles(line2StartX, line2StartY, line2EndX, line2EndY);
+    // Camera rectangle, cut to the minimap when the view is larger than the world
+    const topLeft = screenToWorld(0, 0);
+    const bottomRight = screenToWorld(canvas.width, canvas.height);
+    const left = Math.max(0, topLeft.x);
+    const top = Math.max(0, topLeft.y);
+    ctx.strokeStyle = 'white';
+    ctx.lineWidth = 1;
+    ctx.strokeRect(
+        rect.x + left * rect.scale,
+        rect.y + top * rect.scale,
+        (Math.min(game.width, bottomRight.x) - left) * rect.scale,
+        (Math.min(game.height, bottomRight.y) - top) * rect.scale
+    );
+
+    ctx.strokeStyle = '#888';
+    ctx.strokeRect(rect.x, rect.y, rect.width, rect.height);
+    ctx.restore();
+}
 
-        if (line1Intersects || line2Intersects) {
-            console.log(`Unit ${unit.type} path intersects obstacles: line1=${line1Intersects}, line2=${line2Intersects}`);
-        }
+// Input handling: player input becomes commands (see issueCommand), in a replay
+// it controls playback instead and in the editor it edits the map. Mouse positions
+// are on the canvas, screenToWorld() turns them into world positions.
+canvas.addEventListener('mousedown', (e) => {
+    if (e.button === 1) { // Middle button drags the view
+        e.preventDefault();
+        view.panStart = { x: e.clientX, y: e.clientY };
+        return;
     }
-
-    // Check if a line segment intersects any obstacles
-    lineIntersectsObstacles(x1, y1, x2, y2) {
-        for (const obstacle of game.obstacles) {
-            if (this.lineIntersectsRectangle(x1, y1, x2, y2, obstacle.x, obstacle.y, TILE_SIZE, TILE_SIZE)) {
-                return true;
-            }
+    if (inMinimap(e.clientX, e.clientY)) {
+        // Left click/drag moves the view there, a right click is an order (see contextmenu)
+        if (e.button === 0) {
+            view.minimapDrag = true;
+            const pos = minimapToWorld(e.clientX, e.clientY);
+            centerCamera(pos.x, pos.y);
         }
-        return false;
+        return;
+    }
+    if (view.replay) {
+        if (e.button === 0) seekReplayBar(e.clientX, e.clientY);
+        return;
+    }
+    if (view.editor) {
+        startEditorStroke(e);
+        return;
     }
 
-    // Check if line segment intersects rectangle
-    lineIntersectsRectangle(x1, y1, x2, y2, rectX, rectY, rectWidth, rectHeight) {
-        // Check if line is completely outside rectangle
-        if (Math.max(x1, x2) < rectX || Math.min(x1, x2) > rectX + rectWidth ||
-            Math.max(y1, y2) < rectY || Math.min(y1, y2) > rectY + rectHeight) {
-            return false;
-        }
+    if (e.button === 0) { // Left click
+        const pos = screenToWorld(e.clientX, e.clientY);
+        view.dragStart = pos;
+        view.isDragging = false;
 
-        // Check if line intersects any of the rectangle's edges
-        const edges = [
-            [rectX, rectY, rectX + rectWidth, rectY], // top
-            [rectX + rectWidth, rectY, rectX + rectWidth, rectY + rectHeight], // right
-            [rectX, rectY + rectHeight, rectX + rectWidth, rectY + rectHeight], // bottom
-            [rectX, rectY, rectX, rectY + rectHeight] // left
-        ];
-
-        for (const [ex1, ey1, ex2, ey2] of edges) {
-            if (this.linesIntersect(x1, y1, x2, y2, ex1, ey1, ex2, ey2)) {
-                return true;
-            }
+        // Check if clicking on a unit
+        const clickedUnit = getUnitAt(pos.x, pos.y);
+        if (clickedUnit) {
+            // Allow selecting units from any team
+            issueCommand(selectCommand([clickedUnit], e.shiftKey));
         }
-
-        return false;
     }
+});
 
-    // Check if two line segments intersect
-    linesIntersect(x1, y1, x2, y2, x3, y3, x4, y4) {
-        // Calculate direction vectors
-        const uA = ((x4 - x3) * (y1 - y3) - (y4 - y3) * (x1 - x3)) / ((y4 - y3) * (x2 - x1) - (x4 - x3) * (y2 - y1));
-        const uB = ((x2 - x1) * (y1 - y3) - (y2 - y1) * (x1 - x3)) / ((y4 - y3) * (x2 - x1) - (x4 - x3) * (y2 - y1));
-
-        // If uA and uB are between 0-1, lines intersect
-        return (uA >= 0 && uA <= 1 && uB >= 0 && uB <= 1);
+canvas.addEventListener('mousemove', (e) => {
+    view.mousePos = { x: e.clientX, y: e.clientY };
+    view.mouseOver = true;
+    if (view.panStart) {
+        view.camera.x -= (e.clientX - view.panStart.x) / view.camera.zoom;
+        view.camera.y -= (e.clientY - view.panStart.y) / view.camera.zoom;
+        view.panStart = { x: e.clientX, y: e.clientY };
+        clampCamera();
+        return;
     }
-
-    draw(ctx) {
-        const activeUnits = this.getActiveUnits();
-        if (activeUnits.length === 0) return;
-
-        // Draw formation bounds
-        let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
-        activeUnits.forEach(unit => {
-            if (!unit.formationPosition) return;
-            minX = Math.min(minX, unit.formationPosition.x);
-            maxX = Math.max(maxX, unit.formationPosition.x);
-            minY = Math.min(minY, unit.formationPosition.y);
-            maxY = Math.max(maxY, unit.formationPosition.y);
-        });
-
-        const padding = 10;
-        ctx.save();
-        ctx.strokeStyle = '#888';
-        ctx.lineWidth = 2;
-        ctx.setLineDash([5, 5]);
-        ctx.strokeRect(
-            minX - padding, 
-            minY - padding, 
-            (maxX - minX) + padding * 2, 
-            (maxY - minY) + padding * 2
-        );
-        ctx.setLineDash([]);
-
-        // Draw slot markers (for ALL units, even removed ones - grayed out)
-        this.allUnits.forEach(unit => {
-            if (!unit.formationPosition) return;
-            
-            ctx.fillStyle = unit.inFormation ? '#888' : '#444';
-            const squareSize = unit.inFormation ? 4 : 3;
-            
-            ctx.fillRect(
-                unit.formationPosition.x - squareSize / 2,
-                unit.formationPosition.y - squareSize / 2,
-                squareSize,
-                squareSize
-            );
-        });
-
-        // Draw path
-        ctx.strokeStyle = '#4aa3ff';
-        ctx.lineWidth = 1.5;
-        ctx.beginPath();
-        ctx.moveTo(this.centerX, this.centerY);
-        ctx.lineTo(this.targetX, this.targetY);
-        ctx.stroke();
-        
-        // Draw arrow at target to show direction
-        const arrowSize = 15;
-        ctx.fillStyle = '#4aa3ff';
-        ctx.save();
-        ctx.translate(this.targetX, this.targetY);
-        ctx.rotate(this.angle);
-        ctx.beginPath();
-        ctx.moveTo(0, 0);
-        ctx.lineTo(-arrowSize, -arrowSize/2);
-        ctx.lineTo(-arrowSize, arrowSize/2);
-        ctx.closePath();
-        ctx.fill();
-        ctx.restore();
-        
-        ctx.restore();
+    if (view.minimapDrag) {
+        const pos = minimapToWorld(e.clientX, e.clientY);
+        centerCamera(pos.x, pos.y);
+        return;
     }
-}
-
-// Knight class - melee unit
-class Knight extends Unit {
-    constructor(x, y, team) {
-        super(x, y, team, 'knight');
-        this.hp = this.maxHp = 120;
-        this.damage = 25;
-        this.maxRange = 40;
-        this.attackSpeed = 900;
-        this.moveSpeed = 1.4;
-        this.radius = 8; // Reduced by half from 16
-        this.formationOrder = 1;
+    if (view.editor) {
+        continueEditorStroke(e);
+        return;
     }
-}
 
-// Catapult class - siege unit
-class Catapult extends Unit {
-    constructor(x, y, team) {
-        super(x, y, team, 'catapult');
-        this.hp = this.maxHp = 200;
-        this.damage = 50;
-        this.maxRange = 250;
-        this.minRange = 50;
-        this.attackSpeed = 3000;
-        this.moveSpeed = 0.5;
-        this.radius = 10; // Reduced by half from 20
-        this.formationOrder = 3;
-        
-        // Catapult-specific projectile properties
-        this.projectileSize = 2.5; // Reduced by half from 5
-        this.projectileSpeed = 2;
+    if (view.dragStart && !view.isDragging) {
+        // Drag threshold in screen px, whatever the zoom
+        const pos = screenToWorld(e.clientX, e.clientY);
+        const dx = (pos.x - view.dragStart.x) * view.camera.zoom;
+        const dy = (pos.y - view.dragStart.y) * view.camera.zoom;
+        if (Math.sqrt(dx * dx + dy * dy) > 5) {
+            view.isDragging = true;
+        }
     }
+});
 
-    performAttack() {
-        this.isAttacking = true;
-        this.attackAnimationTime = this.attackAnimationDuration;
-        this.attackCooldown = this.attackSpeed;
-
-        // Create projectile with catapult-specific properties
-        const projectile = new Projectile(
-            this.x,
-            this.y,
-            this.attackTarget.x,
-            this.attackTarget.y,
-            this.damage,
-            this.projectileSize,
-            this.projectileSpeed,
-            this,
-            this.attackTarget,
-            this.type
-        );
-        game.projectiles.push(projectile);
+canvas.addEventListener('mouseup', (e) => {
+    if (e.button === 1) {
+        view.panStart = null;
+        return;
     }
-}
-
-// Archer class - ranged unit
-class Archer extends Unit {
-    constructor(x, y, team) {
-        super(x, y, team, 'archer');
-        this.hp = this.maxHp = 80;
-        this.damage = 15;
-        this.maxRange = 150;
-        this.attackSpeed = 1500;
-        this.moveSpeed = 1.0;
-        this.radius = 7; // Reduced by half from 14
-        this.formationOrder = 2;
-        
-        // Archer-specific projectile properties
-        this.projectileSize = 1.5; // Reduced by half from 3
-        this.projectileSpeed = 4;
+    if (view.minimapDrag) {
+        view.minimapDrag = false;
+        return;
     }
-
-    performAttack() {
-        this.isAttacking = true;
-        this.attackAnimationTime = this.attackAnimationDuration;
-        this.attackCooldown = this.attackSpeed;
-
-        // Create projectile with archer-specific properties
-        const projectile = new Projectile(
-            this.x,
-            this.y,
-            this.attackTarget.x,
-            this.attackTarget.y,
-            this.damage,
-            this.projectileSize,
-            this.projectileSpeed,
-            this,
-            this.attackTarget,
-            this.type
-        );
-        game.projectiles.push(projectile);
+    if (view.editor) {
+        view.editor.endStroke();
+        view.editorStroke = null;
+        return;
     }
-}
-
-// Pikeman class - melee unit with anti-cavalry bonus
-class Pikeman extends Unit {
-    constructor(x, y, team) {
-        super(x, y, team, 'pikeman');
-        this.hp = this.maxHp = 100;
-        this.damage = 18;
-        this.maxRange = 40;
-        this.attackSpeed = 1100;
-        this.moveSpeed = 1.1;
-        this.radius = 7.5; // Reduced by half from 15
-        this.formationOrder = 0;
+    if (e.button === 0 && view.isDragging) {
+        // Box select
+        const end = screenToWorld(e.clientX, e.clientY);
+        const units = getUnitsInRect({
+            x: Math.min(view.dragStart.x, end.x),
+            y: Math.min(view.dragStart.y, end.y),
+            width: Math.abs(end.x - view.dragStart.x),
+            height: Math.abs(end.y - view.dragStart.y)
+        });
+        issueCommand(selectCommand(units, e.shiftKey));
     }
 
-    performAttack() {
-        this.isAttacking = true;
-        this.attackAnimationTime = this.attackAnimationDuration;
-        this.attackCooldown = this.attackSpeed;
+    view.dragStart = null;
+    view.isDragging = false;
+});
 
-        // Pikeman deals bonus damage to cavalry units (Knights)
-        let actualDamage = this.damage;
-        if (this.attackTarget && this.attackTarget.type === 'knight') {
-            actualDamage *= 1.5; // 50% bonus damage vs cavalry
-        }
+canvas.addEventListener('mouseleave', () => {
+    view.mouseOver = false;
+    view.panStart = null;
+    view.minimapDrag = false;
+});
 
-        // Melee always hits
-        this.attackTarget.takeDamage(actualDamage);
-    }
-}
+// Zoom around the mouse
+canvas.addEventListener('wheel', (e) => {
+    e.preventDefault();
+    zoomAt(e.clientX, e.clientY, Math.exp(-e.deltaY * WHEEL_ZOOM_RATE));
+}, { passive: false });
 
+canvas.addEventListener('contextmenu', (e) => {
+    e.preventDefault();
+    if (view.replay || view.editor) return;
 
-// Projectile class
-class Projectile {
-    constructor(x, y, targetX, targetY, damage, size, speed, shooterUnit, targetUnit, damageType) {
-        this.x = x;
-        this.y = y;
-        this.damage = damage;
-        this.size = size;
-        this.speed = speed;
-        this.targetX = targetX
-        this.targetY = targetY
-        this.shooterUnit = shooterUnit
-        this.targetUnit = targetUnit
-        this.damageType = damageType
-
-        const dx = this.targetX - x;
-        const dy = this.targetY - y;
-        const dist = Math.sqrt(dx * dx + dy * dy);
-        this.vx = (dx / dist) * speed;
-        this.vy = (dy / dist) * speed;
-
-        this.active = true;
+    if (game.selectedUnits.length > 0) {
+        const unitIds = game.selectedUnits.map(u => u.id);
+        const onMinimap = inMinimap(e.clientX, e.clientY);
+        const pos = onMinimap ? minimapToWorld(e.clientX, e.clientY) : screenToWorld(e.clientX, e.clientY);
+        const targetUnit = onMinimap ? null : getUnitAt(pos.x, pos.y);
+
+        // With Shift the order is queued after the ones given before
+        const queue = e.shiftKey;
+        if (attackMoveHeld()) {
+            issueCommand({ type: 'attackMove', unitIds, x: pos.x, y: pos.y, queue });
+        } else if (targetUnit && targetUnit.team !== 1) {
+            // Attack command
+            issueCommand({ type: 'attack', unitIds, targetId: targetUnit.id, queue });
+        } else {
+            issueCommand({ type: 'move', unitIds, x: pos.x, y: pos.y, queue });
+        }
     }
+});
 
-    update() {
-        if (!this.active) return;
-
-        this.x += this.vx;
-        this.y += this.vy;
+document.addEventListener('keydown', (e) => {
+    const key = e.key.toLowerCase();
 
-        if (this.x < 0 || this.x > canvas.width || this.y < 0 || this.y > canvas.height) {
-            this.active = false;
-        }
-        let xdif = this.targetX - this.x
-        if (this.vx < 0)
-            xdif = this.x - this.targetX
-        let ydif = this.targetY - this.y
-        if (this.vy < 0)
-            ydif = this.y - this.targetY
-        if (xdif <= HIT_THRESHOLD && ydif <= HIT_THRESHOLD) {
-            this.active = false;
-
-            // Check damage type to determine damage behavior
-            if (this.damageType === 'catapult') {
-                // Catapult: damage all units in impact area
-                const impactRadius = this.size * 4; // Area of effect radius
-                game.units.forEach(unit => {
-                    const dist = Math.sqrt(Math.pow(this.x - unit.x, 2) + Math.pow(this.y - unit.y, 2));
-                    if (dist < impactRadius && unit !== this.shooterUnit) {
-                        unit.takeDamage(this.damage);
-                    }
-                });
-            } else {
-                // Archer: single target damage (original logic)
-                const dist = Math.sqrt(Math.pow(this.x - this.targetUnit.x, 2) + Math.pow(this.y - this.targetUnit.y, 2));
-                if (dist < this.targetUnit.radius)
-                    this.targetUnit.takeDamage(this.damage);
-            }
+    // WASD pans in every mode (with Ctrl it's a shortcut, e.g. Ctrl+S), except that
+    // S stops the selected units of a live game
+    if (key in PAN_KEYS && !e.ctrlKey && !e.metaKey) {
+        if (key === STOP_KEY && ordersSelection()) {
+            if (!e.repeat) issueCommand({ type: 'stop', unitIds: game.selectedUnits.map(u => u.id) });
+        } else {
+            view.keys[key] = true;
         }
-
+        return;
     }
 
-    draw(ctx) {
-        if (!this.active) return;
-        ctx.fillStyle = 'orange';
-        ctx.beginPath();
-        ctx.arc(this.x, this.y, this.size, 0, Math.PI * 2);
-        ctx.fill();
+    if (view.replay) {
+        handleReplayKey(e);
+    } else if (view.editor) {
+        handleEditorKey(e);
+    } else if (key === 'e') {
+        view.editor = MapEditor.fromGame();
+    } else if (key in BEHAVIOR_KEYS) {
+        issueCommand({ type: 'behavior', unitIds: game.selectedUnits.map(u => u.id), behavior: BEHAVIOR_KEYS[key] });
+    } else if (key === 'p') {
+        issueCommand({ type: 'pathMode', mode: nextPathMode() });
+    } else if (key === 'f') {
+        issueCommand({ type: 'groupMoveMode', mode: nextGroupMoveMode() });
+    } else if (key === 'c') {
+        comparePathsToMouse();
+    } else if (key === 'i') {
+        view.aiDifficulty = nextAIDifficulty();
+        issueCommand({ type: 'aiDifficulty', level: view.aiDifficulty });
+    } else if (key === 'r') {
+        saveRecording();
+    } else if (key === 'l') {
+        openRecording();
+    } else if (key === 'k') {
+        if (e.shiftKey) downloadSnapshot(); else quickSave();
+    } else if (key === 'j') {
+        if (e.shiftKey) openSnapshot(); else quickLoad();
+    } else if (key === 'm') {
+        if (e.shiftKey) openMap(); else downloadMap();
     }
-}
-
-
-// Game state
-const game = {
-    camera: { x: 0, y: 0 },
-    selectedUnits: [],
-    units: [],
-    obstacles: [],
-    projectiles: [],
-    mousePos: { x: 0, y: 0 },
-    dragStart: null,
-    isDragging: false,
-    keys: {},
-    team1Color: '#4444ff',
-    team2Color: '#ff4444',
+});
 
-    // ADDED: perimeter/path data
-    pNodes: [],          // Array of p-nodes [{id, r, c, x, y, clusterId, prevId, nextId}]
-    pathCells: [],       // Array of [r, c] for every perimeter cell
-    pathMask: [],        // 2D boolean grid for quick lookup/visualization
-    compGrid: [],        // 2D component ID grid (0 = free, >0 = obstacle cluster id)
-    compCount: 0,        // Number of obstacle clusters
-    obstacleSet: new Set() // Set of "r,c" for obstacle tiles
-};
+document.addEventListener('keyup', (e) => {
+    delete view.keys[e.key.toLowerCase()];
+});
 
-// ADDED: helpers and perimeter computation
-const DIR4 = [[-1,0],[1,0],[0,-1],[0,1]];
-const DIR8 = [[-1,-1],[-1,0],[-1,1],[0,-1],[0,1],[1,-1],[1,0],[1,1]];
+// Keys released while the window had no focus never send keyup
+window.addEventListener('blur', () => {
+    view.keys = {};
+});
 
-function inBounds(r, c, rows, cols) {
-    return r >= 0 && c >= 0 && r < rows && c < cols;
-}
-function keyRC(r, c) {
-    return `${r},${c}`;
-}
-function parseKey(k) {
-    const [r, c] = k.split(',').map(Number);
-    return [r, c];
-}
-function adjacent8(a, b) {
-    return Math.max(Math.abs(a[0] - b[0]), Math.abs(a[1] - b[1])) === 1;
-}
-function gridSize() {
-    const rows = Math.floor(canvas.height / TILE_SIZE);
-    const cols = Math.floor(canvas.width / TILE_SIZE);
-    return { rows, cols };
+// Plan a path from the first selected unit to the point under the mouse in every
+// PathMode, the HUD shows how long each took and how long its path is
+function comparePathsToMouse() {
+    const unit = game.selectedUnits[0];
+    if (!unit) return;
+    const target = screenToWorld(view.mousePos.x, view.mousePos.y);
+    view.pathComparison = comparePathModes(unit.x, unit.y, target.x, target.y, unit.radius);
 }
 
-// Label connected obstacle components (4-connected)
-function labelComponents(rows, cols, obstacleSet) {
-    const compGrid = Array.from({ length: rows }, () => Array(cols).fill(0));
-    let compCount = 0;
-    const compStats = new Map(); // cid -> {sr, sc, n}
-
-    obstacleSet.forEach(k => {
-        const [sr, sc] = parseKey(k);
-        if (compGrid[sr][sc] !== 0) return;
-
-        compCount++;
-        compStats.set(compCount, { sr: 0, sc: 0, n: 0 });
-
-        const q = [[sr, sc]];
-        compGrid[sr][sc] = compCount;
-
-        while (q.length) {
-            const [r, c] = q.shift();
-            const stat = compStats.get(compCount);
-            stat.sr += r; stat.sc += c; stat.n += 1;
-
-            for (const [dr, dc] of DIR4) {
-                const rr = r + dr, cc = c + dc;
-                if (!inBounds(rr, cc, rows, cols)) continue;
-                if (!obstacleSet.has(keyRC(rr, cc))) continue;
-                if (compGrid[rr][cc] !== 0) continue;
-                compGrid[rr][cc] = compCount;
-                q.push([rr, cc]);
-            }
-        }
-    });
+// Replay controls: space plays/pauses, arrows seek, Home restarts, Escape goes back to a live game
+function handleReplayKey(e) {
+    const replay = view.replay;
+    if (e.key === ' ') {
+        if (game.tick >= replay.length) replay.seek(0);
+        replay.playing = !replay.playing;
+    } else if (e.key === 'ArrowLeft') {
+        replay.seek(game.tick - REPLAY_SEEK_STEP);
+    } else if (e.key === 'ArrowRight') {
+        replay.seek(game.tick + REPLAY_SEEK_STEP);
+    } else if (e.key === 'Home') {
+        replay.seek(0);
+    } else if (e.key === 'Escape') {
+        replay.close();
+        view.replay = null;
+        startLiveGame(randomSeed());
+    }
+}
 
-    return { compGrid, compCount, compStats };
+// Download the match so far as a replay file
+function saveRecording() {
+    const blob = new Blob([recordMatch()], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `replay-${game.seed}-${game.tick}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
 }
 
-function computeCentroids(compStats) {
-    const centroids = new Map(); // cid -> {r, c}
-    compStats.forEach((stat, cid) => {
-        centroids.set(cid, { r: stat.sr / stat.n, c: stat.sc / stat.n });
+// Pick a replay file and start watching it
+function openRecording() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json,application/json';
+    input.addEventListener('change', () => {
+        if (!input.files[0]) return;
+        input.files[0].text().then(text => {
+            view.replay = new ReplayPlayer(parseRecording(text));
+            view.replay.playing = true;
+            focusCamera();
+        }).catch(err => console.warn('Could not load replay:', err.message));
     });
-    return centroids;
+    input.click();
 }
 
-// Build path mask for free tiles that touch obstacle(s) (8-neigh), and which cluster(s) they touch
-function buildPathMask(rows, cols, compGrid) {
-    const pathMask = Array.from({ length: rows }, () => Array(cols).fill(false));
-    const pathCells = [];
-    const touches = new Map(); // cid -> Set("r,c")
-
-    for (let r = 0; r < rows; r++) {
-        for (let c = 0; c < cols; c++) {
-            if (compGrid[r][c] > 0) continue; // obstacle cell
-
-            const neighComps = new Set();
-            for (const [dr, dc] of DIR8) {
-                const rr = r + dr, cc = c + dc;
-                if (!inBounds(rr, cc, rows, cols)) continue;
-                const cid = compGrid[rr][cc];
-                if (cid > 0) neighComps.add(cid);
-            }
-            if (neighComps.size > 0) {
-                pathMask[r][c] = true;
-                pathCells.push([r, c]);
-                neighComps.forEach(cid => {
-                    if (!touches.has(cid)) touches.set(cid, new Set());
-                    touches.get(cid).add(keyRC(r, c));
-                });
-            }
-        }
+// Editor: left click/drag paints obstacles or places a unit, right click/drag erases
+function startEditorStroke(e) {
+    const pos = screenToWorld(e.clientX, e.clientY);
+    view.editor.beginStroke();
+    if (e.button === 2) {
+        view.editorStroke = 'erase';
+        view.editor.eraseAt(pos.x, pos.y);
+    } else if (e.button === 0 && view.editorTool === 'obstacle') {
+        view.editorStroke = 'paint';
+        view.editor.setObstacle(Math.floor(pos.x / TILE_SIZE), Math.floor(pos.y / TILE_SIZE), true);
+    } else if (e.button === 0) {
+        view.editor.placeUnit(view.editorTool, view.editorTeam, pos.x, pos.y);
     }
-    return { pathMask, pathCells, touches };
 }
 
-// Build ordered p-nodes with prev/next around each component
-function buildPNodes(touches, centroids) {
-    const pNodes = [];
-    const idOf = new Map(); // `${cid}|r,c` -> nodeId
-
-    // First pass: create nodes sorted by angle around obstacle centroid
-    const orderedByComp = new Map(); // cid -> [[r,c], ...]
-
-    touches.forEach((cellSet, cid) => {
-        if (!centroids.has(cid)) return;
-        const center = centroids.get(cid);
-        const cells = Array.from(cellSet).map(parseKey);
-
-        function angle(pos) {
-            const [r, c] = pos;
-            return Math.atan2(r - center.r, c - center.c);
-        }
-        cells.sort((a, b) => angle(a) - angle(b));
-        orderedByComp.set(cid, cells);
-
-        // Create nodes without links first
-        for (const [r, c] of cells) {
-            const id = pNodes.length;
-            idOf.set(`${cid}|${keyRC(r, c)}`, id);
-            pNodes.push({
-                id,
-                r,
-                c,
-                x: c * TILE_SIZE,
-                y: r * TILE_SIZE,
-                clusterId: cid,
-                prevId: null,
-                nextId: null,
-                directions: []  // ADDED: array to hold direction enums
-            });
-        }
-    });
-
-    // Second pass: assign prev/next preferring 8-neigh continuity
-    orderedByComp.forEach((cells, cid) => {
-        const n = cells.length;
-        if (n === 0) return;
-        const maxScan = Math.min(12, n);
-
-        for (let i = 0; i < n; i++) {
-            // find next
-            let nextIdx = -1;
-            for (let k = 1; k <= maxScan; k++) {
-                const j = (i + k) % n;
-                if (adjacent8(cells[i], cells[j])) { nextIdx = j; break; }
-            }
-            if (nextIdx === -1) nextIdx = (i + 1) % n;
-
-            // find prev
-            let prevIdx = -1;
-            for (let k = 1; k <= maxScan; k++) {
-                const j = (i - k + n) % n;
-                if (adjacent8(cells[i], cells[j])) { prevIdx = j; break; }
-            }
-            if (prevIdx === -1) prevIdx = (i - 1 + n) % n;
-
-            const meId   = idOf.get(`${cid}|${keyRC(cells[i][0], cells[i][1])}`);
-            const prevId = idOf.get(`${cid}|${keyRC(cells[prevIdx][0], cells[prevIdx][1])}`);
-            const nextId = idOf.get(`${cid}|${keyRC(cells[nextIdx][0], cells[nextIdx][1])}`);
-            pNodes[meId].prevId = prevId;
-            pNodes[meId].nextId = nextId;
-        }
-    });
-
-    return pNodes;
+function continueEditorStroke(e) {
+    const pos = screenToWorld(e.clientX, e.clientY);
+    if (view.editorStroke === 'paint') {
+        view.editor.setObstacle(Math.floor(pos.x / TILE_SIZE), Math.floor(pos.y / TILE_SIZE), true);
+    } else if (view.editorStroke === 'erase') {
+        view.editor.eraseAt(pos.x, pos.y);
+    }
 }
 
-// Compute full perimeter data (call after obstacles are placed or changed)
-function computePerimeterData() {
-    const { rows, cols } = gridSize();
-
-    // Build obstacle set from current obstacles
-    const obstacleSet = new Set();
-    for (const obst of game.obstacles) {
-        const r = Math.floor(obst.y / TILE_SIZE);
-        const c = Math.floor(obst.x / TILE_SIZE);
-        if (inBounds(r, c, rows, cols)) obstacleSet.add(keyRC(r, c));
+// Editor keys: tools, team, undo/redo, map files, E plays the edited map
+function handleEditorKey(e) {
+    const key = e.key.toLowerCase();
+    if ((e.ctrlKey || e.metaKey) && key === 'z') {
+        e.preventDefault();
+        if (e.shiftKey) view.editor.redo(); else view.editor.undo();
+    } else if ((e.ctrlKey || e.metaKey) && key === 'y') {
+        e.preventDefault();
+        view.editor.redo();
+    } else if (key === 'o') {
+        view.editorTool = 'obstacle';
+    } else if (EDITOR_UNIT_KEYS[key]) {
+        view.editorTool = EDITOR_UNIT_KEYS[key];
+    } else if (key === 't') {
+        view.editorTeam = view.editorTeam === 1 ? 2 : 1;
+    } else if (key === 'm') {
+        if (e.shiftKey) openMap(); else downloadMap();
+    } else if (key === 'e') {
+        const map = parseMap(view.editor.save());
+        view.editor = null;
+        startMapGame(map);
     }
+}
 
-    const { compGrid, compCount, compStats } = labelComponents(rows, cols, obstacleSet);
-    const centroids = computeCentroids(compStats);
-    const { pathMask, pathCells, touches } = buildPathMask(rows, cols, compGrid);
-    const pNodes = buildPNodes(touches, centroids);
-
-    // Store on game
-    game.obstacleSet = obstacleSet;
-    game.compGrid = compGrid;
-    game.compCount = compCount;
-    game.pathMask = pathMask;
-    game.pathCells = pathCells;
-    game.pNodes = pNodes;
-    game.clean_node_positions = getUniquePNodePositions()
-    game.clean_node_positions = findAdjacentNodes(game.clean_node_positions)
-    
-
-
-    // Optional: peek at some nodes in console
-    console.log(`Perimeter computed: clusters=${compCount}, pNodes=${pNodes.length}`);
-    if (pNodes.length) {
-        console.log("Sample p-nodes:", pNodes.slice(0, Math.min(10, pNodes.length)));
-    }
+// Outline the tile under the mouse (in world space)
+function drawEditorCursor() {
+    const pos = screenToWorld(view.mousePos.x, view.mousePos.y);
+    ctx.strokeStyle = '#ffff00';
+    ctx.lineWidth = 1 / view.camera.zoom;
+    ctx.strokeRect(
+        Math.floor(pos.x / TILE_SIZE) * TILE_SIZE,
+        Math.floor(pos.y / TILE_SIZE) * TILE_SIZE,
+        TILE_SIZE,
+        TILE_SIZE
+    );
 }
 
-// ADDED: render path overlay (free tiles only)
-function drawPathOverlay() {
-    if (!game.pathCells || game.pathCells.length === 0) return;
+function drawEditor() {
     ctx.save();
-    ctx.fillStyle = 'rgba(84, 180, 122, 0.35)'; // semi-transparent green
-    for (const [r, c] of game.pathCells) {
-        ctx.fillRect(c * TILE_SIZE, r * TILE_SIZE, TILE_SIZE, TILE_SIZE);
+    ctx.fillStyle = 'white';
+    ctx.font = '16px Arial';
+    ctx.textAlign = 'left';
+    const tool = view.editorTool === 'obstacle' ? 'Obstacle' : `${view.editorTool} (team ${view.editorTeam})`;
+    ctx.fillText(`Editor - ${tool} | Undo: ${view.editor.undoStack.length} | Redo: ${view.editor.redoStack.length}`, 10, 150);
+    if (view.editor.lastError) {
+        ctx.fillStyle = '#ff8080';
+        ctx.fillText(view.editor.lastError, 10, 170);
     }
     ctx.restore();
 }
 
-// Get unique row-column pairs from pNodes, excluding obstacle positions
-function getUniquePNodePositions() {
-    if (!game.pNodes || game.pNodes.length === 0) return [];
-    
-    const uniquePositions = new Set();
-    const result = [];
-    
-    for (const node of game.pNodes) {
-        const key = keyRC(node.r, node.c);
-        
-        // Check if this position is not an obstacle
-        const isObstacle = game.obstacleSet.has(key);
-        
-        if (!uniquePositions.has(key) && !isObstacle) {
-            uniquePositions.add(key);
-            result.push({ r: node.r, c: node.c });
-        }
+// Save the game to localStorage, overwriting the previous quick save
+function quickSave() {
+    try {
+        localStorage.setItem(SNAPSHOT_STORAGE_KEY, snapshotGame(view.camera));
+    } catch (err) {
+        console.warn('Could not save game:', err.message);
     }
-    
-    return result;
-}
-
-// Find adjacent nodes for each node in clean_node_positions and store them
-function findAdjacentNodes(clean_node_positions) {
-    if (!clean_node_positions || clean_node_positions.length === 0) return [];
-    
-    // Create a map for quick lookup of nodes by position
-    const positionMap = new Map();
-    clean_node_positions.forEach((node, index) => {
-        const key = keyRC(node.r, node.c);
-        positionMap.set(key, { node, index });
-    });
-    
-    // Define 8-direction neighbors
-    const directions = [
-        [-1, 0],
-        [0, -1],           [0, 1],
-         [1, 0]
-    ];
-    
-    // For each node, find adjacent nodes
-    clean_node_positions.forEach(node => {
-        node.adjacentNodes = [];
-        
-        for (const [dr, dc] of directions) {
-            const adjR = node.r + dr;
-            const adjC = node.c + dc;
-            const adjKey = keyRC(adjR, adjC);
-            
-            if (positionMap.has(adjKey)) {
-                const adjacentNode = positionMap.get(adjKey).node;
-                node.adjacentNodes.push(adjacentNode);
-            }
-        }
-    });
-    
-    return clean_node_positions;
 }
 
-
-
-// Draw grid function
-function drawGrid() {
-    ctx.strokeStyle = '#444';
-    ctx.lineWidth = 1;
-
-    // Draw vertical lines
-    for (let x = 0; x <= canvas.width; x += TILE_SIZE) {
-        ctx.beginPath();
-        ctx.moveTo(x - game.camera.x % TILE_SIZE, 0);
-        ctx.lineTo(x - game.camera.x % TILE_SIZE, canvas.height);
-        ctx.stroke();
-    }
-
-    // Draw horizontal lines
-    for (let y = 0; y <= canvas.height; y += TILE_SIZE) {
-        ctx.beginPath();
-        ctx.moveTo(0, y - game.camera.y % TILE_SIZE);
-        ctx.lineTo(canvas.width, y - game.camera.y % TILE_SIZE);
-        ctx.stroke();
+function quickLoad() {
+    const json = localStorage.getItem(SNAPSHOT_STORAGE_KEY);
+    if (json === null) {
+        console.warn('No saved game to load');
+        return;
     }
+    loadSnapshot(json);
 }
 
-// Initialize game
-function init() {
-    // Create obstacles aligned to grid
-    for (let i = 0; i < OBSTACLE_COUNT; i++) {
-        const gridX = Math.floor(Math.random() * (canvas.width / TILE_SIZE)) * TILE_SIZE;
-        const gridY = Math.floor(Math.random() * (canvas.height / TILE_SIZE)) * TILE_SIZE;
-
-        game.obstacles.push({
-            x: gridX,
-            y: gridY
-        });
-    }
-
-    // ADDED: after placing obstacles, compute perimeter/p-nodes
-    computePerimeterData();
-
-        // Create initial units using specific classes
-    for (let j = 0; j < 5; j++) {
-        for (let i = 0; i < 5; i++) {
-            const unitType = Math.floor(Math.random() * 4);
-            switch (unitType) {
-                case 0:
-                    game.units.push(new Knight(100 + i * 15, 150+j*15, 1));
-                    break;
-                case 1:
-                    game.units.push(new Archer(100 + i * 15, 150+j*15, 1));
-                    break;
-                case 2:
-                    game.units.push(new Catapult(100 + i * 15, 150+j*15, 1));
-                    break;
-                case 3:
-                    game.units.push(new Pikeman(100 + i * 15, 150+j*15, 1));
-                    break;
-            }
-        }
-    }
-
-    for (let i = 0; i < 5; i++) {
-        const unitType = Math.floor(Math.random() * 3); // Enemy team doesn't have catapults
-        switch (unitType) {
-            case 0:
-                game.units.push(new Knight(500 + i * 50, 400, 2));
-                break;
-            case 1:
-                game.units.push(new Archer(500 + i * 50, 400, 2));
-                break;
-            case 2:
-                game.units.push(new Pikeman(500 + i * 50, 400, 2));
-                break;
-        }
-    }
+// Download the game as a snapshot file
+function downloadSnapshot() {
+    const blob = new Blob([snapshotGame(view.camera)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `save-${game.seed}-${game.tick}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
 }
 
-// Input handling
-canvas.addEventListener('mousedown', (e) => {
-    if (e.button === 0) { // Left click
-        game.dragStart = { x: e.clientX, y: e.clientY };
-        game.isDragging = false;
-
-        // Check if clicking on a unit
-        const clickedUnit = getUnitAt(e.clientX, e.clientY);
-
-        if (clickedUnit && !e.shiftKey) {
-            // Clear previous selection
-            game.selectedUnits.forEach(u => u.selected = false);
-            game.selectedUnits = [];
-        }
+// Pick a snapshot file and continue from it
+function openSnapshot() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json,application/json';
+    input.addEventListener('change', () => {
+        if (!input.files[0]) return;
+        input.files[0].text().then(loadSnapshot)
+            .catch(err => console.warn('Could not load game:', err.message));
+    });
+    input.click();
+}
 
-        if (clickedUnit) {
-            // Allow selecting units from any team
-            if (!clickedUnit.selected) {
-                clickedUnit.selected = true;
-                game.selectedUnits.push(clickedUnit);
-            }
-        }
+// Continue a saved game
+function loadSnapshot(json) {
+    try {
+        const snapshot = parseSnapshot(json);
+        restoreSnapshot(snapshot);
+        if (snapshot.camera) Object.assign(view.camera, snapshot.camera);
+        clampCamera();
+    } catch (err) {
+        console.warn('Could not load game:', err.message);
+        return;
     }
-});
 
-canvas.addEventListener('mousemove', (e) => {
-    game.mousePos = { x: e.clientX, y: e.clientY };
-
-    if (game.dragStart && !game.isDragging) {
-        const dx = e.clientX - game.dragStart.x;
-        const dy = e.clientY - game.dragStart.y;
-        if (Math.sqrt(dx * dx + dy * dy) > 5) {
-            game.isDragging = true;
-        }
-    }
-});
+    const url = new URL(window.location.href);
+    url.searchParams.set('seed', game.seed);
+    window.history.replaceState(null, '', url);
+}
 
-canvas.addEventListener('mouseup', (e) => {
-    if (e.button === 0 && game.isDragging) {
-        // Box select
-        const rect = {
-            x: Math.min(game.dragStart.x, e.clientX),
-            y: Math.min(game.dragStart.y, e.clientY),
-            width: Math.abs(e.clientX - game.dragStart.x),
-            height: Math.abs(e.clientY - game.dragStart.y)
-        };
-
-        if (!e.shiftKey) {
-            game.selectedUnits.forEach(u => u.selected = false);
-            game.selectedUnits = [];
-        }
+// Download the current map (the edited one in the editor), see randomMap() for the format
+function downloadMap() {
+    const blob = new Blob([view.editor ? view.editor.save() : exportMap()], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `${game.mapName || `map-${game.seed}`}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
 
-        game.units.forEach(unit => {
-            // Allow selecting units from any team
-            if (unit.x > rect.x && unit.x < rect.x + rect.width &&
-                unit.y > rect.y && unit.y < rect.y + rect.height) {
-                if (!unit.selected) {
-                    unit.selected = true;
-                    game.selectedUnits.push(unit);
-                }
-            }
-        });
-    }
+// Pick a map file and start a live game on it, or edit it in the editor
+function openMap() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json,application/json';
+    input.addEventListener('change', () => {
+        if (!input.files[0]) return;
+        input.files[0].text().then(text => {
+            const map = parseMap(text);
+            if (view.editor) view.editor = new MapEditor(map); else startMapGame(map);
+        })
+            .catch(err => console.warn('Could not load map:', err.message));
+    });
+    input.click();
+}
 
-    game.dragStart = null;
-    game.isDragging = false;
-});
+// Seek bar geometry, along the bottom above the controls line
+function replayBarRect() {
+    return { x: 10, y: canvas.height - 40, width: canvas.width - 20, height: REPLAY_BAR_HEIGHT };
+}
 
-canvas.addEventListener('contextmenu', (e) => {
-    e.preventDefault();
+function seekReplayBar(x, y) {
+    const bar = replayBarRect();
+    if (y < bar.y - 6 || y > bar.y + bar.height + 6) return;
+    view.replay.seek((x - bar.x) / bar.width * view.replay.length);
+}
 
-    if (game.selectedUnits.length > 0) {
-        const targetUnit = getUnitAt(e.clientX, e.clientY);
+function formatTicks(ticks) {
+    const seconds = Math.floor(ticks / SIM_TICK_RATE);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
 
-        if (targetUnit && targetUnit.team !== 1) {
-            // Attack command
-            game.selectedUnits.forEach(unit => {
-                unit.attackTarget = targetUnit;
-                unit.formation = null;
-                unit.formationPosition = null;
-            });
-        } else {
-            // Move command
-            if (game.selectedUnits.length > 1) {
-                // Create formation
-                const formation = new Formation(game.selectedUnits, e.clientX, e.clientY);
-            } else {
-                // Single unit move with A* pathfinding
-                game.selectedUnits[0].setPath(e.clientX, e.clientY);
-                game.selectedUnits[0].attackTarget = null;
-                game.selectedUnits[0].formation = null;
-            }
-        }
-    }
-});
+function drawReplayBar() {
+    const replay = view.replay;
+    const bar = replayBarRect();
+    const progress = replay.length > 0 ? game.tick / replay.length : 1;
 
-document.addEventListener('keydown', (e) => {
-    if (e.key.toLowerCase() === 's') {
-        // Stop command
-        game.selectedUnits.forEach(unit => {
-            unit.targetX = unit.x;
-            unit.targetY = unit.y;
-            unit.moving = false;
-            unit.attackTarget = null;
-            unit.formation = null;
-        });
-    }
-});
+    ctx.fillStyle = '#555';
+    ctx.fillRect(bar.x, bar.y, bar.width, bar.height);
+    ctx.fillStyle = '#4aa3ff';
+    ctx.fillRect(bar.x, bar.y, bar.width * progress, bar.height);
 
-function getUnitAt(x, y) {
-    for (let unit of game.units) {
-        const dist = Math.sqrt(Math.pow(x - unit.x, 2) + Math.pow(y - unit.y, 2));
-        if (dist < unit.radius) {
-            return unit;
-        }
-    }
-    return null;
+    ctx.fillStyle = 'white';
+    ctx.font = '16px Arial';
+    ctx.textAlign = 'left';
+    const state = replay.playing ? 'Playing' : 'Paused';
+    ctx.fillText(`Replay ${state} ${formatTicks(game.tick)} / ${formatTicks(replay.length)}`, bar.x, bar.y - 8);
 }
 
-// Game loop
-let lastTime = 0;
+// Game loop: the simulation runs in fixed ticks, drawing interpolates between them
+const clock = new SimulationClock();
+let lastTime = null;
 function gameLoop(currentTime) {
-    const deltaTime = currentTime - lastTime;
+    const deltaTime = lastTime === null ? 0 : currentTime - lastTime;
     lastTime = currentTime;
 
     // Update
-    game.units.forEach(unit => unit.update(deltaTime));
-
-    // Update formations
-    const formations = new Set();
-    game.units.forEach(unit => {
-        if (unit.formation) {
-            formations.add(unit.formation);
-        }
-    });
-    formations.forEach(formation => {
-        if (formation.isMoving) {
-            formation.updateFormationCenter(deltaTime);
-        }
-    });
-
-    // Update projectiles
-    game.projectiles = game.projectiles.filter(p => {
-        p.update();
-        return p.active;
-    });
+    // (the editor shows the map without running it)
+    let alpha = 1;
+    if (view.replay) {
+        alpha = view.replay.advance(deltaTime);
+    } else if (!view.editor) {
+        alpha = clock.advance(deltaTime);
+    }
+    updateCamera(deltaTime);
 
     // Draw
     ctx.clearRect(0, 0, canvas.width, canvas.height);
 
+    // The world, through the camera
+    ctx.save();
+    ctx.scale(view.camera.zoom, view.camera.zoom);
+    ctx.translate(-view.camera.x, -view.camera.y);
+
     // Draw grid
     drawGrid();
 
@@ -1893,25 +973,25 @@ function gameLoop(currentTime) {
     drawPathOverlay();
 
     // Draw obstacles
-    ctx.fillStyle = '#666';
     game.obstacles.forEach(obstacle => {
+        const row = game.terrain && game.terrain[Math.floor(obstacle.y / TILE_SIZE)];
+        const water = row && row[Math.floor(obstacle.x / TILE_SIZE)] === '~';
+        ctx.fillStyle = water ? DEEP_WATER_COLOR : '#666';
         ctx.fillRect(obstacle.x, obstacle.y, TILE_SIZE, TILE_SIZE);
     });
 
     // Draw units
-    game.units.forEach(unit => unit.draw(ctx));
+    game.units.forEach(unit => drawUnit(unit, alpha));
 
     // Draw projectiles
-    game.projectiles.forEach(p => p.draw(ctx));
+    game.projectiles.forEach(p => drawProjectile(p, alpha));
 
     // Draw formations
-    const drawnFormations = new Set();
-    game.units.forEach(unit => {
-        if (unit.formation) {
-            drawnFormations.add(unit.formation);
-        }
-    });
-    drawnFormations.forEach(formation => formation.draw(ctx));
+    getFormations().forEach(drawFormation);
+
+    // Draw redirected move orders
+    drawOrderMarkers();
+    drawOrderQueues(alpha);
 
     // Draw red cross at center of mass for multiple selected units
     if (game.selectedUnits.length > 1) {
@@ -1938,37 +1018,83 @@ function gameLoop(currentTime) {
     }
 
     // Draw selection box
-    if (game.isDragging && game.dragStart) {
+    if (view.isDragging && view.dragStart) {
+        const mouse = screenToWorld(view.mousePos.x, view.mousePos.y);
         ctx.strokeStyle = '#00ff00';
-        ctx.lineWidth = 1;
+        ctx.lineWidth = 1 / view.camera.zoom;
         ctx.setLineDash([5, 5]);
         ctx.strokeRect(
-            game.dragStart.x,
-            game.dragStart.y,
-            game.mousePos.x - game.dragStart.x,
-            game.mousePos.y - game.dragStart.y
+            view.dragStart.x,
+            view.dragStart.y,
+            mouse.x - view.dragStart.x,
+            mouse.y - view.dragStart.y
         );
         ctx.setLineDash([]);
     }
 
-    // Draw UI
+    if (view.editor) drawEditorCursor();
+    ctx.restore();
+
+    // Draw UI (in screen space)
+    drawMinimap();
     ctx.fillStyle = 'white';
     ctx.font = '16px Arial';
     ctx.fillText(`Selected: ${game.selectedUnits.length} units`, 10, 30);
-    ctx.fillText('Controls: Left click/drag - Select | Right click - Move/Attack | S - Stop', 10, canvas.height - 10);
+    ctx.fillText(`Pathfinding: ${game.pathMode}`, 10, 50);
+    ctx.fillText(`Group move: ${game.groupMoveMode}`, 10, 70);
+    ctx.fillText(`Path requests: ${pathRequests.pendingCount}`, 10, 90);
+    ctx.fillText(`Seed: ${game.seed}`, 10, 110);
+    ctx.fillText(`Enemy AI: ${game.ai.difficulty}`, 10, 130);
+    if (view.editor) {
+        drawEditor();
+        ctx.fillText('Editor: Left click/drag - Paint/Place | Right click/drag - Erase | O - Obstacle | 1-4 - Unit type | T - Team | Ctrl+Z/Ctrl+Y - Undo/Redo | M - Save map (Shift: load) | E - Play | WASD/Middle drag - Pan | Wheel - Zoom', 10, canvas.height - 10);
+    } else if (view.replay) {
+        drawReplayBar();
+        ctx.fillText('Replay: Space - Play/Pause | Left/Right - Seek | Home - Restart | Click bar - Seek | Esc - Leave', 10, canvas.height - 10);
+    } else {
+        (view.pathComparison || []).forEach((result, i) => {
+            const path = result.length === null ? 'no path' : `${result.length} px in ${result.waypoints} waypoints`;
+            ctx.fillText(`${result.mode}: ${result.ms} ms, ${path}`, 10, 150 + i * 20);
+        });
+        ctx.fillText('Controls: Left click/drag - Select | Right click - Move/Attack | A + Right click - Attack-move | Shift + Right click - Queue | S - Stop (clears queue) | G/V/H - Aggressive/Defensive/Hold ground | WASD/Edges/Middle drag - Pan | Wheel - Zoom | Minimap: click - Jump, right click - Move | P - Path mode | C - Compare path modes | F - Group move | I - Enemy AI | R - Save replay | L - Load replay | K - Save game | J - Load game (Shift: file) | M - Save map (Shift: load) | E - Edit map', 10, canvas.height - 10);
+    }
 
     requestAnimationFrame(gameLoop);
 }
 
-// Start game
-init();
+// Start a live game on a generated map of WORLD_WIDTH x WORLD_HEIGHT. The seed is
+// written to the URL so the address always reproduces the current map and armies.
+function startLiveGame(seed) {
+    createGame(WORLD_WIDTH, WORLD_HEIGHT, seed);
+    setupGame();
+    issueCommand({ type: 'aiDifficulty', level: view.aiDifficulty });
+    focusCamera();
+
+    const url = new URL(window.location.href);
+    url.searchParams.set('seed', game.seed);
+    window.history.replaceState(null, '', url);
+}
+
+// Start a live game on a loaded map, the seed doesn't reproduce it so it leaves the URL
+function startMapGame(map) {
+    createGame(WORLD_WIDTH, WORLD_HEIGHT);
+    loadMap(map);
+    issueCommand({ type: 'aiDifficulty', level: view.aiDifficulty });
+    focusCamera();
+
+    const url = new URL(window.location.href);
+    url.searchParams.delete('seed');
+    window.history.replaceState(null, '', url);
+}
+
+// Start game, from the ?seed= URL parameter if there is one
+const seedParam = new URL(window.location.href).searchParams.get('seed');
+startLiveGame(seedParam !== null ? parseSeed(seedParam) : randomSeed());
 requestAnimationFrame(gameLoop);
 
-// Handle window resize
+// Handle window resize: the world keeps its size, the canvas shows more or less of it
 window.addEventListener('resize', () => {
     canvas.width = window.innerWidth;
     canvas.height = window.innerHeight;
-
-    // ADDED: recompute perimeter on resize so grid/p-mask match new size
-    computePerimeterData();
+    clampCamera();
 });
@@ -0,0 +1,2711 @@
+// Game simulation: units, formations, projectiles, orders and the game state they
+// act on. No DOM access here. index.html loads this after pathfinding.js, with
+// script.js (renderer and input) on top, and headless.js loads it into Node.
+// Everything works on the current `game` state object, created by createGame(), and
+// advances in fixed SIM_TICK_MS ticks (stepGame) so the same inputs at the same ticks
+// always give the same outcome, whatever the frame rate.
+
+const FORMATION_WAIT_PERCENTAGE = 0.95;
+const FORMATION_OBSTACLE_AVOIDANCE_DISTANCE = 15;
+const FORMATION_SPEED_BOOST_RANGE = 10 * TILE_SIZE;
+const FORMATION_CHASING_SPEED_BOOST = 1.5;
+const FORMATION_SLOT_TOLERANCE = 5; // px from its slot a unit in formation is catching up
+const HIT_THRESHOLD = 5;
+const FORMATION_UNIT_DISTANCE = 20
+const FORMATION_PIECE_DISTANCE  = 15
+const MIN_RANGE_BUFFER = 20
+const OBSTACLE_COUNT = 15 // obstacles on a random map
+const UNIT_SPAWN_SPACING = 15 // px between units lined up in a spawn zone
+const ORDER_MARKER_DURATION = 1500 // ms an "order adjusted" marker stays on screen
+const SIM_TICK_RATE = 50 // simulation ticks per second
+const SIM_TICK_MS = 1000 / SIM_TICK_RATE
+const MAX_TICKS_PER_FRAME = 10 // ticks caught up per rendered frame at most, e.g. after a background tab
+const UNIT_REPULSION = 30 // px/s two fully overlapping units push each other apart
+const OBSTACLE_REPULSION = 48 // px/s a unit touching an obstacle is pushed away
+const PATH_RESULTS_PER_TICK = 4 // planned paths handed to units per tick
+const PATH_RESULT_DELAY_TICKS = 2 // ticks between a path request and its result
+const REPLAY_VERSION = 3 // format version written by recordMatch()
+const SNAPSHOT_VERSION = 6 // format version written by snapshotGame()
+const MAP_VERSION = 1 // map format version, see loadMap()
+const MAX_HEIGHT = 9 // highest tile height level, heights are the digits 0-9
+const ELEVATION_MAX_LEVELS = 3 // height difference counted at most by the modifiers below
+const ELEVATION_RANGE_PER_LEVEL = 0.1 // share of maxRange ranged units gain per level downhill (lose uphill)
+const ELEVATION_DAMAGE_PER_LEVEL = 0.15 // share of damage ranged units gain per level downhill (lose uphill)
+const ELEVATION_UPHILL_SPEED = 0.75 // speed multiplier per level climbed
+const TARGET_SCAN_TICKS = 10 // ticks between an idle unit's looks for enemies in sight
+const AUTO_TARGET_LEASH = 8 * TILE_SIZE // px a unit chases a target it picked itself from where it started
+const DEFENSIVE_LEASH = 4 * TILE_SIZE // the same for defensive units
+const POST_TOLERANCE = TILE_SIZE / 2 // px from its post a defensive unit counts as back
+
+// Weights of what makes an enemy in sight worth attacking, see Unit.findTarget()
+const TARGET_PRIORITY = {
+    attacker: 4, // it is attacking this unit
+    inRange: 2,  // no need to move
+    wounded: 1,  // times the share of hp it has lost
+    counter: 1   // times how much better than even this unit's type fares against it
+};
+
+
+// Stance enum - available to all classes
+const Stance = {
+    STANDING: 'standing',
+    MOVING: 'moving',
+    MOVING_IN_FORMATION: 'moving in formation',
+    CHASING_A_FORMATION: 'chasing a formation',
+    CHASING_A_TARGET: 'chasing a target',
+    ATTACKING_AT_PLACE: 'attacking at place',
+    STRIKING: 'striking'
+};
+
+// How a unit fights, chosen by the player
+const Behavior = {
+    AGGRESSIVE: 'aggressive',  // chase anything in sight
+    DEFENSIVE: 'defensive',    // engage what comes close, then return to its post
+    HOLD_GROUND: 'hold ground' // never move to fight, only attack what is in range
+};
+
+// How a group of selected units is moved by a right-click
+const GroupMoveMode = {
+    FORMATION: 'formation',   // keep formation slots around one center path
+    FLOW_FIELD: 'flow field'  // every unit follows the shared flow field to the target
+};
+
+// Seedable pseudo-random numbers (mulberry32). All simulation randomness goes
+// through game.random, so the same seed always builds the same game.
+class Random {
+    constructor(seed) {
+        this.state = seed >>> 0;
+    }
+
+    // Float in [0, 1)
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    // Integer in [0, n)
+    int(n) {
+        return Math.floor(this.next() * n);
+    }
+}
+
+// Seed for a game started without one
+function randomSeed() {
+    return Math.floor(Math.random() * 4294967296);
+}
+
+// Seed from text such as a URL parameter: whole numbers are used as they are
+// (mod 2^32), anything else is hashed (FNV-1a), so "?seed=castle" works too
+function parseSeed(text) {
+    if (/^\d+$/.test(text)) return Number(text) % 4294967296;
+
+    let hash = 2166136261;
+    for (let i = 0; i < text.length; i++) {
+        hash = Math.imul(hash ^ text.charCodeAt(i), 16777619);
+    }
+    return hash >>> 0;
+}
+
+// Base Unit class
+class Unit {
+    constructor(x, y, team, type) {
+        this.id = game.nextUnitId++; // commands refer to units by id
+        this.x = x;
+        this.y = y;
+        this.team = team;
+        this.type = type;
+        this.selected = false;
+
+        // Unit stats will be set by child classes
+        this.hp = 0;
+        this.maxHp = 0;
+        this.damage = 0;
+        this.maxRange = 0;
+        this.attackSpeed = 0; // ms between attacks
+        this.moveSpeed = 0;   // px/s
+        this.radius = 0;
+        this.sightRadius = 0; // px within which it picks targets by itself
+
+        // Position at the start of the tick, for interpolated drawing
+        this.prevX = x;
+        this.prevY = y;
+
+        this.targetX = x;
+        this.targetY = y;
+        this.stance = Stance.STANDING; // state this tick, see update()
+        this.behavior = Behavior.AGGRESSIVE;
+        this.attackTarget = null;
+        this.post = null;           // where it picked its target itself, see engage()
+        this.lastAttackerId = null; // unit that damaged it last
+        this.attackMove = null;     // {id, x, y, mode, interrupted} attack-move it is on, see updateAttackMove()
+        this.resumeMove = null;     // {x, y} where it was headed when it stopped to fight, see engage()
+        this.orders = [];           // [{id, type, x, y, mode, targetId}] shift-queued orders, see updateOrderQueues()
+        this.isAttacking = false;
+        this.attackCooldown = 0;
+        this.moving = false;
+        this.formation = null;
+        this.inFormation = false;
+        this.formationPosition = null;
+        this.formationOrder = 0; // Default value, will be overridden by child classes
+
+        // For pathfinding
+        this.path = null;
+        this.currentPathIndex = 0;
+        this.flowTarget = null; // {x, y, key, arrived} while moving by flow field
+
+        // For attack animation
+        this.attackAnimationTime = 0;
+        this.attackAnimationDuration = 300; // ms
+    }
+
+    // One tick of the unit's state machine: pick the Stance it is in from its orders and
+    // surroundings, then act on it
+    update(deltaTime) {
+        // Update attack cooldown
+        if (this.attackCooldown > 0) {
+            this.attackCooldown -= deltaTime;
+        }
+
+        // Update attack animation
+        if (this.attackAnimationTime > 0) {
+            this.attackAnimationTime -= deltaTime;
+            if (this.attackAnimationTime <= 0) {
+                this.isAttacking = false;
+            }
+        }
+
+        // The attacker lets go of a dead target
+        if (this.attackTarget && this.attackTarget.hp <= 0) {
+            this.attackTarget = null;
+        }
+
+        this.updateTargeting();
+        this.stance = this.nextStance();
+
+        switch (this.stance) {
+            case Stance.STRIKING:
+                // Stands still until the blow is dealt
+                break;
+            case Stance.ATTACKING_AT_PLACE:
+                this.attackAtPlace();
+                break;
+            case Stance.CHASING_A_TARGET:
+                this.chaseTarget();
+                this.move(deltaTime);
+                break;
+            case Stance.MOVING:
+            case Stance.MOVING_IN_FORMATION:
+            case Stance.CHASING_A_FORMATION:
+                this.move(deltaTime);
+                break;
+            default:
+                this.moving = false;
+        }
+    }
+
+    // The Stance for this tick
+    nextStance() {
+        if (this.isAttacking) return Stance.STRIKING;
+
+        if (this.attackTarget) {
+            if (this.inAttackRange(this.attackTarget)) return Stance.ATTACKING_AT_PLACE;
+            // Holding ground, it waits for the target to come in range
+            return this.behavior === Behavior.HOLD_GROUND ? Stance.STANDING : Stance.CHASING_A_TARGET;
+        }
+
+        if (!this.moving) return Stance.STANDING;
+        if (!this.formation) return Stance.MOVING;
+
+        // Catching up with its slot (e.g. while the formation assembles) or keeping to it
+        const behind = this.formationPosition &&
+            Math.hypot(this.x - this.formationPosition.x, this.y - this.formationPosition.y) > FORMATION_SLOT_TOLERANCE;
+        return behind ? Stance.CHASING_A_FORMATION : Stance.MOVING_IN_FORMATION;
+    }
+
+    // Not too close (inside minRange), not too far and with a line of fire
+    inAttackRange(target) {
+        const dist = this.distanceTo(target);
+        const tooClose = this.minRange && dist < this.minRange;
+        return !tooClose && dist <= this.attackRange() && this.hasLineOfFire(target);
+    }
+
+    // In range: stop and strike when the attack is ready
+    attackAtPlace() {
+        this.moving = false;
+        this.path = null;
+        pathRequests.cancel(this);
+        this.targetX = this.x;
+        this.targetY = this.y;
+
+        if (this.attackCooldown <= 0) {
+            this.performAttack();
+        }
+    }
+
+    // Out of range: head for the target, or back away from one inside minRange
+    chaseTarget() {
+        let chaseX = this.attackTarget.x;
+        let chaseY = this.attackTarget.y;
+        if (this.minRange && this.distanceTo(this.attackTarget) < this.minRange) {
+            const angle = Math.atan2(this.y - this.attackTarget.y, this.x - this.attackTarget.x);
+            const safeDistance = this.minRange + MIN_RANGE_BUFFER;
+            chaseX = this.attackTarget.x + Math.cos(angle) * safeDistance;
+            chaseY = this.attackTarget.y + Math.sin(angle) * safeDistance;
+        }
+
+        const needsNewPath = !this.path ||
+            this.currentPathIndex >= this.path.length ||
+            Math.abs(this.targetX - chaseX) > TILE_SIZE / 2 ||
+            Math.abs(this.targetY - chaseY) > TILE_SIZE / 2;
+
+        if (needsNewPath) {
+            this.targetX = chaseX;
+            this.targetY = chaseY;
+
+            if (!this.formation) {
+                this.setPath(chaseX, chaseY);
+            } else {
+                this.moving = true;
+            }
+        }
+    }
+
+    // Step towards targetX/targetY: to the formation slot, along the flow field or the path
+    move(deltaTime) {
+        if (!this.moving) return;
+
+        if (this.formation) {
+            this.moveInFormation(deltaTime);
+        } else if (this.flowTarget) {
+            // Group movement with a shared flow field
+            this.followFlowField(deltaTime);
+        } else {
+            // Single unit movement with A* pathfinding
+            this.followPath(deltaTime);
+        }
+    }
+
+    moveInFormation(deltaTime) {
+        const dx = this.targetX - this.x;
+        const dy = this.targetY - this.y;
+        const dist = Math.sqrt(dx * dx + dy * dy);
+
+        if (dist > 2) {
+            let currentSpeed = this.groundSpeed(this.targetX, this.targetY);
+
+            if (this.formation.isMoving) {
+                currentSpeed = this.formation.groundSpeed();
+            }
+
+            // Catch up with the slot
+            if (this.stance === Stance.CHASING_A_FORMATION &&
+                Math.hypot(this.x - this.formationPosition.x, this.y - this.formationPosition.y) < FORMATION_SPEED_BOOST_RANGE) {
+                currentSpeed *= FORMATION_CHASING_SPEED_BOOST;
+            }
+
+            const step = currentSpeed * deltaTime / 1000;
+            const newX = this.x + (dx / dist) * step;
+            const newY = this.y + (dy / dist) * step;
+
+            // Check if the new position would collide with obstacles
+            if (!this.checkObstacleCollision(newX, newY)) {
+                this.x = newX;
+                this.y = newY;
+            } else {
+                // Collision detected, stop moving and recalculate path
+                this.moving = false;
+                if (!this.formation.isMoving) {
+                    this.formation.checkFormationReady();
+                }
+            }
+        } else {
+            this.moving = false;
+            if (!this.formation.isMoving) {
+                this.formation.checkFormationReady();
+            }
+        }
+    }
+
+    performAttack() {
+        this.isAttacking = true;
+        this.attackAnimationTime = this.attackAnimationDuration;
+        this.attackCooldown = this.attackSpeed;
+        this.attackTarget.takeDamage(this.damage, this);
+    }
+
+    // Lose hp, attacker is the enemy unit that dealt the damage (if any). A unit hit while
+    // it has no target and no move order, standing or walking on its own, strikes back.
+    takeDamage(damage, attacker = null) {
+        this.hp -= damage;
+        if (this.hp <= 0) {
+            this.hp = 0;
+            pathRequests.cancel(this);
+            // Remove from game units
+            const index = game.units.indexOf(this);
+            if (index > -1) {
+                game.units.splice(index, 1);
+            }
+            return;
+        }
+
+        if (attacker && attacker.team !== this.team && attacker.hp > 0) {
+            this.lastAttackerId = attacker.id;
+            if (this.attackMove && !this.attackTarget) {
+                interruptAttackMove(this.attackMove.id, attacker);
+            } else if (!this.hasTarget() && !this.onMoveOrder() && this.canEngage(attacker)) {
+                this.engage(attacker);
+            }
+        }
+    }
+
+    // A living target to fight
+    hasTarget() {
+        return this.attackTarget !== null && this.attackTarget.hp > 0;
+    }
+
+    // No target to fight and not on the move
+    isIdle() {
+        return !this.hasTarget() && !this.moving;
+    }
+
+    // Carrying out a move order: alone, by flow field or in a formation that is still
+    // assembling or on its way. It neither picks targets nor strikes back until it arrives,
+    // attack-moves are for fighting on the way. Units walking on their own (back to their
+    // post, or on there after a fight) keep their post and do fight.
+    onMoveOrder() {
+        return (this.moving && !this.post) || (this.formation !== null && this.formation.isUnderway());
+    }
+
+    // Done with its current order, ready for the next queued one
+    orderDone() {
+        return this.isIdle() && !this.attackMove && !this.resumeMove;
+    }
+
+    // Every TARGET_SCAN_TICKS a unit without a target or move order looks for an enemy in
+    // sight, standing or walking on its own. A target it picked itself is given up once the
+    // chase leads past its leash from where it started (for units holding ground, once it
+    // is out of range), and the unit walks back there. With nothing left to fight, a unit
+    // that was on its way goes on to where it was headed and a defensive one walks back to
+    // its post.
+    updateTargeting() {
+        const awayFromPost = this.post ? Math.hypot(this.x - this.post.x, this.y - this.post.y) : 0;
+
+        if (this.attackTarget) {
+            if (!this.post) return;
+            if (this.behavior === Behavior.HOLD_GROUND) {
+                if (!this.inAttackRange(this.attackTarget)) this.attackTarget = null;
+            } else if (awayFromPost > this.leashDistance()) {
+                this.attackTarget = null;
+                this.setPath(this.post.x, this.post.y);
+            }
+            return;
+        }
+        if ((game.tick + this.id) % TARGET_SCAN_TICKS !== 0) return;
+        if (this.attackMove) {
+            this.updateAttackMove();
+            return;
+        }
+        if (this.onMoveOrder()) return;
+
+        const target = this.findTarget();
+        if (target) {
+            this.engage(target);
+        } else if (this.moving) {
+            return;
+        } else if (this.resumeMove) {
+            const { x, y } = this.resumeMove;
+            this.resumeMove = null;
+            this.setPath(x, y);
+        } else if (this.behavior === Behavior.DEFENSIVE && awayFromPost > POST_TOLERANCE) {
+            this.setPath(this.post.x, this.post.y);
+        }
+    }
+
+    // On an attack-move the unit also looks out while it moves. The whole order stops
+    // for the first enemy one of its units sees and advances again once none of them
+    // has anything left to fight.
+    updateAttackMove() {
+        const order = this.attackMove;
+        const target = this.findTarget();
+        if (target) {
+            interruptAttackMove(order.id, target);
+            return;
+        }
+
+        const units = attackMoveUnits(order.id);
+        if (units.some(u => u.attackTarget)) return;
+        if (order.interrupted) {
+            issueAttackMoveOrder(units, order.x, order.y, order.mode, order.id);
+        } else if (!this.moving && !(this.formation && this.formation.isUnderway())) {
+            this.attackMove = null; // arrived
+        }
+    }
+
+    // How far from its post the unit chases a target it picked itself
+    leashDistance() {
+        return this.behavior === Behavior.DEFENSIVE ? DEFENSIVE_LEASH : AUTO_TARGET_LEASH;
+    }
+
+    // Whether the unit would take on target by itself: units holding ground only
+    // attack what is in range
+    canEngage(target) {
+        if (this.behavior !== Behavior.HOLD_GROUND) return true;
+        const dist = this.distanceTo(target);
+        return dist <= this.maxRange && !(this.minRange && dist < this.minRange);
+    }
+
+    // The enemy in sight most worth attacking (see TARGET_PRIORITY), nearer ones first
+    // when the rest is even, or null
+    findTarget() {
+        let best = null;
+        let bestScore = -Infinity;
+        game.units.forEach(other => {
+            if (other.team === this.team || other.hp <= 0) return;
+            const dist = this.distanceTo(other);
+            if (dist > this.sightRadius || !this.canEngage(other)) return;
+
+            let score = -dist / this.sightRadius;
+            if (other.id === this.lastAttackerId || other.attackTarget === this) score += TARGET_PRIORITY.attacker;
+            if (dist <= this.maxRange && !(this.minRange && dist < this.minRange)) score += TARGET_PRIORITY.inRange;
+            score += TARGET_PRIORITY.wounded * (1 - other.hp / other.maxHp);
+            score += TARGET_PRIORITY.counter * (matchupWeight(this.type, other.type) - 1);
+            if (score > bestScore) {
+                best = other;
+                bestScore = score;
+            }
+        });
+        return best;
+    }
+
+    // Attack a target the unit picked itself, keeping the post it chases from
+    engage(target) {
+        const post = this.post || { x: this.x, y: this.y };
+        const attackMove = this.attackMove;
+        const resumeMove = this.resumeMove || (this.moving && !attackMove ? this.moveDestination() : null);
+        issueAttackOrder([this], target);
+        this.post = post;
+        this.attackMove = attackMove;
+        this.resumeMove = resumeMove;
+    }
+
+    // Where the unit's current move ends: its slot once the formation has arrived, the
+    // flow field's target or the end of its path
+    moveDestination() {
+        if (this.formation && this.formationPosition) {
+            return {
+                x: this.formationPosition.x + this.formation.targetX - this.formation.centerX,
+                y: this.formationPosition.y + this.formation.targetY - this.formation.centerY
+            };
+        }
+        if (this.flowTarget) return { x: this.flowTarget.x, y: this.flowTarget.y };
+        const end = this.path ? this.path[this.path.length - 1] : { x: this.targetX, y: this.targetY };
+        return { x: end.x, y: end.y };
+    }
+
+    // Push away from overlapping units and nearby obstacles over deltaTime ms
+    calculateRepulsion(deltaTime) {
+        const repulsion = { x: 0, y: 0 };
+        const seconds = deltaTime / 1000;
+
+        // Only apply repulsion if moving
+        if (!this.moving) return repulsion;
+
+        game.units.forEach(other => {
+            if (other === this) return;
+
+            if (this.formation && other.formation && this.formation === other.formation) {
+                return;
+            }
+
+            const dist = this.distanceTo(other);
+            const minDist = this.radius + other.radius;
+
+            if (dist < minDist && dist > 0) {
+                // Only repel if the other unit is not attacking
+                if (!other.isAttacking) {
+                    const force = (minDist - dist) / minDist * UNIT_REPULSION * seconds;
+                    const dx = this.x - other.x;
+                    const dy = this.y - other.y;
+                    repulsion.x += (dx / dist) * force;
+                    repulsion.y += (dy / dist) * force;
+                }
+            }
+        });
+
+        game.obstacles.forEach(obstacle => {
+            const closestX = Math.max(obstacle.x, Math.min(this.x, obstacle.x + TILE_SIZE));
+            const closestY = Math.max(obstacle.y, Math.min(this.y, obstacle.y + TILE_SIZE));
+            
+            const dx = this.x - closestX;
+            const dy = this.y - closestY;
+            const dist = Math.sqrt(dx * dx + dy * dy);
+            
+            if (dist < this.radius * OBSTACLE_REPULSION_REACH) {
+                const force = (this.radius - dist) / this.radius * OBSTACLE_REPULSION * seconds; // Stronger repulsion from obstacles
+                repulsion.x += -(dx / dist) * force;
+                repulsion.y += -(dy / dist) * force;
+            }
+        });
+
+        return repulsion;
+    }
+
+    checkObstacleCollision(x, y) {
+        for (let obstacle of game.obstacles) {
+            if (x + this.radius > obstacle.x &&
+                x - this.radius < obstacle.x + TILE_SIZE &&
+                y + this.radius > obstacle.y &&
+                y - this.radius < obstacle.y + TILE_SIZE) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    // Move speed on the terrain under the unit (px/s), slower when heading uphill
+    // towards (towardX, towardY)
+    groundSpeed(towardX = this.x, towardY = this.y) {
+        return this.moveSpeed * terrainSpeed(this.type, this.x, this.y) *
+            slopeSpeed(this.x, this.y, towardX, towardY);
+    }
+
+    // Range against the current attack target, melee units ignore the height
+    attackRange() {
+        return this.maxRange;
+    }
+
+    // Ranged units override this to stop at ridges
+    hasLineOfFire(target) {
+        return true;
+    }
+
+    distanceTo(other) {
+        const dx = this.x - other.x;
+        const dy = this.y - other.y;
+        return Math.sqrt(dx * dx + dy * dy);
+    }
+
+    followPath(deltaTime) {
+        if (!this.path || this.currentPathIndex >= this.path.length) {
+            this.moving = false;
+            return;
+        }
+
+        // Current target waypoint
+        const targetWaypoint = this.path[this.currentPathIndex];
+        let dx = targetWaypoint.x - this.x;
+        let dy = targetWaypoint.y - this.y;
+        let dist = Math.sqrt(dx * dx + dy * dy);
+
+        const isFinalWaypoint = (this.currentPathIndex === this.path.length - 1);
+        const currentSpeed = this.groundSpeed(targetWaypoint.x, targetWaypoint.y) * deltaTime / 1000;
+
+        // If we're exactly on the waypoint already
+        if (dist === 0) {
+            if (isFinalWaypoint) {
+                this.moving = false;
+            }
+            this.currentPathIndex++;
+            return;
+        }
+
+
+        if (isFinalWaypoint) {
+            const SNAP_TOLERANCE = 2; // pixels
+
+            // If we're very close, snap exactly and finish
+            if (dist <= SNAP_TOLERANCE) {
+                this.x = targetWaypoint.x;
+                this.y = targetWaypoint.y;
+                this.currentPathIndex++;
+                this.moving = false;
+                return;
+            }
+
+            // Otherwise, move toward final waypoint (and guard against overshoot caused by repulsion)
+            const moveX = (dx / dist) * currentSpeed;
+            const moveY = (dy / dist) * currentSpeed;
+            const repulsion = this.calculateRepulsion(deltaTime);
+
+            const newX = this.x + moveX + repulsion.x;
+            const newY = this.y + moveY + repulsion.y;
+
+            // Check if the new position would collide with obstacles
+            if (!this.checkObstacleCollision(newX, newY)) {
+            // If the movement would pass the waypoint (dot product <= 0) — snap to avoid skipping
+            const dot = (targetWaypoint.x - this.x) * (targetWaypoint.x - newX) +
+                (targetWaypoint.y - this.y) * (targetWaypoint.y - newY);
+            if (dot <= 0) {
+                this.x = targetWaypoint.x;
+                this.y = targetWaypoint.y;
+                this.currentPathIndex++;
+                this.moving = false;
+                return;
+            }
+
+            // Otherwise apply the move normally
+            this.x = newX;
+            this.y = newY;
+            } else if (!pathRequests.isPending(this)) {
+                // Collision detected, recalculate path (unless one is already on its way)
+                this.setPath(targetWaypoint.x, targetWaypoint.y);
+            }
+            return; // important: don't fall-through to non-final logic
+        }
+
+        // -- NON-final waypoint behavior with collision detection --
+        if (dist < TILE_SIZE / 2) {
+            // reached intermediate waypoint, go to next
+            this.currentPathIndex++;
+            if (this.currentPathIndex >= this.path.length) {
+                this.moving = false;
+                return;
+            }
+        } else {
+            // move toward intermediate waypoint
+            const moveX = (dx / dist) * currentSpeed;
+            const moveY = (dy / dist) * currentSpeed;
+            const repulsion = this.calculateRepulsion(deltaTime);
+            
+            const newX = this.x + moveX + repulsion.x;
+            const newY = this.y + moveY + repulsion.y;
+            
+            // Check if the new position would collide with obstacles
+            if (!this.checkObstacleCollision(newX, newY)) {
+                this.x = newX;
+                this.y = newY;
+            } else if (!pathRequests.isPending(this)) {
+                // Collision detected, recalculate path (unless one is already on its way)
+                this.setPath(targetWaypoint.x, targetWaypoint.y);
+            }
+        }
+    }
+
+    // Move along the shared flow field towards this.flowTarget
+    followFlowField(deltaTime) {
+        const target = this.flowTarget;
+        const dx = target.x - this.x;
+        const dy = target.y - this.y;
+        const dist = Math.sqrt(dx * dx + dy * dy);
+
+        const SNAP_TOLERANCE = 2; // pixels
+        if (dist <= SNAP_TOLERANCE) {
+            this.x = target.x;
+            this.y = target.y;
+            this.arriveAtFlowTarget();
+            return;
+        }
+
+        // Stop once we bump into a unit that already arrived at the same spot
+        const blockedByArrived = game.units.some(other =>
+            other !== this &&
+            other.flowTarget &&
+            other.flowTarget.arrived &&
+            other.flowTarget.key === target.key &&
+            this.distanceTo(other) < this.radius + other.radius + 2
+        );
+        if (blockedByArrived) {
+            this.arriveAtFlowTarget();
+            return;
+        }
+
+        // On the target tile head straight for the exact point, elsewhere follow the field
+        const field = flowFields.get(target.x, target.y);
+        let dir;
+        if (field.isTargetTile(this.x, this.y)) {
+            dir = { x: dx / dist, y: dy / dist };
+        } else {
+            dir = field.directionAt(this.x, this.y);
+            if (!dir) {
+                // Target can't be reached from here
+                this.arriveAtFlowTarget();
+                return;
+            }
+        }
+
+        const speed = Math.min(this.groundSpeed(this.x + dir.x, this.y + dir.y) * deltaTime / 1000, dist);
+        const repulsion = this.calculateRepulsion(deltaTime);
+        let moveX = dir.x * speed + repulsion.x;
+        let moveY = dir.y * speed + repulsion.y;
+
+        // Repulsion may spread units out but never stall them in a narrow gap
+        if (moveX * dir.x + moveY * dir.y <= 0) {
+            moveX = dir.x * speed;
+            moveY = dir.y * speed;
+        }
+
+        // Slide along obstacles if the full move would collide
+        if (!this.checkObstacleCollision(this.x + moveX, this.y + moveY)) {
+            this.x += moveX;
+            this.y += moveY;
+        } else if (!this.checkObstacleCollision(this.x + moveX, this.y)) {
+            this.x += moveX;
+        } else if (!this.checkObstacleCollision(this.x, this.y + moveY)) {
+            this.y += moveY;
+        }
+    }
+
+    arriveAtFlowTarget() {
+        this.flowTarget.arrived = true;
+        this.moving = false;
+        this.targetX = this.x;
+        this.targetY = this.y;
+    }
+
+    // Move towards a point using the flow field shared by all units sent to the same tile
+    setFlowTarget(targetX, targetY) {
+        pathRequests.cancel(this);
+        this.flowTarget = {
+            x: targetX,
+            y: targetY,
+            key: `${Math.floor(targetX / TILE_SIZE)},${Math.floor(targetY / TILE_SIZE)}`,
+            arrived: false
+        };
+        this.path = null;
+        this.targetX = targetX;
+        this.targetY = targetY;
+        this.moving = true;
+    }
+
+    // Drop out of its formation, which goes on without it (its slot stays empty)
+    leaveFormation() {
+        this.formation = null;
+        this.inFormation = false;
+    }
+
+    // Set path for movement, mode is an optional PathMode override.
+    // The path is planned by pathRequests, until it arrives the unit heads
+    // straight for the target.
+    setPath(targetX, targetY, mode) {
+        this.flowTarget = null;
+        this.path = [{ x: this.x, y: this.y }, { x: targetX, y: targetY }];
+        this.currentPathIndex = 0;
+        this.moving = true;
+
+        pathRequests.request(this, {
+            startX: this.x,
+            startY: this.y,
+            targetX,
+            targetY,
+            mode,
+            radius: this.radius,
+            unitType: this.type
+        }, result => this.applyPathResult(result));
+    }
+
+    // Replace the provisional path with a planned one (a planPathOrNearest result).
+    // Unreachable targets were already replaced by the nearest reachable point.
+    applyPathResult(result) {
+        this.currentPathIndex = 0;
+
+        if (!result.path) {
+            // Nowhere to go, stay put
+            this.path = null;
+            this.moving = false;
+            this.targetX = this.x;
+            this.targetY = this.y;
+            return;
+        }
+
+        this.path = result.path;
+        this.path[this.path.length - 1].x = result.targetX
+        this.path[this.path.length - 1].y = result.targetY
+        this.moving = true;
+    }
+}
+
+class Formation {
+    constructor(units, targetX, targetY) {
+        this.allUnits = units; // Keep reference to all original units
+        this.targetX = targetX;
+        this.targetY = targetY;
+        this.isMoving = false;
+
+        // Center of mass (initial)
+        this.centerX = units.reduce((sum, u) => sum + u.x, 0) / units.length;
+        this.centerY = units.reduce((sum, u) => sum + u.y, 0) / units.length;
+
+        // A* path for formation center
+        this.centerPath = null;
+        this.currentCenterPathIndex = 0;
+
+        // Direction and orientation
+        this.offsetX = this.targetX - this.centerX;
+        this.offsetY = this.targetY - this.centerY;
+        this.dist = Math.hypot(this.offsetX, this.offsetY) || 1e-6;
+        this.angle = Math.atan2(this.offsetY, this.offsetX);
+        this.dir = { x: this.offsetX / this.dist, y: this.offsetY / this.dist };
+
+        units.forEach(unit => {
+            pathRequests.cancel(unit);
+            unit.formation = this;
+            unit.inFormation = true;
+            unit.flowTarget = null;
+            if ('facing' in unit) unit.facing = this.angle;
+        });
+        this.speed = Math.min(...units.map(u => u.moveSpeed)); // px/s on grass
+
+        // Assign formation positions ONCE (never recalculate)
+        this.assignFormationPositions();
+
+    }
+
+    rotateLocal(x, y) {
+        const c = Math.cos(this.angle), s = Math.sin(this.angle);
+        return { 
+            x: x * c - y * s, 
+            y: x * s + y * c 
+        };
+    }
+
+    getUnitsPerRow(totalUnits) {
+        if (totalUnits <= 18) return 6;
+        if (totalUnits <= 30) return 10;
+        return 14;
+    }
+
+    // Create formation piece for one unit type
+    createFormationPiece(units, offsetX) {
+        const unitsPerRow = this.getUnitsPerRow(units.length);
+        const rows = Math.ceil(units.length / unitsPerRow);
+        
+        const positions = [];
+        
+        for (let row = 0; row < rows; row++) {
+            const startIdx = row * unitsPerRow;
+            const endIdx = Math.min(startIdx + unitsPerRow, units.length);
+            const unitsInRow = endIdx - startIdx;
+            
+            // Center units in each row (rows go perpendicular to movement)
+            const rowWidth = (unitsInRow - 1) * FORMATION_UNIT_DISTANCE;
+            const startY = -rowWidth / 2;
+            
+            for (let i = 0; i < unitsInRow; i++) {
+                const unitIdx = startIdx + i;
+                positions.push({
+                    unit: units[unitIdx],
+                    localX: offsetX - row * FORMATION_UNIT_DISTANCE, // X = forward/back
+                    localY: startY + i * FORMATION_UNIT_DISTANCE      // Y = left/right (perpendicular)
+                });
+            }
+        }
+        
+        return {
+            units: units,
+            positions: positions,
+            width: rows * FORMATION_UNIT_DISTANCE // width in forward direction
+        };
+    }
+
+    assignFormationPositions() {
+        // Group units by type (formationOrder)
+        const unitsByType = {};
+        this.allUnits.forEach(unit => {
+            const order = unit.formationOrder !== undefined ? unit.formationOrder : 999;
+            if (!unitsByType[order]) {
+                unitsByType[order] = [];
+            }
+            unitsByType[order].push(unit);
+        });
+
+        // Sort by formationOrder (0 at front, higher numbers at back)
+        const sortedOrders = Object.keys(unitsByType)
+            .map(Number)
+            .sort((a, b) => a - b);
+
+        // Create formation pieces
+        // Order 0 should be at front (highest X in local space since +X is forward)
+        this.formationPieces = [];
+        let currentOffsetX = 0;
+
+        // Calculate total formation width first to center it
+        let totalWidth = 0;
+        sortedOrders.forEach((order, index) => {
+            const units = unitsByType[order];
+            const unitsPerRow = this.getUnitsPerRow(units.length);
+            const rows = Math.ceil(units.length / unitsPerRow);
+            const pieceWidth = rows * FORMATION_UNIT_DISTANCE;
+            totalWidth += pieceWidth;
+            if (index < sortedOrders.length - 1) {
+                totalWidth += FORMATION_PIECE_DISTANCE;
+            }
+        });
+
+        // Start from front (positive X)
+        currentOffsetX = totalWidth / 2;
+
+        sortedOrders.forEach((order, index) => {
+            const units = unitsByType[order];
+            
+            // Adjust offset to account for this piece's width
+            const unitsPerRow = this.getUnitsPerRow(units.length);
+            const rows = Math.ceil(units.length / unitsPerRow);
+            const pieceWidth = rows * FORMATION_UNIT_DISTANCE;
+            
+            // Position piece so its front edge is at currentOffsetX
+            const pieceOffsetX = currentOffsetX - (pieceWidth - FORMATION_UNIT_DISTANCE) / 2;
+            
+            const piece = this.createFormationPiece(units, pieceOffsetX);
+            this.formationPieces.push(piece);
+            
+            // Move offset for next piece (if any)
+            if (index < sortedOrders.length - 1) {
+                currentOffsetX -= (pieceWidth + FORMATION_PIECE_DISTANCE);
+            }
+        });
+
+        // Assign world positions to all units
+        this.formationPieces.forEach(piece => {
+            piece.positions.forEach(pos => {
+                const { unit, localX, localY } = pos;
+                
+                // Store local coordinates (these NEVER change)
+                unit.formationSlot = { localX, localY };
+                
+                // Calculate initial world position (assembly point)
+                const r = this.rotateLocal(localX, localY);
+                unit.formationPosition = {
+                    x: this.centerX + r.x,
+                    y: this.centerY + r.y
+                };
+                
+                unit.targetX = unit.formationPosition.x;
+                unit.targetY = unit.formationPosition.y;
+                unit.moving = true;
+            });
+        });
+    }
+
+    // Get only units still in formation: alive and not called away by another order
+    getActiveUnits() {
+        return this.allUnits.filter(u => u.inFormation && u.formation === this && u.hp > 0);
+    }
+
+    checkFormationReady() {
+        const activeUnits = this.getActiveUnits();
+        // Once arrived it stays put, its units settling into their slots don't set it off again
+        if (activeUnits.length === 0 || !this.isUnderway()) return;
+
+        const unitsInPosition = activeUnits.filter(unit => {
+            if (!unit.formationPosition) return false;
+            const dx = unit.x - unit.formationPosition.x;
+            const dy = unit.y - unit.formationPosition.y;
+            return Math.hypot(dx, dy) < 10;
+        });
+
+        if (unitsInPosition.length >= activeUnits.length * FORMATION_WAIT_PERCENTAGE) {
+            this.startMoving();
+        }
+    }
+
+    // Still assembling or on its way, false once it has arrived
+    isUnderway() {
+        return this.isMoving || !this.centerPath;
+    }
+
+    startMoving() {
+        this.isMoving = true;
+        this.planCenterPath();
+
+        // Update destination for all units (including those removed - they keep their slot)
+        this.updateUnitPositions();
+
+        // Update facing for all units
+        this.allUnits.forEach(unit => {
+            if ('facing' in unit) unit.facing = this.angle;
+        });
+    }
+
+    // Head straight for the target until the A* path for the formation center
+    // (wide enough for its largest unit) arrives from pathRequests
+    planCenterPath() {
+        this.centerPath = [{ x: this.centerX, y: this.centerY }, { x: this.targetX, y: this.targetY }];
+        this.currentCenterPathIndex = 0;
+        pathRequests.request(this, {
+            startX: this.centerX,
+            startY: this.centerY,
+            targetX: this.targetX,
+            targetY: this.targetY,
+            radius: this.largestRadius(),
+            unitType: this.slowestUnit().type
+        }, result => this.applyPathResult(result));
+    }
+
+    // Radius of the largest unit, the center path keeps that far from obstacles
+    largestRadius() {
+        return Math.max(...this.allUnits.map(u => u.radius));
+    }
+
+    // Pace of the formation: its slowest unit on the terrain and slope that unit is on (px/s)
+    groundSpeed() {
+        const units = this.getActiveUnits();
+        if (units.length === 0) return this.speed;
+        return Math.min(...units.map(u => u.groundSpeed(u.targetX, u.targetY)));
+    }
+
+    // The slowest unit on open ground, the center path weighs the terrain for its type
+    slowestUnit() {
+        return this.allUnits.reduce((slowest, u) => u.moveSpeed < slowest.moveSpeed ? u : slowest);
+    }
+
+    // Replace the straight-line center path with the planned one. Without a path (the
+    // target can't be reached) the formation stops where it is: an empty path counts as
+    // arrived, see isUnderway().
+    applyPathResult(result) {
+        this.centerPath = result.path || [];
+        this.currentCenterPathIndex = 0;
+    }
+
+    // Update formation center and unit positions
+    updateFormationCenter(deltaTime) {
+        if (!this.centerPath || this.currentCenterPathIndex >= this.centerPath.length) {
+            this.isMoving = false;
+            return;
+        }
+
+        // Current target waypoint for center
+        const targetWaypoint = this.centerPath[this.currentCenterPathIndex];
+        let dx = targetWaypoint.x - this.centerX;
+        let dy = targetWaypoint.y - this.centerY;
+        let dist = Math.sqrt(dx * dx + dy * dy);
+
+        const isFinalWaypoint = (this.currentCenterPathIndex === this.centerPath.length - 1);
+        const currentSpeed = this.groundSpeed() * deltaTime / 1000;
+
+        // If we're exactly on the waypoint already
+        if (dist === 0) {
+            if (isFinalWaypoint) {
+                this.isMoving = false;
+            }
+            this.currentCenterPathIndex++;
+            this.updateUnitPositions();
+            return;
+        }
+
+        if (isFinalWaypoint) {
+            const SNAP_TOLERANCE = 2; // pixels
+
+            // If we're very close, snap exactly and finish
+            if (dist <= SNAP_TOLERANCE) {
+                this.centerX = targetWaypoint.x;
+                this.centerY = targetWaypoint.y;
+                this.currentCenterPathIndex++;
+                this.isMoving = false;
+                this.updateUnitPositions();
+                return;
+            }
+
+            // Otherwise, move toward final waypoint
+            const moveX = (dx / dist) * currentSpeed;
+            const moveY = (dy / dist) * currentSpeed;
+
+            const newCenterX = this.centerX + moveX;
+            const newCenterY = this.centerY + moveY;
+
+            // If the movement would pass the waypoint - snap to avoid skipping
+            const dot = (targetWaypoint.x - this.centerX) * (targetWaypoint.x - newCenterX) +
+                (targetWaypoint.y - this.centerY) * (targetWaypoint.y - newCenterY);
+            if (dot <= 0) {
+                this.centerX = targetWaypoint.x;
+                this.centerY = targetWaypoint.y;
+                this.currentCenterPathIndex++;
+                this.isMoving = false;
+            } else {
+                // Otherwise apply the move normally
+                this.centerX = newCenterX;
+                this.centerY = newCenterY;
+            }
+            
+            this.updateUnitPositions();
+            return;
+        }
+
+        // Non-final waypoint behavior
+        if (dist < TILE_SIZE / 2) {
+            // reached intermediate waypoint, go to next
+            this.currentCenterPathIndex++;
+            if (this.currentCenterPathIndex >= this.centerPath.length) {
+                this.isMoving = false;
+                return;
+            }
+        } else {
+            // move toward intermediate waypoint
+            const moveX = (dx / dist) * currentSpeed;
+            const moveY = (dy / dist) * currentSpeed;
+
+            this.centerX += moveX;
+            this.centerY += moveY;
+        }
+
+        this.updateUnitPositions();
+    }
+
+    // Update all unit positions based on current formation center
+    updateUnitPositions() {
+        this.getActiveUnits().forEach(unit => {
+            if (!unit.formationSlot) return;
+
+            const { localX, localY } = unit.formationSlot;
+            const r = this.rotateLocal(localX, localY);
+            const destX = this.centerX + r.x;
+            const destY = this.centerY + r.y;
+
+            unit.targetX = destX;
+            unit.targetY = destY;
+            unit.formationPosition = { x: destX, y: destY };
+            unit.moving = true;
+        });
+    }
+
+    // Check if unit's movement path intersects obstacles
+    checkUnitPathObstacles(unit, destX, destY) {
+        const startX = unit.x;
+        const startY = unit.y;
+        const radius = unit.radius;
+
+        // Get the direction vector of the movement
+        const dx = destX - startX;
+        const dy = destY - startY;
+        const length = Math.sqrt(dx * dx + dy * dy);
+        
+        if (length === 0) return; // No movement
+
+        // Normalize direction
+        const dirX = dx / length;
+        const dirY = dy / length;
+
+        // Calculate perpendicular direction (90 degrees rotated)
+        const perpX = -dirY;
+        const perpY = dirX;
+
+        // Create two lines offset by unit radius in perpendicular direction
+        const line1StartX = startX + perpX * radius;
+        const line1StartY = startY + perpY * radius;
+        const line1EndX = destX + perpX * radius;
+        const line1EndY = destY + perpY * radius;
+
+        const line2StartX = startX - perpX * radius;
+        const line2StartY = startY - perpY * radius;
+        const line2EndX = destX - perpX * radius;
+        const line2EndY = destY - perpY * radius;
+
+        // Check both lines for obstacle intersections
+        const line1Intersects = this.lineIntersectsObstacles(line1StartX, line1StartY, line1EndX, line1EndY);
+        const line2Intersects = this.lineIntersectsObstacles(line2StartX, line2StartY, line2EndX, line2EndY);
+
+        if (line1Intersects || line2Intersects) {
+            console.log(`Unit ${unit.type} path intersects obstacles: line1=${line1Intersects}, line2=${line2Intersects}`);
+        }
+    }
+
+    // Check if a line segment intersects any obstacles
+    lineIntersectsObstacles(x1, y1, x2, y2) {
+        for (const obstacle of game.obstacles) {
+            if (this.lineIntersectsRectangle(x1, y1, x2, y2, obstacle.x, obstacle.y, TILE_SIZE, TILE_SIZE)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    // Check if line segment intersects rectangle
+    lineIntersectsRectangle(x1, y1, x2, y2, rectX, rectY, rectWidth, rectHeight) {
+        // Check if line is completely outside rectangle
+        if (Math.max(x1, x2) < rectX || Math.min(x1, x2) > rectX + rectWidth ||
+            Math.max(y1, y2) < rectY || Math.min(y1, y2) > rectY + rectHeight) {
+            return false;
+        }
+
+        // Check if line intersects any of the rectangle's edges
+        const edges = [
+            [rectX, rectY, rectX + rectWidth, rectY], // top
+            [rectX + rectWidth, rectY, rectX + rectWidth, rectY + rectHeight], // right
+            [rectX, rectY + rectHeight, rectX + rectWidth, rectY + rectHeight], // bottom
+            [rectX, rectY, rectX, rectY + rectHeight] // left
+        ];
+
+        for (const [ex1, ey1, ex2, ey2] of edges) {
+            if (this.linesIntersect(x1, y1, x2, y2, ex1, ey1, ex2, ey2)) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    // Check if two line segments intersect
+    linesIntersect(x1, y1, x2, y2, x3, y3, x4, y4) {
+        // Calculate direction vectors
+        const uA = ((x4 - x3) * (y1 - y3) - (y4 - y3) * (x1 - x3)) / ((y4 - y3) * (x2 - x1) - (x4 - x3) * (y2 - y1));
+        const uB = ((x2 - x1) * (y1 - y3) - (y2 - y1) * (x1 - x3)) / ((y4 - y3) * (x2 - x1) - (x4 - x3) * (y2 - y1));
+
+        // If uA and uB are between 0-1, lines intersect
+        return (uA >= 0 && uA <= 1 && uB >= 0 && uB <= 1);
+    }
+}
+
+// Knight class - melee unit
+class Knight extends Unit {
+    constructor(x, y, team) {
+        super(x, y, team, 'knight');
+        this.hp = this.maxHp = 120;
+        this.damage = 25;
+        this.maxRange = 40;
+        this.attackSpeed = 900;
+        this.moveSpeed = 84;
+        this.radius = 8; // Reduced by half from 16
+        this.sightRadius = 192;
+        this.formationOrder = 1;
+    }
+}
+
+// Catapult class - siege unit
+class Catapult extends Unit {
+    constructor(x, y, team) {
+        super(x, y, team, 'catapult');
+        this.hp = this.maxHp = 200;
+        this.damage = 50;
+        this.maxRange = 250;
+        this.minRange = 50;
+        this.attackSpeed = 3000;
+        this.moveSpeed = 30;
+        this.radius = 10; // Reduced by half from 20
+        this.sightRadius = 280;
+        this.formationOrder = 3;
+        
+        // Catapult-specific projectile properties
+        this.projectileSize = 2.5; // Reduced by half from 5
+        this.projectileSpeed = 120; // px/s
+    }
+
+    performAttack() {
+        this.isAttacking = true;
+        this.attackAnimationTime = this.attackAnimationDuration;
+        this.attackCooldown = this.attackSpeed;
+
+        // Create projectile with catapult-specific properties, hitting harder downhill
+        const projectile = new Projectile(
+            this.x,
+            this.y,
+            this.attackTarget.x,
+            this.attackTarget.y,
+            this.damage * elevationFactor(this, this.attackTarget, ELEVATION_DAMAGE_PER_LEVEL),
+            this.projectileSize,
+            this.projectileSpeed,
+            this,
+            this.attackTarget,
+            this.type
+        );
+        game.projectiles.push(projectile);
+    }
+
+    // Farther downhill, shorter uphill
+    attackRange() {
+        return this.maxRange * elevationFactor(this, this.attackTarget, ELEVATION_RANGE_PER_LEVEL);
+    }
+
+    hasLineOfFire(target) {
+        return lineOfFire(this.x, this.y, target.x, target.y);
+    }
+}
+
+// Archer class - ranged unit
+class Archer extends Unit {
+    constructor(x, y, team) {
+        super(x, y, team, 'archer');
+        this.hp = this.maxHp = 80;
+        this.damage = 15;
+        this.maxRange = 150;
+        this.attackSpeed = 1500;
+        this.moveSpeed = 60;
+        this.radius = 7; // Reduced by half from 14
+        this.sightRadius = 200;
+        this.formationOrder = 2;
+        
+        // Archer-specific projectile properties
+        this.projectileSize = 1.5; // Reduced by half from 3
+        this.projectileSpeed = 240; // px/s
+    }
+
+    performAttack() {
+        this.isAttacking = true;
+        this.attackAnimationTime = this.attackAnimationDuration;
+        this.attackCooldown = this.attackSpeed;
+
+        // Create projectile with archer-specific properties, hitting harder downhill
+        const projectile = new Projectile(
+            this.x,
+            this.y,
+            this.attackTarget.x,
+            this.attackTarget.y,
+            this.damage * elevationFactor(this, this.attackTarget, ELEVATION_DAMAGE_PER_LEVEL),
+            this.projectileSize,
+            this.projectileSpeed,
+            this,
+            this.attackTarget,
+            this.type
+        );
+        game.projectiles.push(projectile);
+    }
+
+    // Farther downhill, shorter uphill
+    attackRange() {
+        return this.maxRange * elevationFactor(this, this.attackTarget, ELEVATION_RANGE_PER_LEVEL);
+    }
+
+    hasLineOfFire(target) {
+        return lineOfFire(this.x, this.y, target.x, target.y);
+    }
+}
+
+// Pikeman class - melee unit with anti-cavalry bonus
+class Pikeman extends Unit {
+    constructor(x, y, team) {
+        super(x, y, team, 'pikeman');
+        this.hp = this.maxHp = 100;
+        this.damage = 18;
+        this.maxRange = 40;
+        this.attackSpeed = 1100;
+        this.moveSpeed = 66;
+        this.radius = 7.5; // Reduced by half from 15
+        this.sightRadius = 160;
+        this.formationOrder = 0;
+    }
+
+    performAttack() {
+        this.isAttacking = true;
+        this.attackAnimationTime = this.attackAnimationDuration;
+        this.attackCooldown = this.attackSpeed;
+
+        // Pikeman deals bonus damage to cavalry units (Knights)
+        let actualDamage = this.damage;
+        if (this.attackTarget && this.attackTarget.type === 'knight') {
+            actualDamage *= 1.5; // 50% bonus damage vs cavalry
+        }
+
+        // Melee always hits
+        this.attackTarget.takeDamage(actualDamage, this);
+    }
+}
+
+// Unit classes by unit.type, for maps and snapshots
+const UNIT_CLASSES = { knight: Knight, archer: Archer, catapult: Catapult, pikeman: Pikeman };
+
+// Whether type names one of UNIT_CLASSES, not a name it inherits such as 'constructor'
+function isUnitType(type) {
+    return Object.prototype.hasOwnProperty.call(UNIT_CLASSES, type);
+}
+
+// How well each unit type fares against each enemy type, 1 for pairs not listed
+const UNIT_MATCHUPS = {
+    pikeman: { knight: 3 },
+    knight: { archer: 3, catapult: 3, pikeman: 0.5 }
+};
+
+function matchupWeight(type, enemyType) {
+    return (UNIT_MATCHUPS[type] || {})[enemyType] || 1;
+}
+
+// Projectile class
+class Projectile {
+    constructor(x, y, targetX, targetY, damage, size, speed, shooterUnit, targetUnit, damageType) {
+        this.x = x;
+        this.y = y;
+        this.prevX = x;
+        this.prevY = y;
+        this.damage = damage;
+        this.size = size;
+        this.speed = speed;
+        this.targetX = targetX
+        this.targetY = targetY
+        this.shooterUnit = shooterUnit
+        this.targetUnit = targetUnit
+        this.damageType = damageType
+
+        const dx = this.targetX - x;
+        const dy = this.targetY - y;
+        const dist = Math.sqrt(dx * dx + dy * dy);
+        this.vx = (dx / dist) * speed; // px/s
+        this.vy = (dy / dist) * speed;
+
+        this.active = true;
+    }
+
+    update(deltaTime) {
+        if (!this.active) return;
+
+        this.x += this.vx * deltaTime / 1000;
+        this.y += this.vy * deltaTime / 1000;
+
+        if (this.x < 0 || this.x > game.width || this.y < 0 || this.y > game.height) {
+            this.active = false;
+        }
+        let xdif = this.targetX - this.x
+        if (this.vx < 0)
+            xdif = this.x - this.targetX
+        let ydif = this.targetY - this.y
+        if (this.vy < 0)
+            ydif = this.y - this.targetY
+        if (xdif <= HIT_THRESHOLD && ydif <= HIT_THRESHOLD) {
+            this.active = false;
+
+            // Check damage type to determine damage behavior
+            if (this.damageType === 'catapult') {
+                // Catapult: damage all units in impact area
+                const impactRadius = this.size * 4; // Area of effect radius
+                game.units.forEach(unit => {
+                    const dist = Math.sqrt(Math.pow(this.x - unit.x, 2) + Math.pow(this.y - unit.y, 2));
+                    if (dist < impactRadius && unit !== this.shooterUnit) {
+                        unit.takeDamage(this.damage, this.shooterUnit);
+                    }
+                });
+            } else {
+                // Archer: single target damage (original logic)
+                const dist = Math.sqrt(Math.pow(this.x - this.targetUnit.x, 2) + Math.pow(this.y - this.targetUnit.y, 2));
+                if (dist < this.targetUnit.radius)
+                    this.targetUnit.takeDamage(this.damage, this.shooterUnit);
+            }
+        }
+
+    }
+}
+
+
+// Path requests from units and formations. Queries are planned in pathWorker.js and
+// handed back in request order PATH_RESULT_DELAY_TICKS ticks later, at most
+// PATH_RESULTS_PER_TICK per tick, so when a unit gets its path never depends on how
+// fast the worker was. If a result is due but not back yet, isWaiting() holds the
+// simulation (see SimulationClock). Without Worker support (or if the worker fails to
+// load, e.g. from file://) due requests are planned in this thread instead, and so they
+// are while `synchronous` is set, for replays that must seek without waiting.
+class PathRequestService {
+    constructor(useWorker = typeof Worker !== 'undefined') {
+        this.synchronous = false;
+        this.nextId = 1;
+        this.requests = new Map(); // id -> {id, owner, query, callback, dueTick}, oldest first
+        this.byOwner = new Map();  // owner -> id of its pending request
+        this.results = new Map();  // id -> result planned by the worker, not delivered yet
+        this.worker = null;
+
+        if (useWorker) {
+            try {
+                this.worker = new Worker('pathWorker.js');
+                this.worker.onmessage = (e) => {
+                    if (this.requests.has(e.data.id)) this.results.set(e.data.id, e.data.result);
+                };
+                this.worker.onerror = (e) => {
+                    console.warn('Path worker failed, planning paths in the main thread:', e.message);
+                    e.preventDefault();
+                    this.worker = null;
+                };
+            } catch (err) {
+                console.warn('Path worker unavailable, planning paths in the main thread:', err.message);
+                this.worker = null;
+            }
+        }
+    }
+
+    // Send the current obstacles to the worker (call after computePerimeterData)
+    syncWorld() {
+        if (!this.worker) return;
+        this.worker.postMessage({
+            type: 'world',
+            width: game.width,
+            height: game.height,
+            obstacles: game.obstacles.map(o => ({ x: o.x, y: o.y })),
+            terrain: game.terrain
+        });
+    }
+
+    // Send the obstacles after the ones on tiles [[gx, gy], ...] changed, the worker
+    // updates its copy like updateObstacleTiles() did here
+    syncTiles(tiles) {
+        if (!this.worker) return;
+        this.worker.postMessage({
+            type: 'tiles',
+            obstacles: game.obstacles.map(o => ({ x: o.x, y: o.y })),
+            tiles
+        });
+    }
+
+    // Queue a path query {startX, startY, targetX, targetY, mode, radius, unitType} for an owner
+    // (unit or formation), replacing its previous request. callback receives the
+    // planPathOrNearest result once planned, at dueTick (restored snapshots pass the
+    // one they saved). Returns the request id.
+    request(owner, query, callback, dueTick = game.tick + PATH_RESULT_DELAY_TICKS) {
+        this.cancel(owner);
+
+        const id = this.nextId++;
+        const fullQuery = {
+            startX: query.startX,
+            startY: query.startY,
+            targetX: query.targetX,
+            targetY: query.targetY,
+            mode: query.mode || game.pathMode,
+            radius: query.radius || 0,
+            unitType: query.unitType || null
+        };
+        this.requests.set(id, { id, owner, query: fullQuery, callback, dueTick });
+        this.byOwner.set(owner, id);
+
+        if (this.worker && !this.synchronous) {
+            this.worker.postMessage(Object.assign({ type: 'path', id }, fullQuery));
+        }
+        return id;
+    }
+
+    // Drop the owner's pending request, if any (it was re-ordered or died)
+    cancel(owner) {
+        const id = this.byOwner.get(owner);
+        if (id === undefined) return;
+
+        this.byOwner.delete(owner);
+        this.requests.delete(id);
+        this.results.delete(id);
+        if (this.worker) {
+            this.worker.postMessage({ type: 'cancel', id });
+        }
+    }
+
+    // Send every pending request again, keeping its due tick, so none is planned on
+    // obstacles that have changed since it was sent
+    replanPending() {
+        Array.from(this.requests.values()).forEach(request => {
+            this.request(request.owner, request.query, request.callback, request.dueTick);
+        });
+    }
+
+    // Drop every pending request (a new game was started)
+    clear() {
+        Array.from(this.byOwner.keys()).forEach(owner => this.cancel(owner));
+    }
+
+    isPending(owner) {
+        return this.byOwner.has(owner);
+    }
+
+    get pendingCount() {
+        return this.requests.size;
+    }
+
+    // Requests to hand out this tick: the oldest due ones, at most PATH_RESULTS_PER_TICK
+    dueRequests() {
+        const due = [];
+        for (const request of this.requests.values()) {
+            if (request.dueTick > game.tick || due.length === PATH_RESULTS_PER_TICK) break;
+            due.push(request);
+        }
+        return due;
+    }
+
+    // True while a result due this tick is still being planned by the worker
+    isWaiting() {
+        if (!this.worker || this.synchronous) return false;
+        return this.dueRequests().some(request => !this.results.has(request.id));
+    }
+
+    // Hand this tick's due paths to their owners
+    update() {
+        this.dueRequests().forEach(request => {
+            if (!this.requests.has(request.id)) return; // cancelled by an earlier callback
+
+            let result = this.results.get(request.id);
+            if (!result) {
+                // In-thread fallback (synchronous mode, or a worker that died): plan it now
+                const q = request.query;
+                result = planPathOrNearest(q.startX, q.startY, q.targetX, q.targetY, q.mode, q.radius, q.unitType);
+            }
+            this.deliver(request.id, result);
+        });
+    }
+
+    deliver(id, result) {
+        const request = this.requests.get(id);
+        if (!request) return false; // cancelled while being planned
+
+        this.requests.delete(id);
+        this.results.delete(id);
+        this.byOwner.delete(request.owner);
+        request.callback(result);
+        return true;
+    }
+}
+
+// Global path request service
+const pathRequests = new PathRequestService();
+
+// Current game state, replaced by createGame()
+let game = null;
+
+// Start a new, empty game on a world of width x height pixels and make it the
+// current state. Call setupGame() or loadMap() (or place obstacles and units
+// yourself, then refreshWorldData()) before updating it. The same seed on the same
+// world size always sets up the same game.
+function createGame(width, height, seed = randomSeed()) {
+    pathRequests.clear();
+    game = {
+        width,
+        height,
+        seed,
+        random: new Random(seed),
+        startWidth: width,   // world size the game was set up on, for recordings
+        startHeight: height,
+        tick: 0,             // simulation ticks run so far
+        commands: [],        // player commands waiting for their tick, in tick order
+        commandLog: [],      // player commands applied so far
+        nextUnitId: 1,
+        startMap: null,      // map the game was set up on (see loadMap), for recordings
+        mapName: null,
+        terrain: null,       // terrain rows of the map, null for plain everywhere
+        heights: null,       // height rows of the map (digits 0-MAX_HEIGHT), null for flat
+        spawnZones: [],      // [{team, x, y, width, height}] in tiles
+        armies: [],          // [{team, units: {type: count}}] starting armies
+        mapUnits: [],        // [{type, team, x, y}] single units the map places
+        selectedUnits: [],
+        units: [],
+        obstacles: [],
+        projectiles: [],
+        pathMode: PathMode.GRID, // default PathMode for path requests
+        groupMoveMode: GroupMoveMode.FORMATION,
+        orderMarkers: [],    // [{requestedX, requestedY, x, y, kind, timeLeft}] redirected move orders ('redirect')
+                             // and attack-move destinations ('attackMove')
+        nextOrderId: 1,      // ties together the units of an attack-move
+        ai: { difficulty: 'off', groups: [], nextGroupId: 1 }, // enemy commander state, see ai.js
+
+        // ADDED: perimeter/path data
+        pNodes: [],          // Array of p-nodes [{id, r, c, x, y, clusterId, prevId, nextId}]
+        pathCells: [],       // Array of [r, c] for every perimeter cell
+        pathMask: [],        // 2D boolean grid for quick lookup/visualization
+        compGrid: [],        // 2D component ID grid (0 = free, >0 = obstacle cluster id)
+        compCount: 0,        // Number of obstacle clusters
+        obstacleSet: new Set(), // Set of "r,c" for obstacle tiles
+        regionGrid: [],      // 2D free-space region ID grid over the pathfinder grid (0 = obstacle)
+        regionCount: 0       // Number of disconnected free regions
+    };
+    return game;
+}
+
+// Height level (0 to MAX_HEIGHT) of the tile at world position (x, y), 0 on a flat map
+// and off the map
+function heightAt(x, y) {
+    const row = game.heights && game.heights[Math.floor(y / TILE_SIZE)];
+    const level = row ? row[Math.floor(x / TILE_SIZE)] : undefined;
+    return level === undefined ? 0 : Number(level);
+}
+
+// Modifier for a ranged unit firing at target: 1 + perLevel for every level the shooter
+// stands above the target, minus as much per level below (at most ELEVATION_MAX_LEVELS)
+function elevationFactor(shooter, target, perLevel) {
+    const levels = heightAt(shooter.x, shooter.y) - heightAt(target.x, target.y);
+    return 1 + Math.max(-ELEVATION_MAX_LEVELS, Math.min(ELEVATION_MAX_LEVELS, levels)) * perLevel;
+}
+
+// Speed multiplier for moving from (x, y) towards (towardX, towardY): the height half a
+// tile ahead against half a tile behind, ELEVATION_UPHILL_SPEED per level climbed
+function slopeSpeed(x, y, towardX, towardY) {
+    const dist = Math.hypot(towardX - x, towardY - y);
+    if (!game.heights || dist === 0) return 1;
+    const ahead = TILE_SIZE / 2 / dist;
+    const climb = heightAt(x + (towardX - x) * ahead, y + (towardY - y) * ahead) -
+        heightAt(x - (towardX - x) * ahead, y - (towardY - y) * ahead);
+    return climb > 0 ? Math.pow(ELEVATION_UPHILL_SPEED, Math.min(climb, ELEVATION_MAX_LEVELS)) : 1;
+}
+
+// True if no tile between the two points rises above both of them, so a shot can pass
+function lineOfFire(x1, y1, x2, y2) {
+    if (!game.heights) return true;
+    const top = Math.max(heightAt(x1, y1), heightAt(x2, y2));
+    const samples = Math.ceil(Math.hypot(x2 - x1, y2 - y1) / (TILE_SIZE / 4));
+    for (let i = 1; i < samples; i++) {
+        const t = i / samples;
+        if (heightAt(x1 + (x2 - x1) * t, y1 + (y2 - y1) * t) > top) return false;
+    }
+    return true;
+}
+
+// Recompute everything derived from the obstacles and world size
+function refreshWorldData() {
+    computePerimeterData();
+    pathRequests.syncWorld();
+}
+
+// Set up the game on a generated map (see generateMap() in mapgen.js) for the current
+// world size, rolled from game.random
+function setupGame() {
+    loadMap(generateMap(game.width, game.height, game.random));
+}
+
+// Maps are JSON objects, see randomMap() for one made in code:
+//   {
+//     "version": 1,                          MAP_VERSION
+//     "name": "Crossing",                    optional
+//     "width": 40, "height": 23,             world size in tiles of TILE_SIZE px
+//     "obstacles": [[12, 5], [13, 5]],       blocked tiles as [column, row]
+//     "terrain": ["..==", ".FF~"],           optional, one string per row with a
+//                                            TERRAIN_TYPES character per tile
+//                                            (pathfinding.js), grass if left out
+//     "heights": ["0012", "0123"],           optional, one string per row with a
+//                                            height level 0-9 per tile, flat if left out
+//     "spawnZones": [{"team": 1, "x": 3, "y": 4, "width": 3, "height": 3}],   in tiles
+//     "armies": [{"team": 1, "units": {"knight": 6, "archer": 4}}],
+//     "units": [{"type": "archer", "team": 2, "x": 400, "y": 96}]    optional, in px
+//   }
+// Armies are lined up in rows UNIT_SPAWN_SPACING px apart inside their team's spawn
+// zones (filled in the order listed), unit type by unit type in the order listed.
+// "units" are single units placed exactly (e.g. by the map editor), after the armies.
+
+// A random map covering a world of width x height pixels: OBSTACLE_COUNT scattered
+// obstacles (none in the spawn zones) and randomArmies(). generateMap() (mapgen.js)
+// makes maps with larger features.
+function randomMap(width, height, random) {
+    const cols = Math.ceil(width / TILE_SIZE);
+    const rows = Math.ceil(height / TILE_SIZE);
+    const spawnZones = defaultSpawnZones(cols, rows);
+
+    const obstacles = [];
+    for (let i = 0; i < OBSTACLE_COUNT; i++) {
+        const col = Math.floor(random.next() * (width / TILE_SIZE));
+        const row = Math.floor(random.next() * (height / TILE_SIZE));
+        if (!spawnZones.some(z => col >= z.x && col < z.x + z.width && row >= z.y && row < z.y + z.height)) {
+            obstacles.push([col, row]);
+        }
+    }
+
+    return {
+        version: MAP_VERSION,
+        width: cols,
+        height: rows,
+        obstacles,
+        spawnZones,
+        armies: randomArmies(random)
+    };
+}
+
+// Spawn zones of random maps on a cols x rows tile map: team 1 top left, team 2 in a
+// row further right and down, both moved inside smaller maps
+function defaultSpawnZones(cols, rows) {
+    const zone = (team, x, y, zoneWidth, zoneHeight) => ({
+        team,
+        x: Math.max(0, Math.min(x, cols - zoneWidth)),
+        y: Math.max(0, Math.min(y, rows - zoneHeight)),
+        width: zoneWidth,
+        height: zoneHeight
+    });
+    return [zone(1, 3, 4, 3, 3), zone(2, 15, 12, 7, 1)];
+}
+
+// Armies of random maps: 25 units of any type for team 1 and 5 without catapults for team 2
+function randomArmies(random) {
+    const army = (team, types, count) => {
+        const units = {};
+        types.forEach(type => units[type] = 0);
+        for (let i = 0; i < count; i++) {
+            units[types[random.int(types.length)]]++;
+        }
+        return { team, units };
+    };
+    return [
+        army(1, ['knight', 'archer', 'catapult', 'pikeman'], 25),
+        army(2, ['knight', 'archer', 'pikeman'], 5)
+    ];
+}
+
+// Problems that keep a map from loading, as readable messages (none if it's valid)
+function validateMap(map) {
+    const errors = [];
+    const isCount = value => Number.isInteger(value) && value >= 0;
+    const isTile = ([col, row]) => col >= 0 && col < map.width && row >= 0 && row < map.height;
+
+    if (!map || typeof map !== 'object') return ['map is not an object'];
+    if (map.version !== MAP_VERSION) errors.push(`unsupported map version ${map.version}`);
+    if (!isCount(map.width) || !isCount(map.height) || map.width === 0 || map.height === 0) {
+        return errors.concat(`map size ${map.width}x${map.height} is not a positive number of tiles`);
+    }
+    const size = `${map.width}x${map.height}`;
+
+    if (!Array.isArray(map.obstacles)) {
+        errors.push('obstacles is not a list of tiles');
+    } else {
+        map.obstacles.forEach((tile, i) => {
+            if (!Array.isArray(tile) || tile.length !== 2 || !tile.every(Number.isInteger)) {
+                errors.push(`obstacle ${i} is not a [column, row] tile: ${JSON.stringify(tile)}`);
+            } else if (!isTile(tile)) {
+                errors.push(`obstacle ${i} at (${tile[0]}, ${tile[1]}) is outside the ${size} map`);
+            }
+        });
+    }
+
+    // Optional rows of one character per tile
+    const checkRows = (key, isValid, unknown) => {
+        const rows = map[key];
+        if (rows === undefined || rows === null) return;
+        if (!Array.isArray(rows) || rows.length !== map.height) {
+            errors.push(`${key} must have one row per map row (${map.height})`);
+            return;
+        }
+        rows.forEach((line, row) => {
+            if (typeof line !== 'string' || line.length !== map.width) {
+                errors.push(`${key} row ${row} must be a string of ${map.width} tiles`);
+                return;
+            }
+            const col = Array.from(line).findIndex(c => !isValid(c));
+            if (col !== -1) errors.push(`${key} row ${row} has ${unknown} '${line[col]}' at column ${col}`);
+        });
+    };
+    checkRows('terrain', c => c in TERRAIN_TYPES, 'unknown terrain');
+    checkRows('heights', c => c >= '0' && c <= String(MAX_HEIGHT), 'invalid height');
+
+    if (!Array.isArray(map.spawnZones)) {
+        errors.push('spawnZones is not a list');
+    } else {
+        map.spawnZones.forEach((z, i) => {
+            if (!z || typeof z !== 'object' || !isCount(z.team) || ![z.x, z.y, z.width, z.height].every(isCount) || z.width === 0 || z.height === 0) {
+                errors.push(`spawn zone ${i} needs a team and a tile x, y, width and height`);
+            } else if (!isTile([z.x, z.y]) || !isTile([z.x + z.width - 1, z.y + z.height - 1])) {
+                errors.push(`spawn zone ${i} of team ${z.team} reaches outside the ${size} map`);
+            }
+        });
+    }
+
+    if (!Array.isArray(map.armies)) {
+        errors.push('armies is not a list');
+    } else {
+        map.armies.forEach((army, i) => {
+            if (!army || !isCount(army.team) || !army.units || typeof army.units !== 'object') {
+                errors.push(`army ${i} needs a team and units by type`);
+                return;
+            }
+            Object.keys(army.units).forEach(type => {
+                if (!isUnitType(type)) errors.push(`army of team ${army.team} has unknown unit type '${type}'`);
+                else if (!isCount(army.units[type])) errors.push(`army of team ${army.team} has a bad ${type} count: ${army.units[type]}`);
+            });
+        });
+    }
+
+    if (map.units !== undefined && !Array.isArray(map.units)) {
+        errors.push('units is not a list');
+    } else if (map.units) {
+        map.units.forEach((unit, i) => {
+            if (!unit || !isUnitType(unit.type)) {
+                errors.push(`unit ${i} has unknown unit type '${unit && unit.type}'`);
+            } else if (!isCount(unit.team) || !Number.isFinite(unit.x) || !Number.isFinite(unit.y)) {
+                errors.push(`unit ${i} needs a team and an x, y position`);
+            } else if (!isTile([Math.floor(unit.x / TILE_SIZE), Math.floor(unit.y / TILE_SIZE)])) {
+                errors.push(`${unit.type} of team ${unit.team} at (${unit.x}, ${unit.y}) is outside the ${size} map`);
+            }
+        });
+    }
+
+    // Where the units go only makes sense once the rest holds together
+    if (errors.length === 0) placeArmies(map, errors);
+    return errors;
+}
+
+// Spawn positions [{type, team, x, y}] of every army and single unit on a valid map.
+// Armies that don't fit their spawn zones or units that would stand in an obstacle
+// add to errors.
+function placeArmies(map, errors = []) {
+    const blocked = new Set(map.obstacles.map(([col, row]) => `${col},${row}`));
+    const spawns = [];
+
+    map.armies.forEach(army => {
+        const slots = [];
+        map.spawnZones.filter(z => z.team === army.team).forEach(z => {
+            const perRow = Math.floor(z.width * TILE_SIZE / UNIT_SPAWN_SPACING);
+            const rows = Math.floor(z.height * TILE_SIZE / UNIT_SPAWN_SPACING);
+            for (let row = 0; row < rows; row++) {
+                for (let i = 0; i < perRow; i++) {
+                    slots.push({
+                        x: z.x * TILE_SIZE + (i + 0.5) * UNIT_SPAWN_SPACING,
+                        y: z.y * TILE_SIZE + (row + 0.5) * UNIT_SPAWN_SPACING
+                    });
+                }
+            }
+        });
+
+        const types = [];
+        Object.keys(army.units).forEach(type => {
+            for (let i = 0; i < army.units[type]; i++) types.push(type);
+        });
+        if (types.length > slots.length) {
+            errors.push(slots.length === 0
+                ? `army of team ${army.team} has no spawn zone`
+                : `army of team ${army.team} has ${types.length} units but its spawn zones fit ${slots.length}`);
+            return;
+        }
+
+        types.forEach((type, i) => spawns.push({ type, team: army.team, x: slots[i].x, y: slots[i].y }));
+    });
+    (map.units || []).forEach(({ type, team, x, y }) => spawns.push({ type, team, x, y }));
+
+    spawns.forEach(({ type, team, x, y }) => {
+        const col = Math.floor(x / TILE_SIZE);
+        const row = Math.floor(y / TILE_SIZE);
+        if (blocked.has(`${col},${row}`)) {
+            errors.push(`${type} of team ${team} would spawn inside the obstacle at (${col}, ${row})`);
+        }
+    });
+    return spawns;
+}
+
+// Parse a JSON map, throws with every problem found if it can't be loaded
+function parseMap(json) {
+    const map = JSON.parse(json);
+    const errors = validateMap(map);
+    if (errors.length > 0) {
+        throw new Error(`Invalid map: ${errors.join('; ')}`);
+    }
+    return map;
+}
+
+// Set up a new game (from createGame) on a map: its world size, obstacles, terrain,
+// heights and starting armies. Throws like parseMap() on an invalid map, before changing anything.
+function loadMap(map) {
+    const errors = validateMap(map);
+    if (errors.length > 0) {
+        throw new Error(`Invalid map: ${errors.join('; ')}`);
+    }
+
+    game.startMap = JSON.parse(JSON.stringify(map));
+    game.mapName = map.name || null;
+    game.width = map.width * TILE_SIZE;
+    game.height = map.height * TILE_SIZE;
+    game.obstacles = map.obstacles.map(([col, row]) => ({ x: col * TILE_SIZE, y: row * TILE_SIZE }));
+    game.terrain = map.terrain ? map.terrain.slice() : null;
+    game.heights = map.heights ? map.heights.slice() : null;
+    game.spawnZones = map.spawnZones.map(z => Object.assign({}, z));
+    game.armies = map.armies.map(army => ({ team: army.team, units: Object.assign({}, army.units) }));
+    game.mapUnits = (map.units || []).map(unit => Object.assign({}, unit));
+
+    refreshWorldData();
+
+    placeArmies(map).forEach(({ type, team, x, y }) => {
+        game.units.push(new UNIT_CLASSES[type](x, y, team));
+    });
+}
+
+// The map the game is played on, with its current world size and obstacles
+function exportMap() {
+    const map = {
+        version: MAP_VERSION,
+        width: Math.ceil(game.width / TILE_SIZE),
+        height: Math.ceil(game.height / TILE_SIZE),
+        obstacles: game.obstacles.map(o => [Math.floor(o.x / TILE_SIZE), Math.floor(o.y / TILE_SIZE)]),
+        spawnZones: game.spawnZones.map(z => Object.assign({}, z)),
+        armies: game.armies.map(army => ({ team: army.team, units: Object.assign({}, army.units) }))
+    };
+    if (game.mapName) map.name = game.mapName;
+    if (game.terrain) map.terrain = game.terrain.slice();
+    if (game.heights) map.heights = game.heights.slice();
+    if (game.mapUnits.length > 0) map.units = game.mapUnits.map(unit => Object.assign({}, unit));
+    return JSON.stringify(map);
+}
+
+// True if a unit of the given radius going from (x, y) through the waypoints would
+// touch one of the tiles [[gx, gy], ...]
+function routeCrossesTiles(x, y, waypoints, radius, tiles) {
+    let fromX = x;
+    let fromY = y;
+    for (const point of waypoints) {
+        const crosses = tiles.some(([gx, gy]) => segmentWithinRadiusOfAABB(
+            fromX, fromY, point.x, point.y, { x: gx * TILE_SIZE, y: gy * TILE_SIZE }, radius
+        ));
+        if (crosses) return true;
+        fromX = point.x;
+        fromY = point.y;
+    }
+    return false;
+}
+
+// Build obstacles on the tiles in `add` and clear the ones in `remove` ([[gx, gy], ...])
+// during play, e.g. a wall going up or a gate opening. Tiles outside the world, tiles
+// already as asked and, for new obstacles, tiles a unit stands on are skipped. Only
+// the units and formations whose remaining route crosses a changed tile plan again
+// (flow fields are rebuilt anyway), and paths still being planned are planned again.
+// Returns the tiles that changed as {added, removed}.
+function changeObstacles(add = [], remove = []) {
+    const cols = Math.ceil(game.width / TILE_SIZE);
+    const rows = Math.ceil(game.height / TILE_SIZE);
+    const blocked = new Set(game.obstacles.map(o => `${Math.floor(o.x / TILE_SIZE)},${Math.floor(o.y / TILE_SIZE)}`));
+    const inWorld = (gx, gy) => Number.isInteger(gx) && Number.isInteger(gy) && gx >= 0 && gy >= 0 && gx < cols && gy < rows;
+    const occupied = (gx, gy) => game.units.some(u =>
+        u.x + u.radius > gx * TILE_SIZE && u.x - u.radius < (gx + 1) * TILE_SIZE &&
+        u.y + u.radius > gy * TILE_SIZE && u.y - u.radius < (gy + 1) * TILE_SIZE
+    );
+
+    const added = [];
+    add.forEach(([gx, gy]) => {
+        if (!inWorld(gx, gy) || blocked.has(`${gx},${gy}`) || occupied(gx, gy)) return;
+        blocked.add(`${gx},${gy}`);
+        added.push([gx, gy]);
+        game.obstacles.push({ x: gx * TILE_SIZE, y: gy * TILE_SIZE });
+    });
+
+    const removed = [];
+    remove.forEach(([gx, gy]) => {
+        if (!blocked.has(`${gx},${gy}`)) return;
+        blocked.delete(`${gx},${gy}`);
+        removed.push([gx, gy]);
+    });
+    if (removed.length > 0) {
+        game.obstacles = game.obstacles.filter(o => blocked.has(`${Math.floor(o.x / TILE_SIZE)},${Math.floor(o.y / TILE_SIZE)}`));
+    }
+
+    const changed = added.concat(removed);
+    if (changed.length === 0) return { added, removed };
+
+    updateObstacleTiles(changed);
+    pathRequests.syncTiles(changed);
+    pathRequests.replanPending();
+
+    game.units.forEach(unit => {
+        if (!unit.path || unit.currentPathIndex >= unit.path.length || pathRequests.isPending(unit)) return;
+        if (routeCrossesTiles(unit.x, unit.y, unit.path.slice(unit.currentPathIndex), unit.radius, changed)) {
+            const end = unit.path[unit.path.length - 1];
+            unit.setPath(end.x, end.y);
+        }
+    });
+    getFormations().forEach(formation => {
+        if (!formation.isMoving || !formation.centerPath || pathRequests.isPending(formation)) return;
+        const waypoints = formation.centerPath.slice(formation.currentCenterPathIndex);
+        if (routeCrossesTiles(formation.centerX, formation.centerY, waypoints, formation.largestRadius(), changed)) {
+            formation.planCenterPath();
+        }
+    });
+    return { added, removed };
+}
+
+// Advance the simulation by one SIM_TICK_MS tick
+function stepGame() {
+    const deltaTime = SIM_TICK_MS;
+
+    // Remember where everything was for interpolated drawing
+    game.units.forEach(unit => {
+        unit.prevX = unit.x;
+        unit.prevY = unit.y;
+    });
+    game.projectiles.forEach(p => {
+        p.prevX = p.x;
+        p.prevY = p.y;
+    });
+
+    // Apply the player commands due this tick
+    while (game.commands.length > 0 && game.commands[0].tick <= game.tick) {
+        const command = game.commands.shift();
+        applyCommand(command);
+        game.commandLog.push(command);
+    }
+
+    // The enemy commander gives its orders after the player's
+    updateCommander();
+
+    // Units done with their order take the next one from their queue
+    updateOrderQueues();
+
+    // Hand out planned paths before units move
+    pathRequests.update();
+
+    // Update
+    game.units.forEach(unit => unit.update(deltaTime));
+
+    // Update formations
+    getFormations().forEach(formation => {
+        if (formation.isMoving) {
+            formation.updateFormationCenter(deltaTime);
+        }
+    });
+
+    // Update projectiles
+    game.projectiles = game.projectiles.filter(p => {
+        p.update(deltaTime);
+        return p.active;
+    });
+
+    // Fade out order markers
+    game.orderMarkers = game.orderMarkers.filter(marker => {
+        marker.timeLeft -= deltaTime;
+        return marker.timeLeft > 0;
+    });
+
+    game.tick++;
+}
+
+// Turns real elapsed time into whole simulation ticks
+class SimulationClock {
+    constructor() {
+        this.accumulator = 0; // ms of real time not simulated yet
+    }
+
+    // Run the ticks that elapsedMs completes, at most MAX_TICKS_PER_FRAME, and
+    // return how far (0 to 1) the game is into the next tick, to interpolate drawing
+    advance(elapsedMs) {
+        this.accumulator += elapsedMs;
+
+        let ticks = 0;
+        while (this.accumulator >= SIM_TICK_MS && ticks < MAX_TICKS_PER_FRAME) {
+            if (pathRequests.isWaiting()) break; // hold the tick until its paths are back
+            stepGame();
+            this.accumulator -= SIM_TICK_MS;
+            ticks++;
+        }
+
+        // Fell behind (or held): drop the backlog instead of fast-forwarding later
+        this.accumulator = Math.min(this.accumulator, SIM_TICK_MS);
+        return this.accumulator / SIM_TICK_MS;
+    }
+}
+
+// Formations with at least one living unit
+function getFormations() {
+    const formations = new Set();
+    game.units.forEach(unit => {
+        if (unit.formation) {
+            formations.add(unit.formation);
+        }
+    });
+    return formations;
+}
+
+function getUnitAt(x, y) {
+    for (let unit of game.units) {
+        const dist = Math.sqrt(Math.pow(x - unit.x, 2) + Math.pow(y - unit.y, 2));
+        if (dist < unit.radius) {
+            return unit;
+        }
+    }
+    return null;
+}
+
+function getUnitById(id) {
+    return game.units.find(unit => unit.id === id) || null;
+}
+
+// Units whose centers are inside rect {x, y, width, height}
+function getUnitsInRect(rect) {
+    return game.units.filter(unit =>
+        unit.x > rect.x && unit.x < rect.x + rect.width &&
+        unit.y > rect.y && unit.y < rect.y + rect.height
+    );
+}
+
+function setSelection(units) {
+    game.selectedUnits.forEach(u => u.selected = false);
+    game.selectedUnits = units.slice();
+    game.selectedUnits.forEach(u => u.selected = true);
+}
+
+// Remember a redirected move order so the player sees where units will really go
+function addOrderMarker(requestedX, requestedY, x, y, kind = 'redirect') {
+    game.orderMarkers.push({ requestedX, requestedY, x, y, kind, timeLeft: ORDER_MARKER_DURATION });
+}
+
+// Destination for a move order given to a group of units: the clicked point, or the
+// nearest point the group can reach (with an on-screen marker) if it is blocked or cut off
+function resolveMoveOrder(units, x, y) {
+    const centerX = units.reduce((sum, u) => sum + u.x, 0) / units.length;
+    const centerY = units.reduce((sum, u) => sum + u.y, 0) / units.length;
+    const dest = findNearestReachablePoint(centerX, centerY, x, y);
+    if (dest && dest.adjusted) {
+        addOrderMarker(x, y, dest.x, dest.y);
+    }
+    return dest;
+}
+
+function issueAttackOrder(units, targetUnit) {
+    units.forEach(unit => {
+        unit.attackTarget = targetUnit;
+        unit.post = null; // ordered chases aren't leashed
+        unit.attackMove = null;
+        unit.resumeMove = null;
+        unit.leaveFormation();
+        unit.formationPosition = null;
+        unit.flowTarget = null;
+        pathRequests.cancel(unit);
+    });
+}
+
+// Move command, redirected if the spot can't be reached. Groups move in a
+// formation or by flow field (mode, game.groupMoveMode by default), a single unit by A*.
+function issueMoveOrder(units, x, y, mode = game.groupMoveMode) {
+    if (units.length === 0) return;
+
+    const dest = resolveMoveOrder(units, x, y);
+    if (!dest) return;
+    units.forEach(unit => {
+        // A move order calls off any fight
+        unit.attackTarget = null;
+        unit.post = null;
+        unit.attackMove = null;
+        unit.resumeMove = null;
+    });
+
+    if (units.length > 1 && mode === GroupMoveMode.FLOW_FIELD) {
+        // Every unit follows the same cached flow field
+        units.forEach(unit => {
+            unit.attackTarget = null;
+            unit.leaveFormation();
+            unit.formationPosition = null;
+            unit.setFlowTarget(dest.x, dest.y);
+        });
+    } else if (units.length > 1) {
+        // Create formation
+        new Formation(units, dest.x, dest.y);
+    } else {
+        // Single unit move with A* pathfinding
+        units[0].setPath(dest.x, dest.y);
+        units[0].attackTarget = null;
+        units[0].leaveFormation();
+    }
+}
+
+// Attack-move: a move order on which the units stop to fight any enemy one of them comes
+// across and go on once it is beaten, see Unit.updateAttackMove(). id ties the units of
+// the order together, a new one unless the order is resumed.
+function issueAttackMoveOrder(units, x, y, mode = game.groupMoveMode, id = game.nextOrderId++) {
+    issueMoveOrder(units, x, y, mode);
+    units.forEach(unit => unit.attackMove = { id, x, y, mode, interrupted: false });
+}
+
+// Living units on the attack-move order id
+function attackMoveUnits(id) {
+    return game.units.filter(u => u.attackMove && u.attackMove.id === id);
+}
+
+// Stop the attack-move order id for target: each unit free to fight takes on what it
+// would pick itself or else target, the rest wait where they are
+function interruptAttackMove(id, target) {
+    attackMoveUnits(id).forEach(unit => {
+        const attackMove = unit.attackMove;
+        if (!unit.attackTarget) {
+            const enemy = unit.findTarget() || (unit.canEngage(target) ? target : null);
+            if (enemy) unit.engage(enemy); else issueStopOrder([unit]);
+        }
+        unit.attackMove = attackMove;
+        unit.attackMove.interrupted = true;
+    });
+}
+
+// Append an order command ('move', 'attack' or 'attackMove') to the units' queues. The
+// units given it together share its id: a group starts each queued order as one once
+// all of its living units are done with the one before, so it walks every leg in
+// formation.
+function queueOrder(units, command) {
+    const order = {
+        id: game.nextOrderId++,
+        type: command.type,
+        x: command.x,
+        y: command.y,
+        mode: command.mode || game.groupMoveMode,
+        targetId: command.targetId
+    };
+    units.forEach(unit => unit.orders.push(Object.assign({}, order)));
+}
+
+// Start the next queued order of every group whose units are all done, called by stepGame()
+function updateOrderQueues() {
+    game.units.forEach(unit => {
+        if (unit.orders.length === 0 || !unit.orderDone()) return;
+        const order = unit.orders[0];
+        const units = game.units.filter(u => u.orders.length > 0 && u.orders[0].id === order.id);
+        if (!units.every(u => u.orderDone())) return;
+
+        units.forEach(u => u.orders.shift());
+        executeOrder(units, order);
+    });
+}
+
+// Carry out a move, attack or attack-move command or queued order. Attacks on a unit
+// that has died since are dropped.
+function executeOrder(units, order) {
+    switch (order.type) {
+        case 'move':
+            issueMoveOrder(units, order.x, order.y, order.mode);
+            break;
+        case 'attack': {
+            const target = getUnitById(order.targetId);
+            if (target) issueAttackOrder(units, target);
+            break;
+        }
+        case 'attackMove':
+            issueAttackMoveOrder(units, order.x, order.y, order.mode, order.id);
+            break;
+    }
+}
+
+// Set how the units fight, see Behavior
+function setBehavior(units, behavior) {
+    units.forEach(unit => unit.behavior = behavior);
+}
+
+function issueStopOrder(units) {
+    units.forEach(unit => {
+        unit.targetX = unit.x;
+        unit.targetY = unit.y;
+        unit.moving = false;
+        unit.attackTarget = null;
+        unit.post = null;
+        unit.attackMove = null;
+        unit.resumeMove = null;
+        unit.leaveFormation();
+        unit.flowTarget = null;
+        pathRequests.cancel(unit);
+    });
+}
+
+// Pathfinding mode after the current one, for cycling through them
+function nextPathMode() {
+    const modes = Object.values(PathMode);
+    return modes[(modes.indexOf(game.pathMode) + 1) % modes.length];
+}
+
+function nextGroupMoveMode() {
+    return game.groupMoveMode === GroupMoveMode.FORMATION ? GroupMoveMode.FLOW_FIELD : GroupMoveMode.FORMATION;
+}
+
+// Player commands. Input never changes the game directly: it issues commands, which
+// stepGame() applies at the start of the tick they were issued for and logs, so a
+// match can be recorded and replayed. Commands are plain objects:
+//   {type: 'select', unitIds}            replace the selection
+//   {type: 'move', unitIds, x, y, mode, queue} move order (in formation or by flow field
+//                                        for groups, mode or else game.groupMoveMode)
+//   {type: 'attack', unitIds, targetId, queue}
+//   {type: 'attackMove', unitIds, x, y, mode, queue} attack-move, mode as for 'move'
+//   {type: 'stop', unitIds}              also clears the units' order queues
+//   {type: 'behavior', unitIds, behavior} Behavior of the units
+//   {type: 'pathMode', mode}             PathMode for new paths
+//   {type: 'groupMoveMode', mode}        GroupMoveMode for group move orders
+//   {type: 'obstacles', add, remove}     obstacle tiles [[gx, gy], ...] built or cleared
+//   {type: 'aiDifficulty', level}        enemy commander level, see AI_DIFFICULTIES
+// plus the tick they apply at, set by issueCommand(). Orders with queue set wait in the
+// units' queues (see queueOrder()), without it they replace the queue.
+function issueCommand(command) {
+    command.tick = game.tick;
+    game.commands.push(command);
+    return command;
+}
+
+// Command to select units, added to the current selection or replacing it
+function selectCommand(units, addToSelection) {
+    const unitIds = addToSelection ? game.selectedUnits.map(u => u.id) : [];
+    units.forEach(unit => {
+        if (!unitIds.includes(unit.id)) unitIds.push(unit.id);
+    });
+    return { type: 'select', unitIds };
+}
+
+function applyCommand(command) {
+    // Units that died since the command was given are skipped
+    const units = (command.unitIds || []).map(getUnitById).filter(unit => unit !== null);
+
+    switch (command.type) {
+        case 'select':
+            setSelection(units);
+            break;
+        case 'move':
+        case 'attack':
+        case 'attackMove':
+            if (units.length === 0) break;
+            if (command.type === 'attackMove') {
+                addOrderMarker(command.x, command.y, command.x, command.y, 'attackMove');
+            }
+            if (command.queue) {
+                queueOrder(units, command);
+            } else {
+                units.forEach(unit => unit.orders = []);
+                executeOrder(units, command);
+            }
+            break;
+        case 'stop':
+            units.forEach(unit => unit.orders = []);
+            issueStopOrder(units);
+            break;
+        case 'behavior':
+            setBehavior(units, command.behavior);
+            break;
+        case 'pathMode':
+            game.pathMode = command.mode;
+            break;
+        case 'groupMoveMode':
+            game.groupMoveMode = command.mode;
+            break;
+        case 'obstacles':
+            changeObstacles(command.add, command.remove);
+            break;
+        case 'aiDifficulty':
+            game.ai.difficulty = command.level;
+            break;
+        default:
+            console.warn('Unknown command:', command);
+    }
+}
+
+// The current match as a JSON recording: how it was set up and every command
+function recordMatch() {
+    return JSON.stringify({
+        version: REPLAY_VERSION,
+        seed: game.seed,
+        width: game.startWidth,
+        height: game.startHeight,
+        map: game.startMap,
+        ticks: game.tick,
+        commands: game.commandLog
+    });
+}
+
+// Parse a recordMatch() recording, throws if it can't be replayed
+function parseRecording(json) {
+    const recording = JSON.parse(json);
+    if (recording.version !== REPLAY_VERSION) {
+        throw new Error(`Unsupported replay version: ${recording.version}`);
+    }
+    if (!Array.isArray(recording.commands) || !Number.isInteger(recording.ticks)) {
+        throw new Error('Replay has no command stream');
+    }
+    if (!recording.map) {
+        throw new Error('Replay has no map');
+    }
+    return recording;
+}
+
+// Re-simulates a recorded match from its seed and commands. Seeking backwards starts
+// over from tick 0, paths are planned synchronously so seeking never waits on the worker.
+class ReplayPlayer {
+    constructor(recording) {
+        this.recording = recording;
+        this.playing = false;
+        this.clock = new SimulationClock();
+        pathRequests.synchronous = true;
+        this.restart();
+    }
+
+    get length() {
+        return this.recording.ticks;
+    }
+
+    restart() {
+        createGame(this.recording.width, this.recording.height, this.recording.seed);
+        loadMap(this.recording.map);
+        game.commands = this.recording.commands.map(command => Object.assign({}, command));
+    }
+
+    // Jump to a tick (clamped to the recording)
+    seek(tick) {
+        tick = Math.max(0, Math.min(this.length, Math.floor(tick)));
+        if (tick < game.tick) this.restart();
+        while (game.tick < tick) stepGame();
+    }
+
+    // Advance playback by elapsedMs of real time, returns the interpolation alpha
+    advance(elapsedMs) {
+        if (!this.playing) return 1;
+
+        const alpha = this.clock.advance(Math.min(elapsedMs, (this.length - game.tick) * SIM_TICK_MS));
+        if (game.tick >= this.length) this.playing = false;
+        return alpha;
+    }
+
+    // Back to live play
+    close() {
+        pathRequests.synchronous = false;
+    }
+}
+
+// Snapshots: the whole game state as JSON, to stop a scenario and pick it up later.
+// Units, formations and projectiles point at each other, so references are written as
+// unit ids and formation indices and linked up again on load. Dead units that are
+// still referenced (a projectile's shooter, a formation member) are saved too, only
+// the ones listed in `units` are back in game.units. Pending path requests are saved
+// with their due tick and planned again after loading.
+
+// Every unit and formation reachable from the game state, living units first
+function collectSnapshotObjects() {
+    const units = new Map();
+    const formations = [];
+    const visit = unit => {
+        if (!unit || units.has(unit.id)) return;
+        units.set(unit.id, unit);
+        visit(unit.attackTarget);
+        if (unit.formation && !formations.includes(unit.formation)) {
+            formations.push(unit.formation);
+            unit.formation.allUnits.forEach(visit);
+        }
+    };
+
+    game.units.forEach(visit);
+    game.selectedUnits.forEach(visit);
+    game.projectiles.forEach(p => {
+        visit(p.shooterUnit);
+        visit(p.targetUnit);
+    });
+    return { units: Array.from(units.values()), formations };
+}
+
+// Own fields of an object, with the ones named in `references` converted
+function snapshotFields(object, references) {
+    const fields = {};
+    Object.keys(object).forEach(key => {
+        fields[key] = key in references ? references[key](object[key]) : object[key];
+    });
+    return fields;
+}
+
+// The current game as a JSON snapshot. camera is the renderer's view position, saved
+// alongside so loading shows the same part of the map.
+function snapshotGame(camera = null) {
+    const { units, formations } = collectSnapshotObjects();
+    const unitId = unit => unit ? unit.id : null;
+    const formationIndex = formation => formation ? formations.indexOf(formation) : null;
+
+    return JSON.stringify({
+        version: SNAPSHOT_VERSION,
+        seed: game.seed,
+        randomState: game.random.state,
+        width: game.width,
+        height: game.height,
+        startWidth: game.startWidth,
+        startHeight: game.startHeight,
+        tick: game.tick,
+        commands: game.commands,
+        commandLog: game.commandLog,
+        nextUnitId: game.nextUnitId,
+        startMap: game.startMap,
+        mapName: game.mapName,
+        terrain: game.terrain,
+        heights: game.heights,
+        spawnZones: game.spawnZones,
+        armies: game.armies,
+        mapUnits: game.mapUnits,
+        pathMode: game.pathMode,
+        groupMoveMode: game.groupMoveMode,
+        obstacles: game.obstacles,
+        orderMarkers: game.orderMarkers,
+        nextOrderId: game.nextOrderId,
+        ai: game.ai,
+        camera,
+        units: game.units.map(unitId),
+        selectedUnits: game.selectedUnits.map(unitId),
+        unitTable: units.map(unit => snapshotFields(unit, {
+            attackTarget: unitId,
+            formation: formationIndex
+        })),
+        formations: formations.map(formation => snapshotFields(formation, {
+            allUnits: list => list.map(unitId),
+            formationPieces: pieces => pieces.map(piece => ({
+                units: piece.units.map(unitId),
+                positions: piece.positions.map(pos => ({ unit: unitId(pos.unit), localX: pos.localX, localY: pos.localY })),
+                width: piece.width
+            }))
+        })),
+        projectiles: game.projectiles.map(p => snapshotFields(p, {
+            shooterUnit: unitId,
+            targetUnit: unitId
+        })),
+        pathRequests: Array.from(pathRequests.requests.values()).map(request => ({
+            owner: request.owner instanceof Formation
+                ? { formation: formationIndex(request.owner) }
+                : { unit: unitId(request.owner) },
+            query: request.query,
+            dueTick: request.dueTick
+        }))
+    });
+}
+
+// Parse a snapshotGame() snapshot, throws if it can't be loaded
+function parseSnapshot(json) {
+    const snapshot = JSON.parse(json);
+    if (snapshot.version !== SNAPSHOT_VERSION) {
+        throw new Error(`Unsupported snapshot version: ${snapshot.version}`);
+    }
+    const lists = [
+        'units', 'selectedUnits', 'unitTable', 'formations', 'projectiles', 'pathRequests', 'obstacles',
+        'commands', 'commandLog', 'spawnZones', 'armies', 'mapUnits'
+    ];
+    const missing = lists.find(key => !Array.isArray(snapshot[key]));
+    if (missing) {
+        throw new Error(`Snapshot has no ${missing} list`);
+    }
+    return snapshot;
+}
+
+// Make a parsed snapshot the current game, it continues exactly where it was saved.
+// Throws before touching the current game if the snapshot doesn't hold together.
+function restoreSnapshot(snapshot) {
+    // Rebuild the objects without running their constructors, then link them up
+    const units = new Map();
+    snapshot.unitTable.forEach(fields => {
+        if (!isUnitType(fields.type)) throw new Error(`Unknown unit type in snapshot: ${fields.type}`);
+        units.set(fields.id, Object.assign(Object.create(UNIT_CLASSES[fields.type].prototype), fields));
+    });
+    const unitById = id => {
+        if (id === null) return null;
+        if (!units.has(id)) throw new Error(`Snapshot refers to a missing unit: ${id}`);
+        return units.get(id);
+    };
+
+    const formations = snapshot.formations.map(fields => Object.assign(Object.create(Formation.prototype), fields, {
+        allUnits: fields.allUnits.map(unitById),
+        formationPieces: fields.formationPieces.map(piece => ({
+            units: piece.units.map(unitById),
+            positions: piece.positions.map(pos => ({ unit: unitById(pos.unit), localX: pos.localX, localY: pos.localY })),
+            width: piece.width
+        }))
+    }));
+    const formationByIndex = index => {
+        if (index === null) return null;
+        if (!formations[index]) throw new Error(`Snapshot refers to a missing formation: ${index}`);
+        return formations[index];
+    };
+
+    units.forEach(unit => {
+        unit.attackTarget = unitById(unit.attackTarget);
+        unit.formation = formationByIndex(unit.formation);
+    });
+    const living = snapshot.units.map(unitById);
+    const selected = snapshot.selectedUnits.map(unitById);
+    const projectiles = snapshot.projectiles.map(fields => Object.assign(Object.create(Projectile.prototype), fields, {
+        shooterUnit: unitById(fields.shooterUnit),
+        targetUnit: unitById(fields.targetUnit)
+    }));
+    const requests = snapshot.pathRequests.map(request => ({
+        owner: 'formation' in request.owner
+            ? formationByIndex(request.owner.formation)
+            : unitById(request.owner.unit),
+        query: request.query,
+        dueTick: request.dueTick
+    }));
+
+    createGame(snapshot.width, snapshot.height, snapshot.seed);
+    game.random.state = snapshot.randomState;
+    game.startWidth = snapshot.startWidth;
+    game.startHeight = snapshot.startHeight;
+    game.tick = snapshot.tick;
+    game.commands = snapshot.commands;
+    game.commandLog = snapshot.commandLog;
+    game.nextUnitId = snapshot.nextUnitId;
+    game.startMap = snapshot.startMap;
+    game.mapName = snapshot.mapName;
+    game.terrain = snapshot.terrain;
+    game.heights = snapshot.heights;
+    game.spawnZones = snapshot.spawnZones;
+    game.armies = snapshot.armies;
+    game.mapUnits = snapshot.mapUnits;
+    game.pathMode = snapshot.pathMode;
+    game.groupMoveMode = snapshot.groupMoveMode;
+    game.obstacles = snapshot.obstacles;
+    game.orderMarkers = snapshot.orderMarkers;
+    game.nextOrderId = snapshot.nextOrderId;
+    game.ai = snapshot.ai;
+
+    game.units = living;
+    game.selectedUnits = selected;
+    game.projectiles = projectiles;
+    refreshWorldData();
+
+    requests.forEach(({ owner, query, dueTick }) => {
+        pathRequests.request(owner, query, result => owner.applyPathResult(result), dueTick);
+    });
+    return game;
+}
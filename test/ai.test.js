@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    TILE_SIZE, SIM_TICK_MS, Knight, Archer, Pikeman, Formation, AI_TEAM, createGame,
+    setupGame, stepGame, issueCommand, nextAIDifficulty, recordMatch, parseRecording, ReplayPlayer,
+    snapshotGame, parseSnapshot, restoreSnapshot, currentGame
+} = require('../headless');
+const { createWorld, addUnits, run } = require('../testHelpers');
+
+// A world of cols x rows tiles with the commander's spawn zone in the top right corner
+function createAIWorld(cols, rows) {
+    const game = createWorld(cols, rows, [], 1);
+    game.spawnZones = [{ team: AI_TEAM, x: cols - 3, y: 0, width: 3, height: 3 }];
+    return game;
+}
+
+function groupOf(game, unit) {
+    return game.ai.groups.find(group => group.unitIds.includes(unit.id));
+}
+
+test('the commander sends pikemen at knights and knights at archers', () => {
+    const game = createAIWorld(40, 20);
+    const [knight] = addUnits(game, Knight, 1, [[200, 120]]);
+    const [archer] = addUnits(game, Archer, 1, [[200, 520]]);
+    const [pikeman] = addUnits(game, Pikeman, 1, [[500, 300]]);
+    const pikemen = addUnits(game, Pikeman, AI_TEAM, [[1000, 280], [1000, 300], [1020, 290]]);
+    const knights = addUnits(game, Knight, AI_TEAM, [[1000, 480], [1020, 480]]);
+
+    // Without matchups the pikemen go for the nearest enemy
+    issueCommand({ type: 'aiDifficulty', level: 'easy' });
+    stepGame();
+    assert.strictEqual(game.ai.groups.length, 2, 'one group per type');
+    assert.strictEqual(groupOf(game, pikemen[0]).targetId, pikeman.id);
+
+    issueCommand({ type: 'aiDifficulty', level: 'normal' });
+    run(1000, () => groupOf(game, pikemen[0]).targetId === knight.id);
+    assert.strictEqual(groupOf(game, pikemen[0]).targetId, knight.id);
+    assert.strictEqual(groupOf(game, knights[0]).targetId, archer.id);
+    assert.ok(pikemen.every(u => u.formation instanceof Formation), 'advancing in formation');
+    assert.ok(pikemen[0].formation !== knights[0].formation);
+
+    run(30000, () => pikemen.every(u => u.attackTarget === knight) && knights.every(u => u.attackTarget === archer));
+    assert.ok(pikemen.every(u => u.attackTarget === knight), 'pikemen attack the knight');
+    assert.ok(knights.every(u => u.attackTarget === archer), 'knights attack the archer');
+    assert.strictEqual(pikeman.hp, pikeman.maxHp);
+});
+
+test('badly damaged groups fall back to their spawn zone and defend it', () => {
+    const game = createAIWorld(40, 20);
+    const knights = addUnits(game, Knight, AI_TEAM, [[600, 300], [620, 300], [600, 320]]);
+    addUnits(game, Pikeman, 1, [[200, 300], [200, 320]]);
+    knights.forEach(u => u.hp = 30);
+
+    // Easy groups never retreat
+    issueCommand({ type: 'aiDifficulty', level: 'easy' });
+    stepGame();
+    assert.strictEqual(groupOf(game, knights[0]).mode, 'advance');
+
+    issueCommand({ type: 'aiDifficulty', level: 'normal' });
+    run(1000, () => groupOf(game, knights[0]).mode === 'retreat');
+    assert.strictEqual(groupOf(game, knights[0]).mode, 'retreat');
+
+    const rally = { x: 38.5 * TILE_SIZE, y: 1.5 * TILE_SIZE };
+    run(30000, () => knights.every(u => !u.moving) && !knights[0].formation.isMoving);
+    knights.forEach(u => assert.ok(Math.hypot(u.x - rally.x, u.y - rally.y) < 3 * TILE_SIZE, `knight at (${u.x}, ${u.y})`));
+
+    // They hold there and only fight what comes close
+    assert.ok(knights.every(u => u.attackTarget === null));
+    const [intruder] = addUnits(game, Archer, 1, [[rally.x - 4 * TILE_SIZE, rally.y + 2 * TILE_SIZE]]);
+    run(1000, () => knights.every(u => u.attackTarget === intruder));
+    assert.ok(knights.every(u => u.attackTarget === intruder));
+    assert.strictEqual(groupOf(game, knights[0]).mode, 'retreat');
+});
+
+test('replays and restored snapshots rerun the commander the same way', () => {
+    const state = () => JSON.stringify(currentGame().units.map(u => [u.id, u.x, u.y, u.hp]));
+
+    createGame(1280, 720, 7);
+    setupGame();
+    issueCommand({ type: 'aiDifficulty', level: 'hard' });
+    run(300 * SIM_TICK_MS);
+    const saved = snapshotGame();
+    run(300 * SIM_TICK_MS);
+    const live = state();
+    assert.ok(JSON.parse(saved).ai.groups.some(group => group.mode !== 'idle'), 'the commander gave orders');
+
+    const recording = parseRecording(recordMatch());
+    assert.strictEqual(recording.commands.length, 1, 'only the difficulty is recorded');
+    const replay = new ReplayPlayer(recording);
+    try {
+        replay.seek(600);
+        assert.strictEqual(state(), live);
+    } finally {
+        replay.close();
+    }
+
+    restoreSnapshot(parseSnapshot(saved));
+    run(300 * SIM_TICK_MS);
+    assert.strictEqual(state(), live);
+});
+
+test('difficulty levels cycle back to off', () => {
+    const game = createAIWorld(10, 10);
+    const levels = [];
+    for (let i = 0; i < 4; i++) {
+        game.ai.difficulty = nextAIDifficulty();
+        levels.push(game.ai.difficulty);
+    }
+    assert.deepStrictEqual(levels, ['easy', 'normal', 'hard', 'off']);
+});
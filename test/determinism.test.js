@@ -0,0 +1,166 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    SIM_TICK_MS, GroupMoveMode, Random, parseSeed, Knight, Archer, Catapult, Pikeman,
+    SimulationClock, createGame, setupGame, stepGame, issueMoveOrder, issueAttackOrder
+} = require('../headless');
+const { createWorld, addUnit, run } = require('../testHelpers');
+
+// Two small armies around a wall, with orders given at fixed ticks
+function createBattle() {
+    const wall = Array.from({ length: 12 }, (_, i) => [18, 4 + i]);
+    const game = createWorld(40, 24, wall);
+
+    const types = [Knight, Archer, Catapult, Pikeman];
+    for (let i = 0; i < 12; i++) {
+        addUnit(game, new types[i % 4](100 + (i % 4) * 20, 200 + Math.floor(i / 4) * 20, 1));
+    }
+    for (let i = 0; i < 6; i++) {
+        addUnit(game, new types[i % 2 ? 1 : 3](900 + (i % 3) * 20, 300 + Math.floor(i / 3) * 20, 2));
+    }
+    return game;
+}
+
+const ORDERS = {
+    0: game => issueMoveOrder(game.units.filter(u => u.team === 1).slice(0, 8), 800, 300),
+    10: game => {
+        game.groupMoveMode = GroupMoveMode.FLOW_FIELD;
+        issueMoveOrder(game.units.filter(u => u.team === 2), 700, 500);
+    },
+    150: game => {
+        const enemies = game.units.filter(u => u.team === 2);
+        game.units.filter(u => u.team === 1).forEach((u, i) => issueAttackOrder([u], enemies[i % enemies.length]));
+    }
+};
+
+function giveOrders(game) {
+    if (ORDERS[game.tick]) ORDERS[game.tick](game);
+}
+
+function snapshot(game) {
+    return JSON.stringify({
+        tick: game.tick,
+        units: game.units.map(u => [u.type, u.team, u.x, u.y, u.hp]),
+        projectiles: game.projectiles.map(p => [p.x, p.y])
+    });
+}
+
+const TICKS = 1500;
+
+function runTicks() {
+    const game = createBattle();
+    while (game.tick < TICKS) {
+        giveOrders(game);
+        stepGame();
+    }
+    return snapshot(game);
+}
+
+// Drive the game through SimulationClock with the given frame times (ms, cycled)
+function runFrames(frameTimes) {
+    const game = createBattle();
+    const clock = new SimulationClock();
+    let result = null;
+    for (let frame = 0; game.tick < TICKS; frame++) {
+        giveOrders(game);
+        const ticksBefore = game.tick;
+        clock.advance(frameTimes[frame % frameTimes.length]);
+        assert.ok(game.tick - ticksBefore <= 1, 'frames shorter than a tick run at most one tick');
+        if (game.tick === TICKS) result = snapshot(game);
+    }
+    return result;
+}
+
+test('the same orders at the same ticks give bit-identical battles', () => {
+    const first = runTicks();
+    const second = runTicks();
+    assert.strictEqual(first, second);
+
+    // Something actually happened
+    const start = snapshot(createBattle());
+    assert.notStrictEqual(JSON.parse(first).units.length, 0);
+    assert.notDeepStrictEqual(JSON.parse(first).units, JSON.parse(start).units);
+});
+
+test('the frame rate does not change the outcome', () => {
+    const expected = runTicks();
+    assert.strictEqual(runFrames([1000 / 60]), expected);
+    assert.strictEqual(runFrames([1000 / 144]), expected);
+    assert.strictEqual(runFrames([3, 19, 11, 7, 16.5]), expected);
+});
+
+test('SimulationClock runs whole ticks and caps catch-up after long frames', () => {
+    const game = createWorld(10, 10);
+    const clock = new SimulationClock();
+
+    assert.strictEqual(clock.advance(SIM_TICK_MS / 2), 0.5);
+    assert.strictEqual(game.tick, 0);
+    assert.strictEqual(clock.advance(SIM_TICK_MS), 0.5);
+    assert.strictEqual(game.tick, 1);
+
+    clock.advance(60000); // a tab that was in the background for a minute
+    assert.ok(game.tick <= 11);
+});
+
+test('unit speeds are in pixels per second', () => {
+    const game = createWorld(30, 10);
+    const knight = addUnit(game, new Knight(50, 100, 1));
+
+    issueMoveOrder([knight], 900, 100);
+    run(1000);
+    // Switching to the next waypoint (the planned path starts where the order was
+    // given) takes a tick of its own
+    const step = knight.moveSpeed * SIM_TICK_MS / 1000;
+    const travelled = knight.x - 50;
+    assert.ok(travelled <= knight.moveSpeed && travelled >= knight.moveSpeed - 2 * step, `knight at ${knight.x}`);
+    assert.ok(Math.abs(knight.x - knight.prevX - step) < 1e-9);
+});
+
+// Obstacles and armies set up for a seed
+function setupLayout(seed, width = 1280, height = 720) {
+    const game = createGame(width, height, seed);
+    setupGame();
+    return JSON.stringify({
+        obstacles: game.obstacles,
+        units: game.units.map(u => [u.type, u.team, u.x, u.y])
+    });
+}
+
+test('the same seed sets up the same obstacles and armies', () => {
+    const realRandom = Math.random;
+    Math.random = () => {
+        throw new Error('setupGame must not use Math.random');
+    };
+    try {
+        assert.strictEqual(setupLayout(12345), setupLayout(12345));
+        assert.notStrictEqual(setupLayout(12345), setupLayout(12346));
+    } finally {
+        Math.random = realRandom;
+    }
+
+    const game = createGame(640, 480, 7);
+    assert.strictEqual(game.seed, 7);
+});
+
+test('Random gives a fixed sequence per seed', () => {
+    const a = new Random(42);
+    const b = new Random(42);
+    const values = Array.from({ length: 1000 }, () => a.next());
+    assert.deepStrictEqual(Array.from({ length: 1000 }, () => b.next()), values);
+    assert.ok(values.every(v => v >= 0 && v < 1));
+    assert.ok(new Set(values).size > 990);
+
+    const c = new Random(42);
+    for (let i = 0; i < 1000; i++) {
+        const n = c.int(4);
+        assert.ok(Number.isInteger(n) && n >= 0 && n < 4);
+    }
+});
+
+test('seeds parse from numbers and from text', () => {
+    assert.strictEqual(parseSeed('12345'), 12345);
+    assert.strictEqual(parseSeed('4294967297'), 1);
+    assert.strictEqual(parseSeed('castle'), parseSeed('castle'));
+    assert.notStrictEqual(parseSeed('castle'), parseSeed('castles'));
+    assert.ok(Number.isInteger(parseSeed('castle')) && parseSeed('castle') >= 0);
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { TILE_SIZE, MapEditor, createGame, setupGame, parseMap, currentGame } = require('../headless');
+
+function emptyMap() {
+    return {
+        version: 1,
+        width: 16,
+        height: 10,
+        obstacles: [],
+        spawnZones: [{ team: 1, x: 1, y: 1, width: 1, height: 1 }],
+        armies: [{ team: 1, units: { knight: 2 } }]
+    };
+}
+
+test('edits reload the map into the game', () => {
+    const editor = new MapEditor(emptyMap());
+    assert.strictEqual(currentGame().units.length, 2, 'army units became single units');
+    assert.strictEqual(editor.map.units.length, 2);
+    const freeCells = currentGame().pathCells.length;
+
+    assert.ok(editor.setObstacle(8, 4, true));
+    assert.deepStrictEqual(currentGame().obstacles, [{ x: 8 * TILE_SIZE, y: 4 * TILE_SIZE }]);
+    assert.ok(currentGame().pathCells.length > freeCells, 'perimeter data was recomputed');
+    assert.strictEqual(editor.setObstacle(8, 4, true), false, 'already blocked');
+
+    assert.ok(editor.placeUnit('catapult', 2, 400, 200));
+    const catapult = currentGame().units[2];
+    assert.deepStrictEqual([catapult.type, catapult.team, catapult.x, catapult.y], ['catapult', 2, 400, 200]);
+
+    assert.ok(editor.eraseAt(402, 201));
+    assert.strictEqual(currentGame().units.length, 2);
+    assert.ok(editor.eraseAt(8 * TILE_SIZE + 3, 4 * TILE_SIZE + 3));
+    assert.strictEqual(currentGame().obstacles.length, 0);
+});
+
+test('edits that break the map are refused', () => {
+    const editor = new MapEditor(emptyMap());
+    assert.strictEqual(editor.setObstacle(1, 1, true), false);
+    assert.match(editor.lastError, /knight of team 1 would spawn inside the obstacle at \(1, 1\)/);
+    assert.strictEqual(editor.placeUnit('archer', 1, 9999, 10), false);
+    assert.match(editor.lastError, /outside the 16x10 map/);
+    assert.strictEqual(currentGame().obstacles.length, 0);
+    assert.strictEqual(editor.undoStack.length, 0);
+});
+
+test('undo and redo step through edits, a stroke is one step', () => {
+    const editor = new MapEditor(emptyMap());
+    editor.beginStroke();
+    for (let row = 2; row < 8; row++) editor.setObstacle(5, row, true);
+    editor.endStroke();
+    editor.placeUnit('pikeman', 2, 300, 100);
+    assert.strictEqual(editor.undoStack.length, 2);
+
+    assert.ok(editor.undo());
+    assert.strictEqual(currentGame().units.length, 2);
+    assert.strictEqual(currentGame().obstacles.length, 6);
+    assert.ok(editor.undo());
+    assert.strictEqual(currentGame().obstacles.length, 0);
+    assert.strictEqual(editor.undo(), false);
+
+    assert.ok(editor.redo());
+    assert.strictEqual(currentGame().obstacles.length, 6);
+    editor.setObstacle(0, 0, true);
+    assert.strictEqual(editor.redo(), false, 'a new edit drops the redo steps');
+});
+
+test('the edited layout saves as a loadable map', () => {
+    const game = createGame(1280, 720, 11);
+    setupGame();
+    const positions = game.units.map(u => [u.type, u.team, u.x, u.y]);
+
+    const editor = MapEditor.fromGame();
+    assert.deepStrictEqual(currentGame().units.map(u => [u.type, u.team, u.x, u.y]), positions);
+    editor.placeUnit('knight', 2, 900, 300);
+
+    const map = parseMap(editor.save());
+    assert.strictEqual(map.units.length, 31);
+    new MapEditor(map);
+    assert.strictEqual(currentGame().units.length, 31);
+    assert.deepStrictEqual(currentGame().obstacles, game.obstacles);
+});
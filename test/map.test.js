@@ -0,0 +1,144 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    TILE_SIZE, Knight, Archer, Random, createGame, setupGame, randomMap, validateMap, parseMap, loadMap,
+    exportMap, planPath, recordMatch, parseRecording, ReplayPlayer, stepGame, issueCommand, currentGame
+} = require('../headless');
+
+// A 20x12 map with a wall between two small armies
+function wallMap() {
+    return {
+        version: 1,
+        name: 'Wall',
+        width: 20,
+        height: 12,
+        obstacles: [[10, 2], [10, 3], [10, 4], [10, 5], [10, 6], [10, 7], [10, 8], [10, 9]],
+        terrain: Array.from({ length: 12 }, () => '.'.repeat(20)),
+        heights: Array.from({ length: 12 }, (_, row) => row < 3 ? '00000000000000001122' : '0'.repeat(20)),
+        spawnZones: [
+            { team: 1, x: 2, y: 5, width: 2, height: 2 },
+            { team: 2, x: 16, y: 5, width: 2, height: 1 },
+            { team: 2, x: 16, y: 7, width: 2, height: 1 }
+        ],
+        armies: [
+            { team: 1, units: { knight: 3, archer: 2 } },
+            { team: 2, units: { pikeman: 10 } }
+        ]
+    };
+}
+
+test('a map sets the world size, obstacles and armies', () => {
+    const game = createGame(100, 100);
+    loadMap(wallMap());
+
+    assert.strictEqual(game.width, 20 * TILE_SIZE);
+    assert.strictEqual(game.height, 12 * TILE_SIZE);
+    assert.strictEqual(game.obstacles.length, 8);
+    assert.deepStrictEqual(game.obstacles[0], { x: 10 * TILE_SIZE, y: 2 * TILE_SIZE });
+
+    const team1 = game.units.filter(u => u.team === 1);
+    assert.deepStrictEqual(team1.map(u => u.type), ['knight', 'knight', 'knight', 'archer', 'archer']);
+    assert.ok(team1[0] instanceof Knight && team1[4] instanceof Archer);
+    assert.deepStrictEqual([team1[0].x, team1[0].y], [2 * TILE_SIZE + 7.5, 5 * TILE_SIZE + 7.5]);
+    assert.ok(team1.every(u => u.x < 4 * TILE_SIZE && u.y < 7 * TILE_SIZE));
+
+    // 8 pikemen fit in the first zone of team 2, the rest spill into the second
+    const team2 = game.units.filter(u => u.team === 2);
+    assert.strictEqual(team2.length, 10);
+    assert.strictEqual(team2.filter(u => u.y >= 7 * TILE_SIZE).length, 2);
+
+    // Perimeter data was rebuilt: paths go around the wall
+    const path = planPath(3 * TILE_SIZE, 6 * TILE_SIZE, 17 * TILE_SIZE, 6 * TILE_SIZE);
+    assert.ok(path && path.some(p => p.y < 2 * TILE_SIZE || p.y > 10 * TILE_SIZE));
+});
+
+test('an exported map loads back into the same game', () => {
+    createGame(100, 100);
+    loadMap(wallMap());
+    const exported = exportMap();
+    assert.deepStrictEqual(JSON.parse(exported), wallMap());
+
+    const game = createGame(100, 100);
+    loadMap(parseMap(exported));
+    assert.strictEqual(game.units.length, 15);
+    assert.strictEqual(game.mapName, 'Wall');
+});
+
+test('invalid maps are rejected with readable errors', () => {
+    const broken = wallMap();
+    broken.obstacles.push([25, 3], [3, -1]);
+    broken.terrain[4] = '....x...............';
+    broken.heights[2] = '0000000-000000000000';
+    broken.spawnZones.push({ team: 3, x: 19, y: 11, width: 2, height: 1 });
+    broken.armies[0].units.dragon = 1;
+    broken.armies[1].units.constructor = 1;
+    broken.units = [{ type: 'toString', team: 1, x: 40, y: 40 }];
+    assert.deepStrictEqual(validateMap(broken), [
+        'obstacle 8 at (25, 3) is outside the 20x12 map',
+        'obstacle 9 at (3, -1) is outside the 20x12 map',
+        "terrain row 4 has unknown terrain 'x' at column 4",
+        "heights row 2 has invalid height '-' at column 7",
+        'spawn zone 3 of team 3 reaches outside the 20x12 map',
+        "army of team 1 has unknown unit type 'dragon'",
+        "army of team 2 has unknown unit type 'constructor'",
+        "unit 0 has unknown unit type 'toString'"
+    ]);
+
+    const blocked = wallMap();
+    blocked.obstacles.push([2, 5]);
+    assert.throws(() => parseMap(JSON.stringify(blocked)),
+        /Invalid map: knight of team 1 would spawn inside the obstacle at \(2, 5\)/);
+
+    const crowded = wallMap();
+    crowded.armies[1].units.pikeman = 40;
+    crowded.armies.push({ team: 4, units: { knight: 1 } });
+    assert.deepStrictEqual(validateMap(crowded), [
+        'army of team 2 has 40 units but its spawn zones fit 16',
+        'army of team 4 has no spawn zone'
+    ]);
+
+    assert.deepStrictEqual(validateMap({ version: 1, width: 0, height: 5 }), ['map size 0x5 is not a positive number of tiles']);
+
+    const badZones = wallMap();
+    badZones.spawnZones.push(null, 'top left');
+    assert.deepStrictEqual(validateMap(badZones), [
+        'spawn zone 3 needs a team and a tile x, y, width and height',
+        'spawn zone 4 needs a team and a tile x, y, width and height'
+    ]);
+
+    const game = createGame(100, 100);
+    assert.throws(() => loadMap(crowded), /Invalid map/);
+    assert.strictEqual(game.units.length, 0, 'nothing was loaded');
+});
+
+test('random maps are valid for any seed and world size', () => {
+    for (let seed = 1; seed <= 50; seed++) {
+        for (const [width, height] of [[1280, 720], [640, 480], [1920, 1080], [300, 260]]) {
+            const map = randomMap(width, height, new Random(seed));
+            assert.deepStrictEqual(validateMap(map), [], `seed ${seed} at ${width}x${height}`);
+            assert.ok(map.width * TILE_SIZE >= width && map.width * TILE_SIZE < width + TILE_SIZE);
+        }
+    }
+
+    const game = createGame(1280, 720, 5);
+    setupGame();
+    assert.strictEqual(game.units.length, 30);
+    assert.strictEqual(game.startMap.width, 40);
+});
+
+test('replays set up the map the match was played on', () => {
+    const game = createGame(100, 100, 1);
+    loadMap(wallMap());
+    issueCommand({ type: 'move', unitIds: game.units.filter(u => u.team === 1).map(u => u.id), x: 500, y: 100 });
+    for (let i = 0; i < 200; i++) stepGame();
+    const positions = JSON.stringify(game.units.map(u => [u.x, u.y]));
+
+    const replay = new ReplayPlayer(parseRecording(recordMatch()));
+    try {
+        replay.seek(200);
+        assert.strictEqual(currentGame().mapName, 'Wall');
+        assert.strictEqual(JSON.stringify(currentGame().units.map(u => [u.x, u.y])), positions);
+    } finally {
+        replay.close();
+    }
+});
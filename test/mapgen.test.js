@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    TILE_SIZE, Random, generateMap, connectSpawnZones, validateMap, loadMap, createGame, planPath
+} = require('../headless');
+
+// Region label of each spawn zone's corner tile in the loaded game
+function spawnRegions(game) {
+    return game.spawnZones.map(z => game.regionGrid[z.y][z.x]);
+}
+
+test('generated maps are valid, repeatable and connect every spawn zone', () => {
+    for (let seed = 1; seed <= 30; seed++) {
+        for (const [width, height] of [[1280, 720], [640, 480], [1920, 1080], [300, 260], [480, 900]]) {
+            const map = generateMap(width, height, new Random(seed));
+            assert.deepStrictEqual(validateMap(map), [], `seed ${seed} at ${width}x${height}`);
+            assert.deepStrictEqual(generateMap(width, height, new Random(seed)), map);
+
+            const game = createGame(width, height);
+            loadMap(map);
+            const regions = spawnRegions(game);
+            assert.ok(regions.every(region => region === regions[0]), `seed ${seed} at ${width}x${height} is split`);
+        }
+    }
+});
+
+test('generated maps have rock, forests, rivers with fords and ridges with a pass', () => {
+    const map = generateMap(1280, 720, new Random(4), { rockClusters: 0, forests: 2, rivers: 1, fords: 1, chokepoints: 1 });
+    const blocked = new Set(map.obstacles.map(([col, row]) => `${col},${row}`));
+    const tiles = (char) => map.terrain.flatMap((line, row) =>
+        Array.from(line).map((c, col) => [c, col, row]).filter(([c]) => c === char));
+
+    assert.ok(tiles('F').length >= 24, 'forests');
+    const river = tiles('~');
+    assert.ok(river.some(([, col, row]) => blocked.has(`${col},${row}`)), 'deep water');
+    assert.ok(river.some(([, col, row]) => !blocked.has(`${col},${row}`)), 'a ford');
+
+    // Rock outside the river is the ridge, one column with a gap in it
+    const rock = map.obstacles.filter(([col, row]) => map.terrain[row][col] !== '~');
+    const ridgeColumns = new Set(rock.map(([col]) => col));
+    assert.strictEqual(ridgeColumns.size, 1, 'a single ridge');
+    assert.ok(rock.length < map.height, 'with a pass');
+
+    // The river with its ford and the ridge with its pass still let armies through
+    const game = createGame(1280, 720);
+    loadMap(map);
+    const [home, enemy] = map.spawnZones;
+    const path = planPath(home.x * TILE_SIZE + 16, home.y * TILE_SIZE + 16, enemy.x * TILE_SIZE + 16, enemy.y * TILE_SIZE + 16);
+    assert.ok(path, 'spawn zones are connected');
+    assert.strictEqual(spawnRegions(game)[0], spawnRegions(game)[1]);
+});
+
+test('a spawn zone walled in is broken out through the thinnest wall', () => {
+    // 10x6 tiles, zone 2 in a box with a wall three tiles thick on the left and one on top
+    const blocked = Array.from({ length: 6 }, (_, row) =>
+        Array.from({ length: 10 }, (_, col) => (col >= 4 && col <= 6 && row >= 2) || (col >= 7 && row === 2)));
+    const zones = [{ team: 1, x: 0, y: 0, width: 2, height: 2 }, { team: 2, x: 8, y: 4, width: 1, height: 1 }];
+
+    assert.strictEqual(connectSpawnZones(blocked, zones), 1);
+    assert.strictEqual(blocked[2].filter(b => b).length, 5, 'one tile of the top wall was cleared');
+    assert.strictEqual(connectSpawnZones(blocked, zones), 0, 'already connected');
+});
@@ -0,0 +1,223 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    TILE_SIZE, PathMode, pathfinder, flowFields, planPath, planPathOrNearest, comparePathModes,
+    findNearestReachablePoint, refreshWorldData, updateObstacleTiles, terrainSpeed, Knight, Catapult
+} = require('../headless');
+const { createWorld } = require('../testHelpers');
+
+// Vertical wall at column gx from row 0 to row length - 1
+function wall(gx, length) {
+    return Array.from({ length }, (_, gy) => [gx, gy]);
+}
+
+function tileCenter(gx, gy) {
+    return { x: gx * TILE_SIZE + TILE_SIZE / 2, y: gy * TILE_SIZE + TILE_SIZE / 2 };
+}
+
+// Every segment of the path keeps radius pixels away from obstacles
+function assertPathClear(path, radius = 0) {
+    assert.ok(path && path.length >= 2, 'expected a path');
+    for (let i = 1; i < path.length; i++) {
+        const a = path[i - 1];
+        const b = path[i];
+        assert.ok(pathfinder.isSegmentClear(a.x, a.y, b.x, b.y, radius),
+            `segment ${i} (${a.x},${a.y}) -> (${b.x},${b.y}) hits an obstacle`);
+    }
+}
+
+test('A* goes straight across open ground', () => {
+    createWorld(10, 10, []);
+    const start = tileCenter(1, 1);
+    const target = tileCenter(8, 6);
+    const path = pathfinder.findPath(start.x, start.y, target.x, target.y);
+    assert.strictEqual(path.length, 2);
+    assert.deepStrictEqual(path[path.length - 1], { x: target.x, y: target.y });
+});
+
+test('every path mode routes around a wall', () => {
+    createWorld(20, 12, wall(10, 9));
+    const start = tileCenter(3, 3);
+    const target = tileCenter(16, 3);
+
+    Object.values(PathMode).forEach(mode => {
+        const path = planPath(start.x, start.y, target.x, target.y, mode);
+        assertPathClear(path);
+        const end = path[path.length - 1];
+        assert.ok(Math.hypot(end.x - target.x, end.y - target.y) < 1, `${mode} path ends at the target`);
+        assert.ok(path.some(p => p.y > 9 * TILE_SIZE), `${mode} path goes below the wall`);
+    });
+});
+
+test('path modes are compared on the same query', () => {
+    createWorld(20, 12, wall(10, 9));
+    const start = tileCenter(3, 3);
+    const target = tileCenter(16, 3);
+
+    const results = comparePathModes(start.x, start.y, target.x, target.y);
+    assert.deepStrictEqual(results.map(r => r.mode), Object.values(PathMode));
+    results.forEach(r => {
+        assert.ok(r.ms >= 0 && r.waypoints >= 2, `${r.mode} planned a path`);
+        // No shorter than the straight line mirrored at the wall's lower end
+        const shortest = Math.hypot(target.x - start.x, 2 * (9 * TILE_SIZE - start.y));
+        assert.ok(r.length > shortest - 1, `${r.mode} path of ${r.length} px`);
+    });
+
+    const walledIn = comparePathModes(start.x, start.y, tileCenter(10, 3).x, tileCenter(10, 3).y);
+    walledIn.forEach(r => assert.strictEqual(r.length, null, `${r.mode} found no way into the wall`));
+});
+
+test('units keep clear of obstacles and skip gaps they would stall in', () => {
+    // Wall with a one-tile gap at row 5, and an open way round below row 9
+    createWorld(20, 12, wall(10, 9).filter(([, gy]) => gy !== 5));
+    const start = tileCenter(3, 5);
+    const target = tileCenter(16, 5);
+
+    // A knight is pushed by both sides of the gap only as far as its body reaches
+    const knight = new Knight(start.x, start.y, 1);
+    const narrow = pathfinder.findPath(start.x, start.y, target.x, target.y, knight.radius);
+    assertPathClear(narrow, knight.radius);
+    assert.ok(narrow.every(p => p.y < 9 * TILE_SIZE), 'knight uses the gap');
+
+    // A catapult fits through but both sides push it back, so it goes round
+    const catapult = new Catapult(start.x, start.y, 1);
+    const wide = pathfinder.findPath(start.x, start.y, target.x, target.y, catapult.radius);
+    assertPathClear(wide, catapult.radius);
+    assert.ok(wide.some(p => p.y > 9 * TILE_SIZE), 'catapult goes round the wall');
+
+    // Walls on one side only leave it room, so it still walks along them
+    createWorld(20, 12, wall(10, 11));
+    const along = pathfinder.findPath(tileCenter(9, 1).x, tileCenter(9, 1).y, tileCenter(9, 10).x, tileCenter(9, 10).y, catapult.radius);
+    assert.strictEqual(along.length, 2);
+});
+
+test('a target inside an obstacle is moved to the nearest free tile', () => {
+    createWorld(12, 12, [[6, 6], [7, 6], [6, 7], [7, 7]]);
+    const start = tileCenter(1, 1);
+    const result = planPathOrNearest(start.x, start.y, 7 * TILE_SIZE, 7 * TILE_SIZE);
+
+    assert.strictEqual(result.partial, true);
+    assertPathClear(result.path);
+    assert.ok(!pathfinder.isBlocked(Math.floor(result.targetX / TILE_SIZE), Math.floor(result.targetY / TILE_SIZE)));
+    assert.ok(Math.hypot(result.targetX - 7 * TILE_SIZE, result.targetY - 7 * TILE_SIZE) <= TILE_SIZE * 2);
+});
+
+test('a target in a walled-off pocket is moved to the reachable side', () => {
+    // Pocket of tile (15, 5) closed off on all sides
+    createWorld(20, 12, [[14, 4], [15, 4], [16, 4], [14, 5], [16, 5], [14, 6], [15, 6], [16, 6]]);
+    const start = tileCenter(2, 5);
+    const target = tileCenter(15, 5);
+
+    assert.strictEqual(planPath(start.x, start.y, target.x, target.y), null);
+
+    const dest = findNearestReachablePoint(start.x, start.y, target.x, target.y);
+    assert.strictEqual(dest.adjusted, true);
+    assert.ok(Math.hypot(dest.x - target.x, dest.y - target.y) <= 2 * TILE_SIZE);
+    assert.ok(planPath(start.x, start.y, dest.x, dest.y));
+
+    const open = findNearestReachablePoint(start.x, start.y, tileCenter(8, 8).x, tileCenter(8, 8).y);
+    assert.deepStrictEqual(open, { x: tileCenter(8, 8).x, y: tileCenter(8, 8).y, adjusted: false });
+});
+
+test('hierarchical paths follow obstacles added after the first query', () => {
+    const game = createWorld(30, 20, []);
+    const start = tileCenter(2, 10);
+    const target = tileCenter(27, 10);
+    assert.strictEqual(planPath(start.x, start.y, target.x, target.y, PathMode.HIERARCHICAL).length, 2);
+
+    wall(15, 18).forEach(([gx, gy]) => game.obstacles.push({ x: gx * TILE_SIZE, y: gy * TILE_SIZE }));
+    refreshWorldData();
+
+    const path = planPath(start.x, start.y, target.x, target.y, PathMode.HIERARCHICAL);
+    assertPathClear(path);
+    assert.ok(path.some(p => p.y > 18 * TILE_SIZE));
+});
+
+// Everything derived from the obstacles that paths depend on
+function worldData(game) {
+    return JSON.stringify({
+        occupancy: Array.from(pathfinder.occupancy),
+        clearance: Array.from(pathfinder.clearance),
+        passage: Array.from(pathfinder.passage),
+        regions: game.regionGrid,
+        pathCells: game.pathCells,
+        nodes: game.clean_node_positions.map(n => [n.r, n.c])
+    });
+}
+
+test('updating changed obstacle tiles matches recomputing everything', () => {
+    const game = createWorld(30, 20, wall(15, 18).concat([[4, 4], [5, 4]]));
+    const start = tileCenter(2, 10);
+    const target = tileCenter(27, 10);
+    planPath(start.x, start.y, target.x, target.y, PathMode.HIERARCHICAL);
+
+    // Open a gate in the wall and build a block elsewhere
+    const removed = [[15, 9], [15, 10]];
+    const added = [[22, 3], [23, 3], [22, 4]];
+    game.obstacles = game.obstacles.filter(o => !removed.some(([gx, gy]) => o.x === gx * TILE_SIZE && o.y === gy * TILE_SIZE));
+    added.forEach(([gx, gy]) => game.obstacles.push({ x: gx * TILE_SIZE, y: gy * TILE_SIZE }));
+    updateObstacleTiles(removed.concat(added));
+    const incremental = worldData(game);
+    const paths = Object.values(PathMode).map(mode => planPath(start.x, start.y, target.x, target.y, mode, 8));
+    assert.ok(paths[0].every(p => p.y < 18 * TILE_SIZE), 'paths go through the gate');
+
+    refreshWorldData();
+    assert.strictEqual(incremental, worldData(game));
+    assert.deepStrictEqual(Object.values(PathMode).map(mode => planPath(start.x, start.y, target.x, target.y, mode, 8)), paths);
+});
+
+test('A* weighs terrain for the unit type', () => {
+    // A forest band three tiles wide across the whole map and a road along row 10
+    const game = createWorld(20, 12, []);
+    game.terrain = Array.from({ length: 12 }, (_, gy) =>
+        gy === 10 ? '='.repeat(20) : '........FFF.........');
+    refreshWorldData();
+    const start = tileCenter(2, 5);
+    const target = tileCenter(17, 5);
+
+    // Archers cross the forest rather than make the long way round
+    const archerPath = pathfinder.findPath(start.x, start.y, target.x, target.y, 0, 'archer');
+    assert.ok(archerPath.every(p => Math.abs(p.y - start.y) < TILE_SIZE), 'archers go straight through');
+
+    // Catapults crawl in forest, the road gets them there sooner
+    const catapultPath = pathfinder.findPath(start.x, start.y, target.x, target.y, 0, 'catapult');
+    assert.ok(catapultPath.some(p => Math.floor(p.y / TILE_SIZE) === 10), 'catapults take the road');
+    for (let i = 1; i < catapultPath.length; i++) {
+        const a = catapultPath[i - 1];
+        const b = catapultPath[i];
+        for (let t = 0; t <= 1; t += 0.05) {
+            const x = a.x + (b.x - a.x) * t;
+            const y = a.y + (b.y - a.y) * t;
+            assert.notStrictEqual(terrainSpeed('catapult', x, y), 0.25, `catapult path enters the forest at (${x}, ${y})`);
+        }
+    }
+});
+
+test('flow field directions lead every tile to the target', () => {
+    createWorld(16, 10, wall(8, 7));
+    const target = tileCenter(13, 2);
+    const field = flowFields.get(target.x, target.y);
+    assert.strictEqual(flowFields.get(target.x, target.y), field, 'fields are cached per target tile');
+
+    // Walk the field from the far side of the wall
+    let x = tileCenter(2, 2).x;
+    let y = tileCenter(2, 2).y;
+    for (let step = 0; step < 2000 && !field.isTargetTile(x, y); step++) {
+        const dir = field.directionAt(x, y);
+        assert.ok(dir, `no direction at (${x}, ${y})`);
+        x += dir.x * 4;
+        y += dir.y * 4;
+        assert.ok(!pathfinder.isBlocked(Math.floor(x / TILE_SIZE), Math.floor(y / TILE_SIZE)));
+    }
+    assert.ok(field.isTargetTile(x, y));
+});
+
+test('perimeter data outlines each obstacle cluster', () => {
+    const game = createWorld(12, 12, [[3, 3], [3, 4], [8, 8]]);
+    assert.strictEqual(game.compCount, 2);
+    assert.ok(game.obstacleSet.has('3,3') && game.obstacleSet.has('4,3') && game.obstacleSet.has('8,8'));
+    assert.ok(game.pNodes.length > 0);
+    game.pNodes.forEach(node => {
+        assert.ok(!game.obstacleSet.has(`${node.r},${node.c}`), 'p-nodes lie on free tiles');
+    });
+});
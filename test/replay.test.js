@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    SIM_TICK_MS, PathMode, GroupMoveMode, Knight, createGame, setupGame, stepGame,
+    issueCommand, selectCommand, recordMatch, parseRecording, ReplayPlayer, pathRequests, currentGame
+} = require('../headless');
+const { createWorld, addUnit } = require('../testHelpers');
+
+function snapshot(game) {
+    return JSON.stringify({
+        tick: game.tick,
+        width: game.width,
+        selected: game.selectedUnits.map(u => u.id),
+        units: game.units.map(u => [u.id, u.x, u.y, u.hp]),
+        projectiles: game.projectiles.map(p => [p.x, p.y])
+    });
+}
+
+// Player input given at fixed ticks of a live match
+const SCRIPT = {
+    5: game => issueCommand(selectCommand(game.units.filter(u => u.team === 1).slice(0, 12), false)),
+    6: game => issueCommand({ type: 'move', unitIds: game.selectedUnits.map(u => u.id), x: 700, y: 420 }),
+    40: () => issueCommand({ type: 'groupMoveMode', mode: GroupMoveMode.FLOW_FIELD }),
+    41: () => issueCommand({ type: 'pathMode', mode: PathMode.HIERARCHICAL }),
+    42: game => {
+        const rest = game.units.filter(u => u.team === 1).slice(12);
+        issueCommand(selectCommand(rest, false));
+        issueCommand({ type: 'move', unitIds: rest.map(u => u.id), x: 300, y: 600 });
+    },
+    400: game => {
+        const target = game.units.find(u => u.team === 2);
+        issueCommand({ type: 'attack', unitIds: game.units.filter(u => u.team === 1).map(u => u.id), targetId: target.id });
+    },
+    700: game => issueCommand({ type: 'stop', unitIds: game.units.filter(u => u.team === 1).slice(0, 5).map(u => u.id) })
+};
+
+const MATCH_TICKS = 1200;
+
+// Play the scripted match live, returns the recording and snapshots at some ticks
+function playLive(seed) {
+    const game = createGame(1280, 720, seed);
+    setupGame();
+    const snapshots = {};
+    while (game.tick < MATCH_TICKS) {
+        if (SCRIPT[game.tick]) SCRIPT[game.tick](game);
+        stepGame();
+        if (game.tick % 300 === 0) snapshots[game.tick] = snapshot(game);
+    }
+    return { recording: recordMatch(), snapshots };
+}
+
+test('a replay re-simulates the recorded match exactly', () => {
+    const { recording, snapshots } = playLive(2024);
+    const parsed = parseRecording(recording);
+    assert.strictEqual(parsed.seed, 2024);
+    assert.strictEqual(parsed.ticks, MATCH_TICKS);
+    assert.strictEqual(parsed.commands.length, 8);
+
+    const replay = new ReplayPlayer(parsed);
+    try {
+        for (const tick of [300, 600, 900, 1200]) {
+            replay.seek(tick);
+            assert.strictEqual(snapshot(currentGame()), snapshots[tick], `state at tick ${tick}`);
+        }
+    } finally {
+        replay.close();
+    }
+});
+
+test('seeking backwards and forwards lands on the same states', () => {
+    const { recording, snapshots } = playLive(99);
+    const replay = new ReplayPlayer(parseRecording(recording));
+    try {
+        replay.seek(1200);
+        replay.seek(600);
+        assert.strictEqual(snapshot(currentGame()), snapshots[600]);
+        replay.seek(-50);
+        assert.strictEqual(currentGame().tick, 0);
+        replay.seek(100000);
+        assert.strictEqual(snapshot(currentGame()), snapshots[1200]);
+    } finally {
+        replay.close();
+    }
+});
+
+test('playback runs in real time and stops at the end', () => {
+    const { recording } = playLive(5);
+    const replay = new ReplayPlayer(parseRecording(recording));
+    try {
+        replay.advance(1000);
+        assert.strictEqual(currentGame().tick, 0, 'paused until played');
+
+        replay.playing = true;
+        replay.advance(10 * SIM_TICK_MS);
+        assert.strictEqual(currentGame().tick, 10);
+
+        replay.seek(MATCH_TICKS - 3);
+        for (let i = 0; i < 10; i++) replay.advance(SIM_TICK_MS * 2);
+        assert.strictEqual(currentGame().tick, MATCH_TICKS);
+        assert.strictEqual(replay.playing, false);
+    } finally {
+        replay.close();
+    }
+    assert.strictEqual(pathRequests.synchronous, false);
+});
+
+test('commands naming dead units skip them', () => {
+    const game = createWorld(20, 15, [], 1);
+    const knight = addUnit(game, new Knight(100, 100, 1));
+    const fallen = addUnit(game, new Knight(140, 100, 1));
+    fallen.takeDamage(1000);
+
+    issueCommand({ type: 'move', unitIds: [fallen.id, knight.id], x: 300, y: 300 });
+    issueCommand({ type: 'attack', unitIds: [knight.id], targetId: fallen.id });
+    stepGame();
+    assert.ok(knight.moving);
+    assert.strictEqual(knight.attackTarget, null);
+});
+
+test('recordings with another version are rejected', () => {
+    createGame(640, 480, 1);
+    const recording = JSON.parse(recordMatch());
+    recording.version = 99;
+    assert.throws(() => parseRecording(JSON.stringify(recording)), /version/);
+    assert.throws(() => parseRecording('{"version": 3}'), /command stream/);
+});
@@ -0,0 +1,672 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    TILE_SIZE, PathMode, GroupMoveMode, Knight, Archer, Catapult, Pikeman, Projectile, Formation,
+    pathRequests, SIM_TICK_MS, createGame, refreshWorldData, setupGame, stepGame, getUnitAt,
+    getUnitsInRect, issueCommand, selectCommand, issueAttackOrder, issueMoveOrder, issueStopOrder,
+    nextPathMode, nextGroupMoveMode, changeObstacles, slopeSpeed, lineOfFire, TARGET_SCAN_TICKS, AUTO_TARGET_LEASH,
+    Stance, Behavior, DEFENSIVE_LEASH, POST_TOLERANCE
+} = require('../headless');
+const { createWorld, addUnit, run } = require('../testHelpers');
+
+const STEP = SIM_TICK_MS;
+
+function distance(a, x, y) {
+    return Math.hypot(a.x - x, a.y - y);
+}
+
+test('melee units deal their damage once per attack cooldown', () => {
+    const game = createWorld(10, 10);
+    const knight = addUnit(game, new Knight(100, 100, 1));
+    const enemy = addUnit(game, new Knight(130, 100, 2));
+    issueAttackOrder([knight], enemy);
+
+    stepGame();
+    assert.strictEqual(enemy.hp, 120 - 25);
+    run(knight.attackSpeed - 2 * STEP);
+    assert.strictEqual(enemy.hp, 120 - 25);
+    run(2 * STEP);
+    assert.strictEqual(enemy.hp, 120 - 50);
+});
+
+test('pikemen deal bonus damage to knights only', () => {
+    const game = createWorld(10, 10);
+    const pikeman = addUnit(game, new Pikeman(100, 100, 1));
+    const knight = addUnit(game, new Knight(130, 100, 2));
+    const archer = addUnit(game, new Archer(100, 130, 2));
+
+    issueAttackOrder([pikeman], knight);
+    stepGame();
+    assert.strictEqual(knight.hp, 120 - 18 * 1.5);
+
+    issueAttackOrder([pikeman], archer);
+    run(pikeman.attackSpeed + STEP, () => archer.hp < 80);
+    assert.strictEqual(archer.hp, 80 - 18);
+});
+
+test('units are removed from the game when they die', () => {
+    const game = createWorld(10, 10);
+    const knight = addUnit(game, new Knight(100, 100, 1));
+    const enemy = addUnit(game, new Archer(130, 100, 2));
+    issueAttackOrder([knight], enemy);
+
+    run(10000, () => enemy.hp <= 0);
+    assert.strictEqual(enemy.hp, 0);
+    assert.ok(!game.units.includes(enemy));
+
+    // The attacker lets go of its dead target
+    stepGame();
+    assert.strictEqual(knight.attackTarget, null);
+});
+
+test('archers hit their target with projectiles', () => {
+    const game = createWorld(10, 10);
+    const archer = addUnit(game, new Archer(50, 100, 1));
+    // A catapult shoots back from where it stands
+    const enemy = addUnit(game, new Catapult(170, 100, 2));
+    issueAttackOrder([archer], enemy);
+
+    stepGame();
+    assert.strictEqual(game.projectiles.length, 1);
+    assert.strictEqual(enemy.hp, 200, 'no damage until the arrow lands');
+
+    run(1000, () => game.projectiles.every(p => p.shooterUnit !== archer));
+    assert.strictEqual(enemy.hp, 200 - 15);
+});
+
+test('archers on high ground reach farther and hit harder, ridges block their shots', () => {
+    // A hill of height 3 on the left, flat ground on the right
+    const game = createWorld(20, 6);
+    game.heights = Array.from({ length: 6 }, () => '33300000000000000000');
+    const archer = addUnit(game, new Archer(50, 100, 1));
+    const enemy = addUnit(game, new Knight(230, 100, 2));
+
+    // 180 px is out of range on flat ground, not from three levels up
+    issueAttackOrder([archer], enemy);
+    stepGame();
+    assert.strictEqual(archer.attackRange(), 150 * 1.3);
+    assert.strictEqual(game.projectiles.length, 1);
+    assert.strictEqual(game.projectiles[0].damage, 15 * 1.45);
+    assert.deepStrictEqual([archer.x, archer.y], [50, 100]);
+
+    // Uphill the enemy's archers fall short
+    const uphill = addUnit(game, new Archer(230, 150, 2));
+    uphill.attackTarget = archer;
+    assert.ok(Math.abs(uphill.attackRange() - 150 * 0.7) < 1e-9);
+
+    // A ridge higher than both ends blocks the shot, a slope down to the target does not
+    assert.strictEqual(lineOfFire(50, 100, 230, 100), true);
+    game.heights = Array.from({ length: 6 }, () => '00000500000000000000');
+    assert.strictEqual(lineOfFire(50, 100, 230, 100), false);
+    assert.strictEqual(archer.hasLineOfFire(enemy), false);
+});
+
+test('units slow down uphill only', () => {
+    const game = createWorld(12, 4);
+    game.heights = Array.from({ length: 4 }, () => '000011112222');
+    const y = 2 * TILE_SIZE;
+    assert.strictEqual(slopeSpeed(2 * TILE_SIZE, y, 3 * TILE_SIZE, y), 1);
+    assert.strictEqual(slopeSpeed(4 * TILE_SIZE, y, 5 * TILE_SIZE, y), 0.75);
+    assert.strictEqual(slopeSpeed(4 * TILE_SIZE, y, 3 * TILE_SIZE, y), 1);
+
+    // Climbing the steps takes longer than walking down them
+    const walk = (fromX, toX) => {
+        const knight = addUnit(game, new Knight(fromX, y, 1));
+        issueMoveOrder([knight], toX, y);
+        let ms = 0;
+        for (; knight.moving || pathRequests.isPending(knight); ms += STEP) stepGame();
+        game.units.splice(game.units.indexOf(knight), 1);
+        return ms;
+    };
+    const up = walk(TILE_SIZE, 11 * TILE_SIZE);
+    const down = walk(11 * TILE_SIZE, TILE_SIZE);
+    assert.ok(up > down, `up ${up} ms, down ${down} ms`);
+});
+
+test('catapult shots damage every unit around the impact except the catapult', () => {
+    const game = createWorld(12, 10);
+    const catapult = addUnit(game, new Catapult(50, 150, 1));
+    const target = addUnit(game, new Knight(250, 150, 2));
+    const nearby = addUnit(game, new Knight(248, 156, 2));
+    const farAway = addUnit(game, new Knight(250, 250, 2));
+    issueAttackOrder([catapult], target);
+
+    stepGame();
+    run(5000, () => game.projectiles.length === 0);
+    assert.strictEqual(target.hp, 120 - 50);
+    assert.strictEqual(nearby.hp, 120 - 50);
+    assert.strictEqual(farAway.hp, 120);
+    assert.strictEqual(catapult.hp, 200);
+});
+
+test('catapults back away from targets inside their minimum range', () => {
+    const game = createWorld(12, 10);
+    const catapult = addUnit(game, new Catapult(150, 150, 1));
+    const enemy = addUnit(game, new Knight(180, 150, 2));
+    enemy.behavior = Behavior.HOLD_GROUND; // a passive target
+    enemy.attackSpeed = Infinity;
+    issueAttackOrder([catapult], enemy);
+
+    run(10000, () => catapult.distanceTo(enemy) >= catapult.minRange);
+    assert.ok(catapult.distanceTo(enemy) >= catapult.minRange);
+});
+
+test('idle units attack the best enemy in sight and strike back when hit', () => {
+    const game = createWorld(40, 20);
+    const pikeman = addUnit(game, new Pikeman(100, 100, 1));
+    const archer = addUnit(game, new Archer(200, 100, 2));
+    const knight = addUnit(game, new Knight(220, 140, 2));
+    addUnit(game, new Knight(400, 100, 2)); // out of sight
+    archer.attackSpeed = knight.attackSpeed = Infinity; // passive targets
+
+    // The knight is farther, but pikemen counter knights
+    run(TARGET_SCAN_TICKS * STEP, () => pikeman.attackTarget !== null);
+    assert.strictEqual(pikeman.attackTarget, knight);
+
+    // A catapult out of the knight's sight shells it, the knight charges
+    const defender = addUnit(game, new Knight(100, 500, 1));
+    const catapult = addUnit(game, new Catapult(340, 500, 2));
+    issueAttackOrder([catapult], defender);
+    run(5000, () => defender.hp < defender.maxHp);
+    assert.ok(defender.hp < defender.maxHp);
+    assert.strictEqual(defender.attackTarget, catapult);
+    assert.strictEqual(defender.lastAttackerId, catapult.id);
+});
+
+test('units give up chasing a target they picked themselves past the leash', () => {
+    const game = createWorld(40, 20);
+    const pikeman = addUnit(game, new Pikeman(100, 300, 1));
+    const knight = addUnit(game, new Knight(220, 300, 2));
+    knight.sightRadius = 0; // runs without looking back
+    knight.attackSpeed = Infinity;
+    issueMoveOrder([knight], 1200, 300);
+
+    run(1000, () => pikeman.attackTarget === knight);
+    assert.strictEqual(pikeman.attackTarget, knight);
+    run(20000, () => pikeman.attackTarget === null);
+    const chased = distance(pikeman, 100, 300);
+    assert.ok(chased > AUTO_TARGET_LEASH && chased < AUTO_TARGET_LEASH + TILE_SIZE, `chased ${chased} px`);
+
+    run(20000, () => !pikeman.moving);
+    assert.ok(distance(pikeman, 100, 300) < 5, `back at (${pikeman.x}, ${pikeman.y})`);
+
+    // An ordered attack has no leash
+    issueMoveOrder([knight], 100, 600);
+    run(2000);
+    issueAttackOrder([pikeman], knight);
+    run(20000, () => knight.hp === 0);
+    assert.strictEqual(knight.hp, 0);
+});
+
+test('units on a move order keep going, units walking back fight what they meet', () => {
+    const game = createWorld(40, 20);
+    const knight = addUnit(game, new Knight(100, 100, 1));
+    const archer = addUnit(game, new Archer(600, 100, 2));
+    archer.behavior = Behavior.HOLD_GROUND;
+
+    // Shot at on the way, the knight rides on
+    issueMoveOrder([knight], 1000, 100);
+    run(20000, () => knight.attackTarget !== null || (distance(knight, 1000, 100) < 5 && !knight.moving));
+    assert.strictEqual(knight.attackTarget, null);
+    assert.ok(knight.hp < knight.maxHp, 'it was hit');
+    assert.ok(distance(knight, 1000, 100) < 5, `knight at (${knight.x}, ${knight.y})`);
+
+    // A pikeman gives up on a rider, meets an archer on its way back, beats it and walks on
+    const pikeman = addUnit(game, new Pikeman(100, 500, 1));
+    const rider = addUnit(game, new Knight(220, 500, 2));
+    rider.sightRadius = 0;
+    rider.attackSpeed = Infinity;
+    issueMoveOrder([rider], 1200, 500);
+    run(20000, () => pikeman.attackTarget === rider);
+    run(20000, () => pikeman.attackTarget === null);
+    assert.ok(pikeman.moving, 'walking back');
+    const straggler = addUnit(game, new Archer(pikeman.x - 3 * TILE_SIZE, 500, 2));
+    straggler.sightRadius = 0;
+    straggler.attackSpeed = Infinity;
+    run(TARGET_SCAN_TICKS * STEP, () => pikeman.attackTarget === straggler);
+    assert.strictEqual(pikeman.attackTarget, straggler);
+    run(10000, () => straggler.hp === 0);
+    assert.strictEqual(straggler.hp, 0);
+    run(20000, () => distance(pikeman, 100, 500) < 5 && !pikeman.moving);
+    assert.ok(distance(pikeman, 100, 500) < 5, `pikeman at (${pikeman.x}, ${pikeman.y})`);
+});
+
+test('a unit called out of a moving formation reaches its target and the rest go on', () => {
+    const game = createWorld(40, 20);
+    const knights = [[100, 280], [100, 320], [130, 300]].map(([x, y]) => addUnit(game, new Knight(x, y, 1)));
+    const archer = addUnit(game, new Archer(500, 450, 2));
+    archer.sightRadius = 0;
+    archer.attackSpeed = Infinity;
+
+    issueMoveOrder(knights, 1100, 300, GroupMoveMode.FORMATION);
+    const formation = knights[0].formation;
+    run(10000, () => formation.isMoving && knights[0].x > 300);
+    issueAttackOrder([knights[0]], archer);
+    assert.deepStrictEqual(formation.getActiveUnits(), knights.slice(1));
+
+    run(10000, () => archer.hp < archer.maxHp);
+    assert.ok(archer.hp < archer.maxHp, `knight stuck at (${knights[0].x}, ${knights[0].y})`);
+    run(30000, () => !formation.isUnderway() && knights.slice(1).every(u => !u.moving));
+    knights.slice(1).forEach(u => assert.ok(distance(u, 1100, 300) < 3 * TILE_SIZE, `knight at (${u.x}, ${u.y})`));
+});
+
+test('units go through the stances of a move and an attack', () => {
+    const game = createWorld(30, 20);
+    const knight = addUnit(game, new Knight(100, 100, 1));
+    const enemy = addUnit(game, new Archer(300, 100, 2));
+    enemy.behavior = Behavior.HOLD_GROUND;
+    enemy.attackSpeed = Infinity;
+    assert.strictEqual(knight.stance, Stance.STANDING);
+
+    issueMoveOrder([knight], 100, 200);
+    stepGame();
+    assert.strictEqual(knight.stance, Stance.MOVING);
+
+    issueAttackOrder([knight], enemy);
+    const stances = [];
+    run(10000, () => {
+        if (stances[stances.length - 1] !== knight.stance) stances.push(knight.stance);
+        return stances.includes(Stance.STRIKING) && knight.stance === Stance.ATTACKING_AT_PLACE;
+    });
+    assert.deepStrictEqual(stances, [
+        Stance.MOVING, Stance.CHASING_A_TARGET, Stance.ATTACKING_AT_PLACE, Stance.STRIKING,
+        Stance.ATTACKING_AT_PLACE
+    ]);
+
+    // A formation first gathers its units in their slots, then they keep to them
+    const group = [knight, addUnit(game, new Knight(60, 400, 1))];
+    issueMoveOrder(group, 600, 500);
+    stepGame();
+    assert.strictEqual(group[1].stance, Stance.CHASING_A_FORMATION);
+    run(10000, () => group[0].formation.isMoving && group.every(u => u.stance === Stance.MOVING_IN_FORMATION));
+    assert.ok(group.every(u => u.stance === Stance.MOVING_IN_FORMATION));
+});
+
+test('defensive units return to their post, units holding ground never move to fight', () => {
+    const game = createWorld(40, 20);
+    const defender = addUnit(game, new Knight(100, 100, 1));
+    const holder = addUnit(game, new Archer(100, 400, 1));
+    issueCommand({ type: 'behavior', unitIds: [defender.id], behavior: Behavior.DEFENSIVE });
+    issueCommand({ type: 'behavior', unitIds: [holder.id], behavior: Behavior.HOLD_GROUND });
+    stepGame();
+    assert.strictEqual(defender.behavior, Behavior.DEFENSIVE);
+    assert.strictEqual(holder.behavior, Behavior.HOLD_GROUND);
+
+    // The defender runs down an archer, then walks back
+    const archer = addUnit(game, new Archer(250, 100, 2));
+    archer.attackSpeed = Infinity;
+    run(10000, () => archer.hp === 0);
+    assert.strictEqual(archer.hp, 0);
+    run(10000, () => defender.stance === Stance.STANDING && distance(defender, 100, 100) < POST_TOLERANCE);
+    assert.ok(distance(defender, 100, 100) < POST_TOLERANCE, `defender at (${defender.x}, ${defender.y})`);
+
+    // It gives up on a knight riding off sooner than an aggressive unit would
+    const rider = addUnit(game, new Knight(250, 100, 2));
+    rider.sightRadius = 0;
+    rider.attackSpeed = Infinity;
+    issueMoveOrder([rider], 1200, 100);
+    run(20000, () => defender.attackTarget === rider);
+    run(20000, () => defender.attackTarget === null);
+    assert.ok(distance(defender, 100, 100) < DEFENSIVE_LEASH + TILE_SIZE);
+
+    // The holder ignores a pikeman in sight but out of range, and an order to attack it
+    const pikeman = addUnit(game, new Pikeman(280, 400, 2));
+    pikeman.sightRadius = 0;
+    run(1000);
+    assert.strictEqual(holder.attackTarget, null);
+    issueAttackOrder([holder], pikeman);
+    run(1000);
+    assert.strictEqual(holder.stance, Stance.STANDING);
+    assert.deepStrictEqual([holder.x, holder.y], [100, 400]);
+
+    // It shoots once the pikeman comes in range, from where it stands
+    issueMoveOrder([pikeman], 220, 400);
+    run(10000, () => pikeman.hp < pikeman.maxHp);
+    assert.ok(pikeman.hp < pikeman.maxHp);
+    assert.deepStrictEqual([holder.x, holder.y], [100, 400]);
+});
+
+test('attack-moving formations stop for the enemies they meet, then go on', () => {
+    const game = createWorld(40, 20);
+    const knights = [[100, 280], [100, 320], [130, 300]].map(([x, y]) => addUnit(game, new Knight(x, y, 1)));
+    const archer = addUnit(game, new Archer(600, 300, 2));
+    archer.sightRadius = 0;
+    archer.attackSpeed = Infinity;
+
+    issueCommand({ type: 'attackMove', unitIds: knights.map(u => u.id), x: 1100, y: 300, mode: GroupMoveMode.FORMATION });
+    stepGame();
+    assert.ok(knights.every(u => u.formation instanceof Formation && u.attackMove));
+    assert.ok(game.orderMarkers.some(m => m.kind === 'attackMove' && m.x === 1100 && m.y === 300), 'marked');
+
+    // The whole formation turns on the archer
+    run(20000, () => knights.some(u => u.attackTarget === archer));
+    assert.ok(knights.every(u => u.attackTarget === archer && u.formation === null));
+    assert.ok(knights.every(u => u.attackMove.interrupted));
+    run(10000, () => archer.hp === 0);
+    assert.strictEqual(archer.hp, 0);
+
+    // and walks on to the destination once it is beaten
+    run(2 * TARGET_SCAN_TICKS * STEP, () => knights.every(u => u.formation));
+    assert.ok(knights.every(u => u.formation instanceof Formation && !u.attackMove.interrupted));
+    run(30000, () => knights.every(u => u.attackMove === null));
+    knights.forEach(u => assert.ok(distance(u, 1100, 300) < 3 * TILE_SIZE, `knight at (${u.x}, ${u.y})`));
+
+    // A plain move order calls the attack-move off
+    issueCommand({ type: 'attackMove', unitIds: [knights[0].id], x: 100, y: 300 });
+    issueCommand({ type: 'move', unitIds: [knights[0].id], x: 100, y: 300 });
+    stepGame();
+    assert.strictEqual(knights[0].attackMove, null);
+});
+
+test('shift-queued orders are carried out in turn and a stop clears them', () => {
+    const game = createWorld(40, 20);
+    const knights = [[100, 100], [100, 140]].map(([x, y]) => addUnit(game, new Knight(x, y, 1)));
+    knights.forEach(u => u.sightRadius = 0);
+    const archer = addUnit(game, new Archer(1000, 500, 2));
+    archer.sightRadius = 0;
+    archer.attackSpeed = Infinity;
+    const unitIds = knights.map(u => u.id);
+    const mode = GroupMoveMode.FORMATION;
+
+    // Idle units start the first queued order at once
+    issueCommand({ type: 'move', unitIds, x: 400, y: 120, mode, queue: true });
+    issueCommand({ type: 'move', unitIds, x: 400, y: 400, mode, queue: true });
+    issueCommand({ type: 'attack', unitIds, targetId: archer.id, queue: true });
+    stepGame();
+    const firstLeg = knights[0].formation;
+    assert.ok(firstLeg instanceof Formation && firstLeg.targetX === 400 && firstLeg.targetY === 120);
+    assert.deepStrictEqual(knights.map(u => u.orders.map(o => o.type)), [['move', 'attack'], ['move', 'attack']]);
+
+    // The group walks each leg in formation
+    run(20000, () => knights[0].orders.length === 1);
+    knights.forEach(u => assert.ok(distance(u, 400, 120) < 2 * TILE_SIZE, `knight at (${u.x}, ${u.y})`));
+    assert.ok(knights[0].formation !== firstLeg && knights[0].formation === knights[1].formation);
+    run(20000, () => knights[0].orders.length === 0);
+    knights.forEach(u => assert.ok(distance(u, 400, 400) < 2 * TILE_SIZE, `knight at (${u.x}, ${u.y})`));
+    assert.ok(knights.every(u => u.attackTarget === archer));
+
+    // An order without queue replaces the queue, a stop clears it
+    issueCommand({ type: 'move', unitIds, x: 100, y: 100, queue: true });
+    issueCommand({ type: 'move', unitIds: [knights[0].id], x: 200, y: 100 });
+    stepGame();
+    assert.deepStrictEqual(knights.map(u => u.orders.length), [0, 1]);
+    issueCommand({ type: 'stop', unitIds });
+    stepGame();
+    assert.ok(knights.every(u => u.orders.length === 0 && !u.moving && u.attackTarget === null));
+});
+
+test('a formation with no way to its target stops and lets queued orders go on', () => {
+    // A pen whose only opening is one tile wide
+    const pen = [];
+    for (let gx = 14; gx <= 18; gx++) {
+        for (let gy = 4; gy <= 8; gy++) {
+            if ((gx === 14 || gx === 18 || gy === 4 || gy === 8) && !(gx === 14 && gy === 6)) pen.push([gx, gy]);
+        }
+    }
+    const game = createWorld(30, 20, pen);
+    const knights = [[100, 300], [100, 340]].map(([x, y]) => addUnit(game, new Knight(x, y, 1)));
+    knights[0].radius = 20; // too wide for the opening
+    const unitIds = knights.map(u => u.id);
+
+    issueCommand({ type: 'move', unitIds, x: 16.5 * TILE_SIZE, y: 6.5 * TILE_SIZE, mode: GroupMoveMode.FORMATION });
+    issueCommand({ type: 'move', unitIds, x: 100, y: 500, mode: GroupMoveMode.FORMATION, queue: true });
+    stepGame();
+    const formation = knights[0].formation;
+    run(20000, () => formation.centerPath && formation.centerPath.length === 0);
+    assert.deepStrictEqual(formation.centerPath, [], 'no path into the pen');
+
+    run(20000, () => knights[0].orders.length === 0);
+    assert.ok(knights[0].formation !== formation, 'the queued move started');
+    run(30000, () => knights.every(u => u.orderDone()));
+    knights.forEach(u => assert.ok(distance(u, 100, 500) < 2 * TILE_SIZE, `knight at (${u.x}, ${u.y})`));
+});
+
+test('projectiles that leave the world are dropped', () => {
+    const game = createWorld(10, 10);
+    const target = addUnit(game, new Knight(200, 100, 2));
+    game.projectiles.push(new Projectile(300, 100, 1000, 100, 10, 2, 3000, null, target, 'archer'));
+
+    run(1000, () => game.projectiles.length === 0);
+    assert.strictEqual(game.projectiles.length, 0);
+    assert.strictEqual(target.hp, 120);
+});
+
+test('a single unit walks around a wall to its move order', () => {
+    const wall = Array.from({ length: 8 }, (_, gy) => [8, gy]);
+    const game = createWorld(16, 12, wall);
+    const knight = addUnit(game, new Knight(100, 100, 1));
+
+    issueMoveOrder([knight], 400, 100);
+    assert.strictEqual(pathRequests.isPending(knight), true);
+    run(20000, () => !knight.moving && !pathRequests.isPending(knight));
+
+    assert.ok(distance(knight, 400, 100) < 2, `ended at (${knight.x}, ${knight.y})`);
+    assert.ok(!knight.checkObstacleCollision(knight.x, knight.y));
+});
+
+test('a catapult goes round a one-tile gap instead of stalling in it', () => {
+    // Wall with a one-tile gap at row 5 and a way round below row 9
+    const wall = Array.from({ length: 9 }, (_, gy) => [8, gy]).filter(([, gy]) => gy !== 5);
+    const game = createWorld(16, 12, wall);
+    const catapult = addUnit(game, new Catapult(100, 176, 1));
+
+    issueMoveOrder([catapult], 400, 176);
+    run(40000, () => !catapult.moving && !pathRequests.isPending(catapult));
+
+    assert.ok(distance(catapult, 400, 176) < 2, `ended at (${catapult.x}, ${catapult.y})`);
+});
+
+test('units and formations whose route a new wall crosses plan again', () => {
+    const game = createWorld(30, 20);
+    const walker = addUnit(game, new Knight(100, 100, 1));
+    const bystander = addUnit(game, new Knight(100, 500, 1));
+    const group = [0, 1, 2, 3].map(i => addUnit(game, new Pikeman(100 + i * 20, 300, 1)));
+    issueMoveOrder([walker], 800, 100);
+    issueMoveOrder([bystander], 300, 500);
+    issueMoveOrder(group, 800, 300);
+    const formation = group[0].formation;
+    run(3000, () => false);
+    assert.ok(formation.isMoving && !pathRequests.isPending(walker) && !pathRequests.isPending(bystander));
+    const bystanderPath = bystander.path;
+
+    // A wall across both eastward routes, from the top down to row 14
+    const wall = Array.from({ length: 15 }, (_, gy) => [16, gy]);
+    const { added } = changeObstacles(wall);
+    assert.strictEqual(added.length, 15);
+    assert.ok(pathRequests.isPending(walker));
+    assert.ok(pathRequests.isPending(formation));
+    assert.strictEqual(bystander.path, bystanderPath, 'routes the wall misses are kept');
+
+    run(40000, () => !walker.moving && !formation.isMoving);
+    assert.ok(distance(walker, 800, 100) < 2, `walker ended at (${walker.x}, ${walker.y})`);
+    assert.ok(!walker.checkObstacleCollision(walker.x, walker.y));
+    assert.ok(formation.centerPath.some(p => p.y > 15 * TILE_SIZE), 'the formation goes around the wall');
+    assert.deepStrictEqual([formation.centerX, formation.centerY], [800, 300]);
+});
+
+test('obstacle changes skip occupied and unchanged tiles and replay as commands', () => {
+    const game = createWorld(16, 12, [[5, 5]]);
+    const knight = addUnit(game, new Knight(2.5 * TILE_SIZE, 2.5 * TILE_SIZE, 1));
+
+    const result = changeObstacles([[2, 2], [5, 5], [40, 3], [6, 5], [6, 5]], [[5, 5], [9, 9]]);
+    assert.deepStrictEqual(result, { added: [[6, 5]], removed: [[5, 5]] });
+    assert.deepStrictEqual(game.obstacles, [{ x: 6 * TILE_SIZE, y: 5 * TILE_SIZE }]);
+    assert.ok(knight.x > 0);
+
+    issueCommand({ type: 'obstacles', add: [[10, 10]], remove: [[6, 5]] });
+    stepGame();
+    assert.deepStrictEqual(game.obstacles, [{ x: 10 * TILE_SIZE, y: 10 * TILE_SIZE }]);
+    assert.strictEqual(game.regionGrid[5][6] > 0, true, 'cleared tile is walkable');
+});
+
+test('terrain slows units down and formations keep their slowest unit\'s pace', () => {
+    const game = createWorld(30, 12);
+    game.terrain = Array.from({ length: 12 }, () => '.'.repeat(10) + 'M'.repeat(10) + '.'.repeat(10));
+    refreshWorldData();
+    const knight = addUnit(game, new Knight(50, 100, 1));
+    const archer = addUnit(game, new Archer(50, 330, 1));
+
+    assert.strictEqual(knight.groundSpeed(), knight.moveSpeed);
+    knight.x = 15 * TILE_SIZE;
+    assert.strictEqual(knight.groundSpeed(), knight.moveSpeed * 0.4);
+
+    // The archer in the marsh is slower than the knight on grass
+    archer.x = 15 * TILE_SIZE;
+    knight.x = 50;
+    const formation = new Formation([knight, archer], 800, 150);
+    assert.strictEqual(formation.groundSpeed(), archer.moveSpeed * 0.5);
+
+    // Crossing the marsh takes longer than the same distance on grass
+    const crossing = (y) => {
+        const unit = addUnit(game, new Knight(4 * TILE_SIZE, y, 1));
+        issueMoveOrder([unit], 26 * TILE_SIZE, y);
+        let ms = 0;
+        for (; unit.moving || pathRequests.isPending(unit); ms += STEP) stepGame();
+        return ms;
+    };
+    const marshTime = crossing(6.5 * TILE_SIZE);
+    game.terrain = null;
+    refreshWorldData();
+    const grassTime = crossing(2.5 * TILE_SIZE);
+    assert.ok(marshTime > grassTime * 1.5, `marsh ${marshTime} ms, grass ${grassTime} ms`);
+});
+
+test('unreachable move orders are redirected and marked', () => {
+    // Target tile (10, 5) is boxed in
+    const box = [[9, 4], [10, 4], [11, 4], [9, 5], [11, 5], [9, 6], [10, 6], [11, 6]];
+    const game = createWorld(16, 12, box);
+    const knight = addUnit(game, new Knight(100, 100, 1));
+
+    issueMoveOrder([knight], 10.5 * TILE_SIZE, 5.5 * TILE_SIZE);
+    assert.strictEqual(game.orderMarkers.length, 1);
+    const marker = game.orderMarkers[0];
+
+    run(20000, () => !knight.moving && !pathRequests.isPending(knight));
+    assert.ok(distance(knight, marker.x, marker.y) < 2);
+    assert.strictEqual(game.orderMarkers.length, 0, 'markers fade out');
+});
+
+test('formations carry a group to the move order', () => {
+    const game = createWorld(30, 20);
+    const units = [];
+    for (let i = 0; i < 6; i++) {
+        units.push(addUnit(game, new (i % 2 ? Knight : Pikeman)(100 + (i % 3) * 20, 100 + Math.floor(i / 3) * 20, 1)));
+    }
+
+    issueMoveOrder(units, 600, 400);
+    const formation = units[0].formation;
+    assert.ok(formation instanceof Formation);
+    assert.ok(units.every(u => u.formation === formation));
+
+    run(30000, () => !formation.isMoving && units.every(u => !u.moving));
+    units.forEach(u => assert.ok(distance(u, 600, 400) < 100, `unit at (${u.x}, ${u.y})`));
+});
+
+test('flow field group moves bring every unit to the destination', () => {
+    const wall = Array.from({ length: 14 }, (_, gy) => [12, gy]);
+    const game = createWorld(30, 20, wall);
+    game.groupMoveMode = GroupMoveMode.FLOW_FIELD;
+    const units = [];
+    for (let i = 0; i < 8; i++) {
+        units.push(addUnit(game, new Knight(100 + (i % 4) * 20, 100 + Math.floor(i / 4) * 20, 1)));
+    }
+
+    issueMoveOrder(units, 700, 200);
+    assert.ok(units.every(u => u.flowTarget && !u.formation));
+
+    run(40000, () => units.every(u => u.flowTarget.arrived));
+    units.forEach(u => {
+        assert.ok(u.flowTarget.arrived);
+        assert.ok(distance(u, 700, 200) < 100, `unit at (${u.x}, ${u.y})`);
+    });
+});
+
+test('stop orders halt units and drop their pending paths', () => {
+    const game = createWorld(16, 12);
+    const knight = addUnit(game, new Knight(100, 100, 1));
+    issueMoveOrder([knight], 400, 300);
+    run(200);
+    assert.ok(knight.moving);
+
+    issueMoveOrder([knight], 100, 300);
+    issueStopOrder([knight]);
+    assert.strictEqual(pathRequests.isPending(knight), false);
+    const x = knight.x;
+    const y = knight.y;
+    run(500);
+    assert.strictEqual(knight.moving, false);
+    assert.ok(distance(knight, x, y) < 1);
+});
+
+test('select commands replace or extend the selection', () => {
+    const game = createWorld(16, 12);
+    const a = addUnit(game, new Knight(100, 100, 1));
+    const b = addUnit(game, new Archer(140, 100, 1));
+    const c = addUnit(game, new Knight(300, 300, 2));
+
+    assert.strictEqual(getUnitAt(103, 102), a);
+    assert.strictEqual(getUnitAt(200, 200), null);
+    assert.deepStrictEqual(getUnitsInRect({ x: 50, y: 50, width: 150, height: 100 }), [a, b]);
+
+    issueCommand(selectCommand([a], false));
+    assert.deepStrictEqual(game.selectedUnits, [], 'commands wait for the next tick');
+    stepGame();
+    assert.deepStrictEqual(game.selectedUnits, [a]);
+
+    issueCommand(selectCommand([c], true));
+    stepGame();
+    assert.deepStrictEqual(game.selectedUnits, [a, c]);
+
+    issueCommand(selectCommand([b], false));
+    stepGame();
+    assert.deepStrictEqual(game.selectedUnits, [b]);
+    assert.ok(!a.selected && b.selected && !c.selected);
+
+    issueCommand(selectCommand([], false));
+    stepGame();
+    assert.deepStrictEqual(game.selectedUnits, []);
+});
+
+test('order commands act on the units they name', () => {
+    const game = createWorld(16, 12);
+    const knight = addUnit(game, new Knight(100, 100, 1));
+    const archer = addUnit(game, new Archer(100, 200, 1));
+    const enemy = addUnit(game, new Knight(400, 300, 2));
+
+    issueCommand({ type: 'move', unitIds: [knight.id], x: 300, y: 100 });
+    issueCommand({ type: 'attack', unitIds: [archer.id], targetId: enemy.id });
+    stepGame();
+    assert.ok(knight.moving);
+    assert.strictEqual(archer.attackTarget, enemy);
+
+    issueCommand({ type: 'stop', unitIds: [knight.id, archer.id] });
+    stepGame();
+    assert.strictEqual(knight.moving, false);
+    assert.strictEqual(archer.attackTarget, null);
+    assert.deepStrictEqual(game.commandLog.map(c => [c.type, c.tick]), [['move', 0], ['attack', 0], ['stop', 1]]);
+});
+
+test('path and group move modes cycle', () => {
+    const game = createWorld(10, 10);
+    const modes = Object.values(PathMode);
+    for (let i = 1; i <= modes.length; i++) {
+        issueCommand({ type: 'pathMode', mode: nextPathMode() });
+        stepGame();
+        assert.strictEqual(game.pathMode, modes[i % modes.length]);
+    }
+
+    issueCommand({ type: 'groupMoveMode', mode: nextGroupMoveMode() });
+    stepGame();
+    assert.strictEqual(game.groupMoveMode, GroupMoveMode.FLOW_FIELD);
+    assert.strictEqual(nextGroupMoveMode(), GroupMoveMode.FORMATION);
+});
+
+test('setupGame places obstacles and both armies inside the world', () => {
+    const game = createGame(1280, 720);
+    setupGame();
+    assert.strictEqual(game.units.filter(u => u.team === 1).length, 25);
+    assert.strictEqual(game.units.filter(u => u.team === 2).length, 5);
+    assert.ok(game.units.every(u => u.team === 1 || u.type !== 'catapult'));
+    assert.ok(game.obstacles.length > 0);
+    game.obstacles.forEach(o => assert.ok(o.x < 1280 && o.y < 720));
+});
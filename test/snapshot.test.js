@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    GroupMoveMode, Knight, Archer, Formation, createGame, setupGame, stepGame,
+    issueCommand, selectCommand, recordMatch, snapshotGame, parseSnapshot, restoreSnapshot, pathRequests,
+    currentGame
+} = require('../headless');
+const { createWorld, addUnit, addUnits } = require('../testHelpers');
+
+// Player input given at fixed ticks of a live match
+const SCRIPT = {
+    5: game => issueCommand(selectCommand(game.units.filter(u => u.team === 1).slice(0, 15), false)),
+    6: game => issueCommand({ type: 'move', unitIds: game.selectedUnits.map(u => u.id), x: 650, y: 380 }),
+    30: () => issueCommand({ type: 'groupMoveMode', mode: GroupMoveMode.FLOW_FIELD }),
+    31: game => {
+        const rest = game.units.filter(u => u.team === 1).slice(15);
+        issueCommand({ type: 'move', unitIds: rest.map(u => u.id), x: 500, y: 600 });
+    },
+    250: game => {
+        const target = game.units.find(u => u.team === 2);
+        issueCommand({ type: 'attack', unitIds: game.units.filter(u => u.team === 1).map(u => u.id), targetId: target.id });
+    }
+};
+
+function play(game, untilTick) {
+    while (game.tick < untilTick) {
+        if (SCRIPT[game.tick]) SCRIPT[game.tick](game);
+        stepGame();
+    }
+}
+
+// Play on until a path request is waiting for its result
+function playUntilPathPending(game) {
+    while (pathRequests.pendingCount === 0) play(game, game.tick + 1);
+}
+
+function startMatch(seed) {
+    const game = createGame(1280, 720, seed);
+    setupGame();
+    return game;
+}
+
+test('a restored snapshot continues exactly like the original game', () => {
+    for (const saveTick of [7, 32, 'path pending', 260, 400]) {
+        const game = startMatch(31337);
+        if (saveTick === 'path pending') {
+            playUntilPathPending(game);
+        } else {
+            play(game, saveTick);
+        }
+        const savedTick = game.tick;
+        const saved = snapshotGame({ x: 40, y: 20 });
+        play(game, 700);
+        const expected = snapshotGame({ x: 40, y: 20 });
+
+        const restored = restoreSnapshot(parseSnapshot(saved));
+        assert.strictEqual(restored, currentGame());
+        assert.strictEqual(restored.tick, savedTick);
+        play(restored, 700);
+        assert.strictEqual(snapshotGame({ x: 40, y: 20 }), expected, `saved at tick ${saveTick}`);
+    }
+});
+
+test('saving a restored snapshot gives the same snapshot', () => {
+    const game = startMatch(8);
+    playUntilPathPending(game);
+    const planning = snapshotGame();
+    assert.strictEqual(parseSnapshot(planning).pathRequests.length, 1);
+    restoreSnapshot(parseSnapshot(planning));
+    assert.strictEqual(snapshotGame(), planning);
+
+    play(currentGame(), 200);
+    assert.ok(currentGame().units.some(u => u.formation), 'formations on the move');
+    const marching = snapshotGame();
+    restoreSnapshot(parseSnapshot(marching));
+    assert.strictEqual(snapshotGame(), marching);
+
+    // Mid-battle, with arrows in flight
+    play(currentGame(), 300);
+    assert.ok(currentGame().projectiles.length > 0, 'projectiles in flight');
+    const fighting = snapshotGame({ x: 10, y: 0 });
+    restoreSnapshot(parseSnapshot(fighting));
+    assert.strictEqual(snapshotGame({ x: 10, y: 0 }), fighting);
+    assert.deepStrictEqual(parseSnapshot(fighting).camera, { x: 10, y: 0 });
+});
+
+test('references between units, formations and projectiles are linked up again', () => {
+    const game = createWorld(20, 15, [], 1);
+    const knights = addUnits(game, Knight, 1, [[100, 100], [120, 100]]);
+    const archer = addUnit(game, new Archer(100, 200, 1));
+    const enemy = addUnit(game, new Knight(300, 300, 2));
+    new Formation(knights, 400, 100);
+    archer.attackTarget = enemy;
+    archer.performAttack();
+    archer.takeDamage(1000); // dead, but its arrow still flies
+    game.selectedUnits = [knights[1]];
+
+    const restored = restoreSnapshot(parseSnapshot(snapshotGame()));
+    const [first, second, enemyCopy] = restored.units;
+    assert.ok(first instanceof Knight);
+    assert.strictEqual(restored.units.length, 3);
+    assert.strictEqual(first.formation, second.formation);
+    assert.ok(first.formation instanceof Formation);
+    assert.deepStrictEqual(first.formation.allUnits, [first, second]);
+    assert.strictEqual(restored.selectedUnits[0], second);
+
+    const arrow = restored.projectiles[0];
+    assert.ok(arrow.shooterUnit instanceof Archer);
+    assert.strictEqual(arrow.shooterUnit.hp, 0);
+    assert.strictEqual(arrow.targetUnit, enemyCopy);
+    assert.strictEqual(restored.nextUnitId, 5);
+});
+
+test('broken or foreign snapshots are rejected and leave the game alone', () => {
+    const game = startMatch(3);
+    const snapshot = JSON.parse(snapshotGame());
+
+    assert.throws(() => parseSnapshot(JSON.stringify(Object.assign({}, snapshot, { version: 99 }))), /version/);
+    assert.throws(() => parseSnapshot(recordMatch()), /version|list/);
+    assert.throws(() => parseSnapshot(JSON.stringify(Object.assign({}, snapshot, { unitTable: null }))), /unitTable/);
+
+    snapshot.units.push(12345);
+    assert.throws(() => restoreSnapshot(snapshot), /missing unit/);
+    assert.strictEqual(currentGame(), game);
+});
@@ -0,0 +1,30 @@
+// Fixtures shared by the tests in test/, built on the API that headless.js exports.
+const { TILE_SIZE, SIM_TICK_MS, createGame, refreshWorldData, stepGame } = require('./headless');
+
+// A world of cols x rows tiles with obstacles on the given [gx, gy] tiles, and a random
+// seed unless one is given
+function createWorld(cols, rows, obstacleTiles = [], seed = undefined) {
+    const game = createGame(cols * TILE_SIZE, rows * TILE_SIZE, seed);
+    obstacleTiles.forEach(([gx, gy]) => game.obstacles.push({ x: gx * TILE_SIZE, y: gy * TILE_SIZE }));
+    refreshWorldData();
+    return game;
+}
+
+function addUnit(game, unit) {
+    game.units.push(unit);
+    return unit;
+}
+
+// Units of one class and team at the given [x, y] positions
+function addUnits(game, UnitClass, team, positions) {
+    return positions.map(([x, y]) => addUnit(game, new UnitClass(x, y, team)));
+}
+
+// Step the simulation for ms milliseconds, or until done() returns true
+function run(ms, done = () => false) {
+    for (let t = 0; t < ms && !done(); t += SIM_TICK_MS) {
+        stepGame();
+    }
+}
+
+module.exports = { createWorld, addUnit, addUnits, run };